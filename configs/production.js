@@ -8,6 +8,8 @@ module.exports = {
     timeout: parseInt(process.env.API_TIMEOUT) || 30000,
     retryAttempts: parseInt(process.env.RETRY_ATTEMPTS) || 5,
     retryDelay: parseInt(process.env.RETRY_DELAY) || 2000,
+    requestsPerSecond: parseFloat(process.env.NOTION_REQUESTS_PER_SECOND) || 3,
+    maxConcurrency: parseInt(process.env.NOTION_MAX_CONCURRENCY) || 3,
   },
   
   logging: {
@@ -21,6 +23,10 @@ module.exports = {
     host: process.env.HOST || '0.0.0.0',
   },
   
+  manifest: {
+    directory: process.env.NOTION_MANIFEST_DIR || 'manifests',
+  },
+  
   cache: {
     ttl: parseInt(process.env.CACHE_TTL) || 7200,
   },
@@ -0,0 +1,33 @@
+/**
+ * Test configuration
+ */
+
+module.exports = {
+  notion: {
+    version: process.env.NOTION_VERSION || '2022-06-28',
+    timeout: parseInt(process.env.API_TIMEOUT) || 5000,
+    retryAttempts: parseInt(process.env.RETRY_ATTEMPTS) || 3,
+    retryDelay: parseInt(process.env.RETRY_DELAY) || 10,
+    requestsPerSecond: parseFloat(process.env.NOTION_REQUESTS_PER_SECOND) || 1000,
+    maxConcurrency: parseInt(process.env.NOTION_MAX_CONCURRENCY) || 10,
+  },
+  
+  logging: {
+    level: process.env.LOG_LEVEL || 'warn',
+    enableConsole: false,
+    enableFile: false,
+  },
+  
+  server: {
+    port: parseInt(process.env.PORT) || 3001,
+    host: process.env.HOST || 'localhost',
+  },
+  
+  manifest: {
+    directory: process.env.NOTION_MANIFEST_DIR || 'manifests',
+  },
+  
+  cache: {
+    ttl: 0,
+  },
+};
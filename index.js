@@ -34,7 +34,9 @@ class ConstructionPM {
       }
       
       // Initialize Notion API
-      this.notionAPI = new NotionAPI(process.env.NOTION_API_TOKEN);
+      this.notionAPI = process.env.CLIENT_NAME
+        ? await NotionAPI.forClient(process.env.NOTION_API_TOKEN, process.env.CLIENT_NAME)
+        : new NotionAPI(process.env.NOTION_API_TOKEN);
       await this.notionAPI.initialize();
       
       this.logger.info('Application initialized successfully');
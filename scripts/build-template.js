@@ -7,7 +7,12 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { program } = require('commander');
+const { Command } = require('commander');
+const Joi = require('joi');
+const { taskSchema, databaseDefinitions, databases } = require('../src/schemas');
+const { query } = require('../src/api/query');
+const { EventLog } = require('../src/utils/events');
+const { commandOutput } = require('../src/utils/progress');
 
 // Template configurations
 const templateConfigs = {
@@ -43,7 +48,11 @@ const templateConfigs = {
       'vendors',
       'budgets',
       'expenses',
-      'schedules'
+      'schedules',
+      'subcontractors',
+      'permits',
+      'inspections',
+      'safety-incidents'
     ],
     views: [
       'project-dashboard',
@@ -77,6 +86,10 @@ const templateConfigs = {
       'budgets',
       'expenses',
       'schedules',
+      'subcontractors',
+      'permits',
+      'inspections',
+      'safety-incidents',
       'portfolios',
       'contracts',
       'reports',
@@ -110,36 +123,65 @@ const templateConfigs = {
   }
 };
 
+/**
+ * Build a template package into dist/
+ * @param {Object} options - Build options
+ * @param {string} options.tier - starter, professional or enterprise
+ * @param {string} options.client - Client/company name
+ * @param {boolean} options.sampleData - Include sample data
+ * @param {string} options.parentPageId - Notion page the client workspace is deployed under
+ * @param {Function} options.onEvent - Called with each structured build event
+ * @param {Object} options.eventStream - Stream that also receives the events as NDJSON
+ * @returns {Promise<Object>} Build package
+ */
 async function buildTemplate(options) {
   console.log(`🏗️ Building ${options.tier} template for ${options.client}...`);
   
   const startTime = Date.now();
   const buildId = `build-${Date.now()}`;
+  const events = new EventLog({ command: 'build', buildId }, { stream: options.eventStream, onEvent: options.onEvent });
+  events.emit('run', { outcome: 'started', client: options.client, tier: options.tier });
+  
+  // Each build step is reported as a phase, with what it produced
+  const step = async (phase, run, details = () => ({})) => {
+    events.phaseStarted(phase);
+    const result = await run();
+    events.phaseFinished(phase, 'completed', details(result));
+    return result;
+  };
   
   try {
     // Ensure dist directory exists
     await ensureDirectoryExists('dist');
     
     // Generate template configuration
-    const templateConfig = await generateTemplateConfig(options);
+    const templateConfig = await step('config', () => generateTemplateConfig(options));
     
     // Build database schemas
-    const schemas = await buildDatabaseSchemas(options.tier);
+    const schemas = await step('schemas', () => buildDatabaseSchemas(options.tier), result => ({ databases: result.length }));
+    const omitted = undefinedDatabases(options.tier);
+    omitted.databases.forEach(name => {
+      events.emit('resource', { phase: 'schemas', resource: name, outcome: 'skipped', reason: 'no definition' });
+    });
     
     // Build view configurations
-    const views = await buildViewConfigurations(options.tier);
+    const views = await step('views', () => buildViewConfigurations(options.tier, schemas), result => ({ views: result.length }));
     
     // Generate sample data if requested
     let sampleData = null;
     if (options.sampleData) {
-      sampleData = await generateSampleData(options.tier, options.client);
+      sampleData = await step('sample_data', () => generateSampleData(options.tier, options.client), result => ({
+        categories: Object.keys(result).length,
+      }));
+    } else {
+      events.phaseFinished('sample_data', 'skipped');
     }
     
     // Build integration configurations
-    const integrations = await buildIntegrationConfigs(options.tier);
+    const integrations = await step('integrations', () => buildIntegrationConfigs(options.tier));
     
     // Generate documentation
-    const documentation = await generateDocumentation(options);
+    const documentation = await step('documentation', () => generateDocumentation(options));
     
     // Create final build package
     const buildPackage = {
@@ -158,16 +200,20 @@ async function buildTemplate(options) {
         buildDuration: Date.now() - startTime,
         includedFeatures: templateConfigs[options.tier].features.length,
         databaseCount: schemas.length,
-        viewCount: views.length
+        viewCount: views.length,
+        // Tier databases without a definition, which this build leaves out
+        omittedDatabases: omitted.databases,
       }
     };
     
     // Save build package
     const buildPath = path.join('dist', `template-${options.tier}-${buildId}.json`);
-    await fs.writeFile(buildPath, JSON.stringify(buildPackage, null, 2));
-    
-    // Save individual components
-    await saveBuildComponents(buildPackage);
+    await step('package', async () => {
+      await fs.writeFile(buildPath, JSON.stringify(buildPackage, null, 2));
+      
+      // Save individual components
+      await saveBuildComponents(buildPackage);
+    }, () => ({ file: buildPath }));
     
     console.log(`✅ Template built successfully in ${Date.now() - startTime}ms`);
     console.log(`📦 Build package: ${buildPath}`);
@@ -175,10 +221,14 @@ async function buildTemplate(options) {
     console.log(`🎯 Tier: ${options.tier}`);
     console.log(`📊 Features: ${buildPackage.metadata.includedFeatures}`);
     
+    events.emit('run', { duration: Date.now() - startTime, outcome: 'completed', file: buildPath });
+    await events.close();
     return buildPackage;
     
   } catch (error) {
     console.error('❌ Template build failed:', error.message);
+    events.emit('run', { duration: Date.now() - startTime, outcome: 'failed', error: error.message });
+    await events.close();
     throw error;
   }
 }
@@ -201,6 +251,10 @@ async function generateTemplateConfig(options) {
         measurementUnit: 'imperial'
       }
     },
+    // Where deploy builds the client's page tree (NOTION_PARENT_PAGE_ID overrides it)
+    workspace: {
+      parentPageId: options.parentPageId || null,
+    },
     features: templateConfigs[options.tier].features,
     databases: templateConfigs[options.tier].databases,
     views: templateConfigs[options.tier].views
@@ -209,43 +263,50 @@ async function generateTemplateConfig(options) {
   return config;
 }
 
+/**
+ * Databases a tier lists that have no definition in src/schemas/databases, and
+ * the relationships of the tier's other databases that point at them
+ * @param {string} tier - Template tier
+ * @returns {Object} { databases: [name], relationships: [{ database, property, target }] }
+ */
+function undefinedDatabases(tier) {
+  const names = templateConfigs[tier].databases;
+  const missing = names.filter(name => !databases[name]);
+  const relationships = names
+    .filter(name => databases[name])
+    .flatMap(name => (databases[name].schema.relationships || [])
+      .filter(relationship => missing.includes(relationship.target))
+      .map(relationship => ({ database: name, property: relationship.property, target: relationship.target })));
+  return { databases: missing, relationships };
+}
+
+/**
+ * Build package schemas for the tier's databases, generated from their
+ * definitions in src/schemas/databases. Databases the tier lists without a
+ * definition are left out with a warning, along with relations to them.
+ * @param {string} tier - Template tier
+ * @returns {Promise<Object[]>} [{ name, schema, tier }]
+ */
 async function buildDatabaseSchemas(tier) {
   console.log(`📊 Building database schemas for ${tier} tier...`);
   
-  const schemas = [];
-  const baseSchemasPath = path.join(__dirname, '..', 'src', 'schemas', 'databases');
+  const schemas = Object.values(databases)
+    .filter(definition => templateConfigs[tier].databases.includes(definition.name))
+    .map(definition => ({ name: definition.name, schema: definition.schema, tier }));
   
-  // Load base schemas
-  try {
-    const files = await fs.readdir(baseSchemasPath);
-    const jsonFiles = files.filter(file => file.endsWith('.json'));
-    
-    for (const file of jsonFiles) {
-      const schemaPath = path.join(baseSchemasPath, file);
-      const schemaContent = await fs.readFile(schemaPath, 'utf8');
-      const schema = JSON.parse(schemaContent);
-      
-      // Include schema if it's in the tier configuration
-      const schemaName = file.replace('.json', '');
-      if (templateConfigs[tier].databases.includes(schemaName)) {
-        schemas.push({
-          name: schemaName,
-          schema: schema,
-          tier: tier
-        });
-      }
-    }
-  } catch (error) {
-    console.warn('⚠️ Schema directory not found, using default schemas');
-    // Generate basic schemas
-    schemas.push(...generateDefaultSchemas(tier));
+  const omitted = undefinedDatabases(tier);
+  if (omitted.databases.length > 0) {
+    console.warn(`⚠️ ${omitted.databases.length} ${tier} databases have no definition in src/schemas/databases and are left out of the build: ${omitted.databases.join(', ')}`);
+    omitted.relationships.forEach(relationship => {
+      console.warn(`   ${relationship.database}.${relationship.property} -> ${relationship.target} will not be linked`);
+    });
   }
   
   console.log(`✅ Built ${schemas.length} database schemas`);
   return schemas;
 }
 
-async function buildViewConfigurations(tier) {
+async function buildViewConfigurations(tier, schemas = []) {
   console.log(`👁️ Building view configurations for ${tier} tier...`);
   
   const views = [];
@@ -255,7 +316,7 @@ async function buildViewConfigurations(tier) {
     const view = {
       name: viewName,
       type: getViewType(viewName),
-      configuration: generateViewConfig(viewName, tier),
+      configuration: generateViewConfig(viewName, tier, schemas),
       databases: getViewDatabases(viewName)
     };
     
@@ -274,13 +335,31 @@ function getViewType(viewName) {
   return 'table';
 }
 
-function generateViewConfig(viewName, tier) {
-  // Basic view configuration - would be expanded based on requirements
+// Filters and sorts for views that need more than the default ordering.
+// Each preset receives a query bound to the view's primary database.
+const viewQueries = {
+  'active-projects': q => q.where('Status').isNot('Complete').and('Status').isNot('Warranty')
+    .sortBy('created_time', 'descending'),
+  'project-dashboard': q => q.where('Status').isNot('Complete').and('Status').isNot('Warranty').sortBy('Status'),
+  'pending-tasks': q => q.where('Status').isNot('Completed').sortBy('Due Date').sortBy('Priority', 'descending'),
+  'task-kanban': q => q.sortBy('Priority', 'descending'),
+};
+
+function generateViewConfig(viewName, tier, schemas = []) {
+  const [databaseName] = getViewDatabases(viewName);
+  const built = schemas.find(schema => schema.name === databaseName);
+  const schema = built ? built.schema : databaseDefinitions[databaseName];
+
+  // Presets are validated against the schema the view will be deployed with
+  const viewQuery = schema && viewQueries[viewName] ? viewQueries[viewName](query(schema)) : null;
+  const { filter, sorts } = viewQuery ? viewQuery.build() : { filter: null, sorts: [] };
+
   return {
-    filters: [],
-    sorts: [{ property: 'created_time', direction: 'descending' }],
+    query: viewQuery ? viewQuery.toJSON() : null,
+    filter,
+    sorts: sorts.length > 0 ? sorts : [{ timestamp: 'created_time', direction: 'descending' }],
     properties: ['title', 'status', 'created_time'],
-    groupBy: viewName.includes('status') ? 'status' : null
+    groupBy: viewName.includes('kanban') && schema?.properties.Status ? 'Status' : null,
   };
 }
 
@@ -289,12 +368,19 @@ function getViewDatabases(viewName) {
     'active-projects': ['projects'],
     'pending-tasks': ['tasks'],
     'client-overview': ['clients'],
+    'recent-documents': ['documents'],
     'project-dashboard': ['projects', 'tasks'],
     'task-kanban': ['tasks'],
+    'client-portal': ['clients', 'projects'],
     'material-inventory': ['materials'],
     'vendor-directory': ['vendors'],
     'budget-tracking': ['budgets'],
-    'portfolio-overview': ['portfolios', 'projects']
+    'expense-reports': ['expenses'],
+    'project-timeline': ['projects'],
+    'portfolio-overview': ['portfolios', 'projects'],
+    'contract-management': ['contracts'],
+    'analytics-dashboard': ['projects', 'budgets', 'expenses'],
+    'integration-hub': ['integrations'],
   };
   
   return databaseMappings[viewName] || ['projects'];
@@ -303,9 +389,10 @@ function getViewDatabases(viewName) {
 async function generateSampleData(tier, client) {
   console.log(`📝 Generating sample data for ${tier} tier...`);
   
+  const projects = generateSampleProjects(tier, client);
   const sampleData = {
-    projects: generateSampleProjects(tier, client),
-    tasks: generateSampleTasks(tier),
+    projects,
+    tasks: generateSampleTasks(tier, projects),
     clients: generateSampleClients(tier, client),
     materials: tier !== 'starter' ? generateSampleMaterials(tier) : null,
     vendors: tier === 'enterprise' || tier === 'professional' ? generateSampleVendors(tier) : null
@@ -329,18 +416,29 @@ function generateSampleProjects(tier, client) {
   for (let i = 1; i <= projectCount; i++) {
     projects.push({
       title: `${client} Project ${i}`,
-      status: i === 1 ? 'In Progress' : i === 2 ? 'Planning' : 'Not Started',
-      type: 'Commercial Construction',
+      status: i === 1 ? 'Construction' : i === 2 ? 'Permits' : 'Planning',
+      type: 'Commercial Build',
       budget: 100000 * i,
       startDate: new Date(Date.now() + i * 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-      description: `Sample construction project ${i} for ${client}`
+      address: `${100 + i} Main Street`
     });
   }
   
   return projects;
 }
 
-function generateSampleTasks(tier) {
+/**
+ * Placeholder for the page ID of another sample record; deploy fills it in
+ * once that record exists
+ * @param {string} database - Database the record is sample data for
+ * @param {number} index - Position of the record in that database's sample data
+ * @returns {string} e.g. sample:projects:0
+ */
+function sampleReference(database, index) {
+  return `sample:${database}:${index}`;
+}
+
+function generateSampleTasks(tier, projects = []) {
   const taskCount = tier === 'starter' ? 10 : tier === 'professional' ? 25 : 40;
   const tasks = [];
   
@@ -350,11 +448,16 @@ function generateSampleTasks(tier) {
     tasks.push({
       title: `${taskTypes[i % taskTypes.length]} - Task ${i}`,
       status: i % 3 === 0 ? 'Completed' : i % 3 === 1 ? 'In Progress' : 'Not Started',
-      priority: i % 4 === 0 ? 'High' : 'Normal',
-      dueDate: new Date(Date.now() + i * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+      priority: i % 4 === 0 ? 'High' : 'Medium',
+      dueDate: new Date(Date.now() + i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+      // Tasks take turns across the sample projects
+      ...(projects.length > 0 ? { projectId: sampleReference('projects', (i - 1) % projects.length) } : {}),
     });
   }
   
+  // Sample tasks are created through NotionAPI.createTask, so they must pass the same schema
+  tasks.forEach(task => Joi.assert(task, taskSchema));
+  
   return tasks;
 }
 
@@ -362,19 +465,19 @@ function generateSampleClients(tier, client) {
   return [
     {
       name: client,
-      type: 'Primary Client',
-      contact: 'project@example.com',
+      type: 'Commercial',
+      email: 'project@example.com',
       phone: '(555) 123-4567',
-      status: 'Active'
+      leadSource: 'Referral'
     }
   ];
 }
 
 function generateSampleMaterials(tier) {
   return [
-    { name: 'Concrete', unit: 'cubic yards', cost: 120, supplier: 'ABC Concrete' },
-    { name: 'Steel Rebar', unit: 'tons', cost: 800, supplier: 'Steel Supply Co' },
-    { name: '2x4 Lumber', unit: 'board feet', cost: 0.75, supplier: 'Lumber Depot' }
+    { name: 'Concrete', category: 'Concrete', quantity: 40, unit: 'Cubic Yards', cost: 120, status: 'Ordered', notes: 'Supplier: ABC Concrete' },
+    { name: 'Steel Rebar', category: 'Steel', quantity: 6, unit: 'Tons', cost: 800, status: 'Ordered', notes: 'Supplier: Steel Supply Co' },
+    { name: '2x4 Lumber', category: 'Lumber', quantity: 2000, unit: 'Linear Feet', cost: 0.75, status: 'Ordered', notes: 'Supplier: Lumber Depot' }
   ];
 }
 
@@ -437,38 +540,26 @@ function getPackageVersion() {
   }
 }
 
-function generateDefaultSchemas(tier) {
-  // Fallback schemas if files don't exist
-  return [
-    {
-      name: 'projects',
-      schema: {
-        title: 'Projects',
-        properties: {
-          'Name': { type: 'title' },
-          'Status': { type: 'select', options: ['Planning', 'In Progress', 'Completed'] },
-          'Budget': { type: 'number', format: 'dollar' }
-        }
-      },
-      tier
-    }
-  ];
-}
-
 // CLI setup
+const program = new Command();
 program
   .name('build-template')
   .description('Build construction template for deployment')
   .requiredOption('--tier <tier>', 'Template tier (starter|professional|enterprise)')
   .requiredOption('--client <client>', 'Client/company name')
   .option('--sample-data <boolean>', 'Include sample data', 'true')
+  .option('--parent-page <pageId>', 'Notion page the client workspace is deployed under')
+  .option('--json', 'Write build events to stdout as NDJSON (other output goes to stderr)')
   .action(async (options) => {
+    const output = commandOutput({ json: options.json, progress: false });
     try {
       const sampleData = options.sampleData === 'true';
       const result = await buildTemplate({
         tier: options.tier,
         client: options.client,
-        sampleData
+        sampleData,
+        parentPageId: options.parentPage,
+        eventStream: output.eventStream,
       });
       
       console.log('✅ Build completed successfully');
@@ -487,5 +578,5 @@ if (require.main === module) {
 
 module.exports = {
   buildTemplate,
-  templateConfigs
+  templateConfigs,
 };
\ No newline at end of file
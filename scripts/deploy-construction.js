@@ -5,82 +5,364 @@
  * Deploys the built template to a Notion workspace
  */
 
-const { Client } = require('@notionhq/client');
+const { createNotionClient } = require('../src/api/client');
+const { withPriority, getSharedScheduler } = require('../src/api/scheduler');
 const fs = require('fs').promises;
 const path = require('path');
+const NotionAPI = require('../src/api');
+const { createCodec } = require('../src/api/codec');
+const { notionProperty } = require('../src/schemas/define');
+const { WorkspaceManifest } = require('../src/api/manifest');
+const {
+  databaseMarker,
+  hasMarker,
+  diffProperties,
+  linkedProperties,
+  plainText,
+  propertyType,
+} = require('../src/api/reconcile');
+const { formulaLayers, formulaReferences } = require('../src/api/formulas');
+const { dashboardTitle, databaseKpis, dashboardBlocks } = require('../src/api/dashboards');
+const { collect } = require('../src/api/pagination');
+const { TaskGraph } = require('../src/api/pipeline');
+const { loadProfile, profileToken } = require('../src/api/profiles');
+const logger = require('../src/utils/logger');
+const { EventLog } = require('../src/utils/events');
+const { commandOutput } = require('../src/utils/progress');
+const { Command } = require('commander');
 require('dotenv').config();
 
+// Sample records inserted per newly created database
+const SAMPLE_RECORD_LIMIT = 5;
+// Sample records refer to other sample records' pages as sample:<database>:<index>
+const SAMPLE_REFERENCE = /^sample:([a-z-]+):(\d+)$/;
+
+// Property types added in the relations phase, once the databases they link exist
+const LINK_TYPES = ['relation', 'rollup', 'formula'];
+
+// Sub-pages of the client's root page; every deployed resource lives under one
+const PAGE_SECTIONS = {
+  databases: 'Databases',
+  dashboards: 'Dashboards',
+  documentation: 'Documentation',
+};
+
+// Phases of the deployment graph, in dependency order, with the checkpoint
+// step recorded once all of a phase's tasks have finished
+const GRAPH_PHASES = {
+  pages: { step: 'pages_deployed', label: 'Page tree' },
+  databases: { step: 'databases_deployed', label: 'Databases' },
+  relations: { step: 'relations_linked', label: 'Relations, rollups and formulas' },
+  records: { step: 'sample_data_deployed', label: 'Sample data' },
+  dashboards: { step: 'views_deployed', label: 'Dashboards' },
+};
+
+// Checkpoint files, one per deployment ID
+const CHECKPOINT_DIR = path.join('dist', 'deployments');
+
 // Deployment state management
 let deploymentState = {
+  deploymentId: null,
+  profile: null,
   client: null,
   tier: null,
+  environment: null,
+  manifestDir: null,
+  parentPageId: null,
+  sampleData: null,
+  buildFile: null,
   startTime: null,
+  manifest: null,
+  pageIds: {},
   completedSteps: [],
   createdResources: [],
+  reconciledResources: [],
+  links: [],
+  sampleRecords: {},
+  samplePageIds: {},
+  phases: {},
   errors: []
 };
 
-async function deployConstructionTemplate() {
-  console.log('🚀 Starting construction template deployment...');
+// Checkpoint writes queue behind each other so concurrent tasks never race on the temp file
+let checkpointQueue = Promise.resolve();
+
+// Kept out of deploymentState so it never reaches checkpoints or deployment metadata
+let notionToken = null;
+
+// Structured events of the running deployment (see src/utils/events.js)
+let events = null;
+
+function resetDeploymentState() {
+  deploymentState = {
+    ...deploymentState,
+    deploymentId: null,
+    profile: null,
+    environment: null,
+    manifestDir: null,
+    parentPageId: null,
+    sampleData: null,
+    buildFile: null,
+    startTime: Date.now(),
+    pageIds: {},
+    completedSteps: [],
+    createdResources: [],
+    reconciledResources: [],
+    links: [],
+    sampleRecords: {},
+    samplePageIds: {},
+    phases: {},
+    resumed: false,
+    errors: []
+  };
+}
+
+function checkpointPath(deploymentId) {
+  return path.join(CHECKPOINT_DIR, `${deploymentId}.json`);
+}
+
+/**
+ * Persist deployment progress so an interrupted run can be resumed.
+ * The workspace manifest is saved alongside, so resource IDs survive too.
+ * @param {string} status - in_progress, completed, failed or rolled_back
+ * @returns {Promise<void>}
+ */
+function saveCheckpoint(status = 'in_progress') {
+  const write = checkpointQueue.then(() => writeCheckpoint(status));
+  checkpointQueue = write.catch(() => {});
+  return write;
+}
+
+async function writeCheckpoint(status) {
+  if (!deploymentState.deploymentId) {
+    return;
+  }
   
-  deploymentState.startTime = Date.now();
+  const { manifest, ...state } = deploymentState;
+  if (manifest && !manifest.isEmpty()) {
+    await manifest.save();
+  }
   
+  const file = checkpointPath(deploymentState.deploymentId);
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.mkdir(CHECKPOINT_DIR, { recursive: true });
+  await fs.writeFile(temp, JSON.stringify({
+    ...state,
+    status,
+    manifest: manifest ? manifest.file : null,
+    updatedAt: new Date().toISOString(),
+  }, null, 2));
+  await fs.rename(temp, file);
+}
+
+async function loadCheckpoint(deploymentId) {
+  let checkpoint;
   try {
+    checkpoint = JSON.parse(await fs.readFile(checkpointPath(deploymentId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No checkpoint found for deployment ${deploymentId} in ${CHECKPOINT_DIR}`);
+    }
+    throw error;
+  }
+  
+  if (checkpoint.status === 'completed') {
+    throw new Error(`Deployment ${deploymentId} already completed; nothing to resume`);
+  }
+  if (checkpoint.status === 'rolled_back') {
+    throw new Error(`Deployment ${deploymentId} was rolled back; start a new deployment instead`);
+  }
+  return checkpoint;
+}
+
+async function completeStep(step) {
+  if (!deploymentState.completedSteps.includes(step)) {
+    deploymentState.completedSteps.push(step);
+  }
+  await saveCheckpoint();
+}
+
+/**
+ * Deploy the latest build package to the client's workspace
+ * @param {Object} options - Deployment options
+ * @param {boolean} options.rollback - Archive created resources if the deployment fails
+ *   (default true; ROLLBACK_ON_FAILURE=false also turns it off)
+ * @param {string} options.resume - Deployment ID to continue from its last checkpoint
+ * @param {string} options.profile - Deployment profile to take the client, token, parent page,
+ *   tier, sample-data policy and manifest from
+ * @param {string} options.client - Client to deploy (defaults to the profile's, then CLIENT_NAME)
+ * @param {string} options.tier - Tier to deploy (defaults to the profile's, then DEPLOYMENT_TIER)
+ * @param {boolean} options.sampleData - Override the sample-data policy
+ * @param {string} options.buildFile - Build in dist/ to deploy instead of the tier's latest
+ * @param {Function} options.onProgress - Called with each progress event of the deployment graph
+ * @param {Function} options.onEvent - Called with each structured deployment event
+ * @param {Object} options.eventStream - Stream that also receives the events as NDJSON
+ * @returns {Promise<Object>} Deployment report
+ */
+async function deployConstructionTemplate(options = {}) {
+  resetDeploymentState();
+  
+  if (options.resume) {
+    const checkpoint = await loadCheckpoint(options.resume);
+    logger.info(`Resuming deployment ${options.resume} (completed: ${checkpoint.completedSteps.join(', ') || 'nothing'})`);
+    deploymentState = {
+      ...deploymentState,
+      deploymentId: checkpoint.deploymentId,
+      profile: checkpoint.profile || null,
+      client: checkpoint.client,
+      tier: checkpoint.tier,
+      environment: checkpoint.environment || null,
+      manifestDir: checkpoint.manifestDir || null,
+      parentPageId: checkpoint.parentPageId || null,
+      sampleData: checkpoint.sampleData ?? null,
+      buildFile: checkpoint.buildFile,
+      pageIds: checkpoint.pageIds || {},
+      completedSteps: checkpoint.completedSteps,
+      createdResources: checkpoint.createdResources,
+      reconciledResources: checkpoint.reconciledResources,
+      links: checkpoint.links || [],
+      sampleRecords: checkpoint.sampleRecords || {},
+      samplePageIds: checkpoint.samplePageIds || {},
+      errors: checkpoint.errors,
+      resumed: true,
+    };
+  } else {
+    deploymentState.deploymentId = `deploy-${Date.now()}`;
+    logger.info(`Starting deployment ${deploymentState.deploymentId}`);
+  }
+  
+  events = new EventLog(
+    { command: 'deploy', deploymentId: deploymentState.deploymentId },
+    { stream: options.eventStream, onEvent: options.onEvent },
+  );
+  events.emit('run', { outcome: 'started', resumed: deploymentState.resumed });
+  
+  const rollback = options.rollback !== false && process.env.ROLLBACK_ON_FAILURE !== 'false';
+  let notion = null;
+  
+  try {
+    events.phaseStarted('setup');
+    
     // Initialize environment
-    await initializeEnvironment();
+    await initializeEnvironment(options);
     
     // Load build artifacts
     const buildPackage = await loadBuildArtifacts();
     
     // Initialize Notion client
-    const notion = await initializeNotionClient();
+    notion = await initializeNotionClient();
     
-    // Deploy in phases
-    await deployPhase1_Databases(notion, buildPackage);
-    await deployPhase2_Views(notion, buildPackage);
-    await deployPhase3_SampleData(notion, buildPackage);
-    await deployPhase4_Integrations(notion, buildPackage);
-    await deployPhase5_Finalization(notion, buildPackage);
+    events.phaseFinished('setup', 'completed', {
+      client: deploymentState.client,
+      tier: deploymentState.tier,
+      environment: deploymentState.manifest.environment,
+      buildId: buildPackage.buildId,
+    });
+    
+    // Pages, databases, relations, records and dashboards deploy as one
+    // dependency graph; integrations and finalization follow in order.
+    // Phases a resumed deployment already finished are skipped.
+    await deployResources(notion, buildPackage, options.onProgress);
+    const phases = [
+      ['integrations', 'integrations_deployed', deployPhase4_Integrations],
+      ['finalization', 'deployment_finalized', deployPhase5_Finalization],
+    ];
+    for (const [name, step, phase] of phases) {
+      if (deploymentState.completedSteps.includes(step)) {
+        events.phaseFinished(name, 'skipped');
+        continue;
+      }
+      if (options.onProgress) {
+        options.onProgress({ type: 'task', status: 'started', task: name, phase: name });
+      }
+      events.phaseStarted(name);
+      const startedAt = Date.now();
+      await phase(notion, buildPackage);
+      const finishedAt = Date.now();
+      deploymentState.phases[name] = { startedAt, finishedAt, duration: finishedAt - startedAt, tasks: 1, skipped: 0 };
+      events.phaseFinished(name, 'completed', { duration: finishedAt - startedAt, tasks: 1, skipped: 0 });
+      if (options.onProgress) {
+        options.onProgress({ type: 'phase', phase: name, duration: finishedAt - startedAt, tasks: 1, skipped: 0 });
+      }
+    }
     
     // Generate deployment report
     const report = await generateDeploymentReport(buildPackage);
+    await saveCheckpoint('completed');
     
-    console.log('🎉 Deployment completed successfully!');
-    console.log(`⏱️ Total time: ${Date.now() - deploymentState.startTime}ms`);
+    logger.info(`Deployment ${deploymentState.deploymentId} completed in ${Date.now() - deploymentState.startTime}ms`);
     
+    events.emit('run', {
+      duration: Date.now() - deploymentState.startTime,
+      outcome: 'completed',
+      created: report.resources.created,
+      updated: report.resources.updated,
+      unchanged: report.resources.unchanged,
+      errors: report.errors,
+    });
+    await events.close();
     return report;
     
   } catch (error) {
-    console.error('❌ Deployment failed:', error.message);
+    logger.error(`Deployment ${deploymentState.deploymentId} failed: ${error.message}`);
     
     // Attempt cleanup on failure
-    await cleanupFailedDeployment();
+    const rollbackReport = await cleanupFailedDeployment(notion, error, { rollback });
     
+    try {
+      await saveCheckpoint(rollbackReport ? 'rolled_back' : 'failed');
+      if (!rollbackReport && deploymentState.deploymentId) {
+        logger.info(`Resume with: npm run deploy:construction -- --resume ${deploymentState.deploymentId}`);
+      }
+    } catch (checkpointError) {
+      logger.error(`Could not save deployment checkpoint: ${checkpointError.message}`);
+    }
+    
+    events.emit('run', {
+      duration: Date.now() - deploymentState.startTime,
+      outcome: 'failed',
+      error: error.message,
+      rolledBack: Boolean(rollbackReport),
+    });
+    await events.close();
     throw error;
   }
 }
 
-async function initializeEnvironment() {
-  console.log('🔧 Initializing deployment environment...');
-  
-  deploymentState.client = process.env.CLIENT_NAME;
-  deploymentState.tier = process.env.DEPLOYMENT_TIER || 'professional';
+async function initializeEnvironment(options = {}) {
+  // A resumed deployment keeps the profile, client and tier it started with
+  const profileName = deploymentState.resumed ? deploymentState.profile : options.profile;
+  const profile = profileName ? await loadProfile(profileName) : null;
+  if (!deploymentState.resumed) {
+    deploymentState.profile = profile ? profile.name : null;
+    deploymentState.client = options.client || profile?.client || process.env.CLIENT_NAME;
+    deploymentState.tier = options.tier || profile?.tier || process.env.DEPLOYMENT_TIER || 'professional';
+    deploymentState.environment = profile?.environment || null;
+    deploymentState.manifestDir = profile?.manifestDir || null;
+    deploymentState.parentPageId = profile?.parentPageId || null;
+    deploymentState.sampleData = options.sampleData ?? profile?.sampleData ?? null;
+    deploymentState.buildFile = options.buildFile || null;
+  }
   
   if (!deploymentState.client) {
     throw new Error('CLIENT_NAME environment variable is required');
   }
   
-  if (!process.env.NOTION_TOKEN) {
+  notionToken = profile ? profileToken(profile) : process.env.NOTION_TOKEN;
+  if (!notionToken) {
     throw new Error('NOTION_TOKEN environment variable is required');
   }
   
-  console.log(`✅ Environment initialized for ${deploymentState.client} (${deploymentState.tier})`);
-  deploymentState.completedSteps.push('environment_init');
+  deploymentState.manifest = await WorkspaceManifest.load(deploymentState.client, {
+    environment: deploymentState.environment,
+    directory: deploymentState.manifestDir,
+  });
+  
+  logger.info(`Deploying to ${deploymentState.client} (${deploymentState.tier}, ${deploymentState.manifest.environment}${profile ? `, profile ${profile.name}` : ''})`);
+  await completeStep('environment_init');
 }
 
 async function loadBuildArtifacts() {
-  console.log('📦 Loading build artifacts...');
-  
   // Find the latest build file
   const distPath = path.join(process.cwd(), 'dist');
   let buildFile = null;
@@ -95,301 +377,1024 @@ async function loadBuildArtifacts() {
       throw new Error(`No build artifacts found for tier: ${deploymentState.tier}`);
     }
     
-    // Get the most recent build file
-    buildFile = buildFiles.sort().pop();
+    // Get the most recent build file, unless resuming a deployment that started from another
+    buildFile = deploymentState.buildFile || buildFiles.sort().pop();
     
   } catch (error) {
     throw new Error('Build artifacts directory not found. Run build-template.js first.');
   }
+  deploymentState.buildFile = buildFile;
   
   const buildPath = path.join(distPath, buildFile);
   const buildContent = await fs.readFile(buildPath, 'utf8');
   const buildPackage = JSON.parse(buildContent);
   
-  console.log(`✅ Loaded build package: ${buildFile}`);
-  console.log(`   Client: ${buildPackage.client}`);
-  console.log(`   Tier: ${buildPackage.tier}`);
-  console.log(`   Databases: ${buildPackage.schemas?.length || 0}`);
-  console.log(`   Views: ${buildPackage.views?.length || 0}`);
+  logger.info(`Loaded build package ${buildFile}: ${buildPackage.schemas?.length || 0} databases, ${buildPackage.views?.length || 0} views`);
   
-  deploymentState.completedSteps.push('artifacts_loaded');
+  await completeStep('artifacts_loaded');
   return buildPackage;
 }
 
 async function initializeNotionClient() {
-  console.log('🔗 Initializing Notion client...');
-  
-  const notion = new Client({
-    auth: process.env.NOTION_TOKEN,
+  const notion = createNotionClient(notionToken, {
     logLevel: process.env.NODE_ENV === 'development' ? 'debug' : 'warn'
   });
   
   // Test connection
   try {
     const user = await notion.users.me();
-    console.log(`✅ Connected to Notion as: ${user.name}`);
+    logger.info(`Connected to Notion as ${user.name}`);
   } catch (error) {
     throw new Error(`Failed to connect to Notion: ${error.message}`);
   }
   
-  deploymentState.completedSteps.push('notion_connected');
+  await completeStep('notion_connected');
   return notion;
 }
 
-async function deployPhase1_Databases(notion, buildPackage) {
-  console.log('📊 Phase 1: Deploying databases...');
+/**
+ * Deploy the page tree, databases, relations, sample records and dashboards as
+ * one dependency graph. Each task starts as soon as the tasks it needs have
+ * finished, so independent databases, records and dashboards deploy side by
+ * side; the shared scheduler keeps the requests within Notion's rate limit.
+ * @param {Object} notion - Notion client
+ * @param {Object} buildPackage - Build package
+ * @param {Function} onProgress - Called with each progress event
+ * @returns {Promise<void>}
+ */
+async function deployResources(notion, buildPackage, onProgress) {
+  const graph = deploymentGraph(notion, buildPackage);
+  const announced = new Set();
+  graph.on('progress', event => {
+    if (event.type === 'task' && event.status === 'started' && !announced.has(event.phase)) {
+      announced.add(event.phase);
+      events.phaseStarted(event.phase);
+    }
+    // The <phase>:done checkpoint tasks are reported by their phase's event
+    if (event.type === 'task' && event.status !== 'started' && event.task !== `${event.phase}:done`) {
+      events.emit('resource', {
+        phase: event.phase,
+        resource: event.task,
+        duration: event.duration,
+        outcome: event.status === 'completed' ? event.result || 'completed' : event.status,
+        ...(event.error ? { error: event.error } : {}),
+      });
+    }
+    if (event.type === 'phase') {
+      events.phaseFinished(event.phase, event.tasks > 0 ? 'completed' : 'skipped', {
+        duration: event.duration,
+        tasks: event.tasks,
+        skipped: event.skipped,
+      });
+    }
+    if (onProgress) {
+      onProgress(event);
+    }
+  });
   
-  const databases = buildPackage.schemas || [];
-  const createdDatabases = [];
+  Object.assign(deploymentState.phases, await graph.run());
+}
+
+/**
+ * Tasks of a deployment and what each waits for:
+ * - page:<section> after page:root
+ * - database:<name> after the Databases section
+ * - relations:<name> after its database and the databases it relates to
+ * - computed:<name> (rollups, then formulas) after the relations of every
+ *   database linking to it, since rollups can run over synced properties
+ * - records:<name> after its computed properties and the sample records its
+ *   own sample records link to
+ * - dashboard:<view> after the records of the databases it reports on
+ * Each phase ends with a <phase>:done task that records its checkpoint step.
+ * @param {Object} notion - Notion client
+ * @param {Object} buildPackage - Build package
+ * @returns {TaskGraph} Deployment graph
+ */
+function deploymentGraph(notion, buildPackage) {
+  const graph = new TaskGraph();
+  const schemas = buildPackage.schemas || [];
+  const live = new Map();
+  const add = (id, phase, dependsOn, run) => graph.add(id, {
+    phase,
+    dependsOn,
+    run,
+    skip: deploymentState.completedSteps.includes(GRAPH_PHASES[phase].step),
+  });
+  const targets = dbSchema => (dbSchema.schema.relationships || [])
+    .map(relationship => relationship.target)
+    .filter(target => schemas.some(entry => entry.name === target));
   
-  for (const dbSchema of databases) {
-    console.log(`   Creating database: ${dbSchema.name}`);
+  const deployPage = name => async () => {
+    await getOrCreatePage(notion, buildPackage, name);
+    return deploymentState.createdResources.some(resource => resource.type === 'page' && resource.name === name)
+      ? 'created'
+      : 'unchanged';
+  };
+  add('page:root', 'pages', [], deployPage('root'));
+  Object.keys(PAGE_SECTIONS).forEach(name => {
+    add(`page:${name}`, 'pages', ['page:root'], deployPage(name));
+  });
+  
+  schemas.forEach(dbSchema => {
+    add(`database:${dbSchema.name}`, 'databases', ['page:databases'], () => deployDatabase(notion, buildPackage, dbSchema, live));
+  });
+  
+  schemas.forEach((dbSchema, index) => {
+    // Databases relating to each other link one after the other, so each sees
+    // the synced property the other added
+    const mutual = schemas.slice(0, index)
+      .filter(other => targets(other).includes(dbSchema.name) && targets(dbSchema).includes(other.name));
+    add(`relations:${dbSchema.name}`, 'relations', [
+      `database:${dbSchema.name}`,
+      ...targets(dbSchema).map(target => `database:${target}`),
+      ...mutual.map(other => `relations:${other.name}`),
+    ], () => linkRelations(notion, buildPackage, dbSchema, live));
+  });
+  schemas.forEach(dbSchema => {
+    const linkedFrom = schemas.filter(other => other === dbSchema || targets(other).includes(dbSchema.name));
+    add(`computed:${dbSchema.name}`, 'relations', linkedFrom.map(other => `relations:${other.name}`), () => (
+      linkComputedProperties(notion, buildPackage, dbSchema)
+    ));
+  });
+  
+  schemas.forEach(dbSchema => {
+    const referenced = sampleReferences(buildPackage.sampleData?.[dbSchema.name])
+      .filter(name => name !== dbSchema.name && schemas.some(entry => entry.name === name));
+    add(`records:${dbSchema.name}`, 'records', [
+      `computed:${dbSchema.name}`,
+      ...referenced.map(name => `records:${name}`),
+    ], () => deploySampleRecords(notion, buildPackage, dbSchema));
+  });
+  
+  // Dashboards run after the sample data so their figures reflect the deployed records
+  (buildPackage.views || []).forEach(view => {
+    add(`dashboard:${view.name}`, 'dashboards', [
+      'page:dashboards',
+      ...dashboardDatabases(view, buildPackage).map(dbSchema => `records:${dbSchema.name}`),
+    ], () => deployDashboard(notion, buildPackage, view));
+  });
+  
+  Object.entries(GRAPH_PHASES).forEach(([phase, { step }]) => {
+    const tasks = [...graph.tasks.values()].filter(task => task.phase === phase).map(task => task.id);
+    add(`${phase}:done`, phase, tasks, () => completeStep(step));
+  });
+  return graph;
+}
+
+/**
+ * Reconcile one database and record where it lives. Failures are recorded in
+ * the report rather than thrown, so the rest of the graph carries on.
+ * @param {Object} notion - Notion client
+ * @param {Object} buildPackage - Build package
+ * @param {Object} dbSchema - { name, schema } entry from the build package
+ * @param {Map} live - Live databases by ID, for the relations task to start from
+ * @returns {Promise<string>} created, updated, unchanged or failed
+ */
+async function deployDatabase(notion, buildPackage, dbSchema, live) {
+  const done = deploymentState.reconciledResources.find(resource => (
+    resource.type === 'database' && resource.name === dbSchema.name
+  ));
+  if (done) {
+    return done.outcome;
+  }
+  
+  try {
+    const { outcome, database, changes } = await reconcileDatabase(notion, dbSchema, buildPackage);
+    if (changes.length > 0) {
+      logger.info(`Database ${dbSchema.name} ${outcome}: ${changes.map(describeChange).join(', ')}`);
+    }
     
+    if (database.properties) {
+      live.set(database.id, database);
+    }
+    recordOutcome({ type: 'database', name: dbSchema.name, id: database.id }, outcome);
+    deploymentState.manifest.setDatabase(dbSchema.name, {
+      id: database.id,
+      title: dbSchema.schema.title || dbSchema.name,
+      schema: dbSchema.schema,
+      schemaVersion: dbSchema.schema.version || buildPackage.version,
+      buildId: buildPackage.buildId,
+    });
+    await saveCheckpoint();
+    return outcome;
+    
+  } catch (error) {
+    logger.error(`Failed to reconcile database ${dbSchema.name}: ${error.message}`);
+    deploymentState.errors.push({
+      phase: 'databases',
+      resource: dbSchema.name,
+      error: error.message
+    });
+    return 'failed';
+  }
+}
+/**
+ * Bring one database in line with the build: leave it, update it, or create it
+ * @param {Object} notion - Notion client
+ * @param {Object} dbSchema - { name, schema } entry from the build package
+ * @param {Object} buildPackage - Build package
+ * @returns {Promise<Object>} { outcome: created|updated|unchanged, database, changes }
+ */
+async function reconcileDatabase(notion, dbSchema, buildPackage) {
+  const { existing, update, changes, extra } = await diffDatabase(notion, dbSchema, buildPackage);
+  
+  if (!existing) {
+    const database = await createDatabase(notion, dbSchema, buildPackage);
+    return { outcome: 'created', database, changes: [] };
+  }
+  
+  if (extra.length > 0) {
+    // Never drop columns on a redeploy; they may hold the client's data
+    logger.info(`Keeping ${dbSchema.name} properties not in the build: ${extra.join(', ')}`);
+  }
+  
+  if (!update) {
+    return { outcome: 'unchanged', database: existing, changes };
+  }
+  
+  const database = await notion.databases.update({ database_id: existing.id, ...update });
+  return { outcome: 'updated', database, changes };
+}
+
+/**
+ * Compare one build database with its live copy, without writing anything.
+ * Relations, rollups and formulas are left to the relations phase and never count as extra.
+ * @param {Object} notion - Notion client
+ * @param {Object} dbSchema - { name, schema } entry from the build package
+ * @param {Object} buildPackage - Build package
+ * @returns {Promise<Object>} { existing, update (databases.update body or null), changes, extra }
+ */
+async function diffDatabase(notion, dbSchema, buildPackage) {
+  const clientName = buildPackage.client;
+  const title = databaseTitle(clientName, dbSchema);
+  const marker = databaseMarker(clientName, dbSchema.name);
+  const desired = convertSchemaToNotionProperties(dbSchema.schema);
+  const existing = await findExistingDatabase(notion, buildPackage, dbSchema.name, title, marker);
+  
+  if (!existing) {
+    return {
+      existing: null,
+      update: null,
+      changes: Object.entries(desired).map(([property, config]) => ({ property, action: 'add', to: propertyType(config) })),
+      extra: [],
+    };
+  }
+  
+  const { patch, changes, extra } = diffProperties(existing.properties, desired);
+  const managed = managedLinks(dbSchema, buildPackage);
+  const update = {};
+  
+  if (Object.keys(patch).length > 0) {
+    update.properties = patch;
+  }
+  if (plainText(existing.title) !== title) {
+    update.title = [{ type: 'text', text: { content: title } }];
+    changes.push({ property: 'title', action: 'rename', from: plainText(existing.title), to: title });
+  }
+  if (!hasMarker(existing, marker)) {
+    const description = [plainText(existing.description), marker].filter(Boolean).join('\n');
+    update.description = [{ type: 'text', text: { content: description } }];
+  }
+  
+  return {
+    existing,
+    update: Object.keys(update).length > 0 ? update : null,
+    changes,
+    extra: extra.filter(name => !managed.has(name)),
+  };
+}
+
+/**
+ * Find the live copy of a database: the manifest entry first, then the
+ * description marker (for workspaces deployed without a manifest on disk)
+ * @param {Object} notion - Notion client
+ * @param {Object} buildPackage - Build package
+ * @param {string} name - Logical database name
+ * @param {string} title - Expected database title
+ * @param {string} marker - Description marker
+ * @returns {Promise<Object|null>} Notion database, or null when none exists
+ */
+async function findExistingDatabase(notion, buildPackage, name, title, marker) {
+  const entry = deploymentState.manifest.database(name);
+  
+  if (entry) {
     try {
-      const database = await createDatabase(notion, dbSchema, buildPackage.client);
-      createdDatabases.push(database);
-      deploymentState.createdResources.push({
-        type: 'database',
-        name: dbSchema.name,
-        id: database.id
-      });
-      
-      // Add delay to respect rate limits
-      await sleep(1000);
-      
+      const database = await notion.databases.retrieve({ database_id: entry.id });
+      if (!database.archived && !database.in_trash) {
+        return database;
+      }
+      logger.warn(`Database ${name} was archived in Notion, deploying a replacement`);
     } catch (error) {
-      console.error(`   ❌ Failed to create database ${dbSchema.name}: ${error.message}`);
-      deploymentState.errors.push({
-        phase: 'databases',
-        resource: dbSchema.name,
-        error: error.message
-      });
+      if (error.code !== 'object_not_found') {
+        throw error;
+      }
+      logger.warn(`Database ${name} is no longer shared with the integration, deploying a replacement`);
+    }
+    return null;
+  }
+  
+  // Markers only name the client, and other profiles' workspaces (staging,
+  // production) may share the integration, so only this tree's databases count
+  const sectionId = await findTreePage(notion, buildPackage, 'databases');
+  if (!sectionId) {
+    return null;
+  }
+  
+  const api = new NotionAPI(notionToken, { client: notion });
+  for await (const result of api.searchAll({
+    query: title,
+    filter: { property: 'object', value: 'database' }
+  })) {
+    if (!result.archived && hasMarker(result, marker) && result.parent?.page_id === sectionId) {
+      return result;
+    }
+  }
+  return null;
+}
+
+/**
+ * Relation, rollup and formula properties a database gets in the relations phase; these are
+ * skipped when properties are created and never reported as extra
+ * @param {Object} dbSchema - { name, schema } entry from the build package
+ * @param {Object} buildPackage - Build package
+ * @returns {Set<string>} Property names
+ */
+function managedLinks(dbSchema, buildPackage) {
+  const schemas = Object.fromEntries((buildPackage.schemas || []).map(entry => [entry.name, entry.schema]));
+  const declared = Object.entries(dbSchema.schema.properties || {})
+    .filter(([, prop]) => LINK_TYPES.includes(prop.type))
+    .map(([name]) => name);
+  return new Set([...(linkedProperties(schemas)[dbSchema.name] || []), ...declared]);
+}
+
+/**
+ * Relations, rollups and formulas a database still lacks. A relationship is
+ * only linked when its target is part of the build or already recorded in the
+ * manifest; a formula only once everything it references exists.
+ * @param {Object} dbSchema - { name, schema } entry from the build package
+ * @param {Object} properties - Live properties ({} for a database not created yet)
+ * @param {Object} buildPackage - Build package
+ * @param {Set<string>} pending - Relation names that will exist by the time rollups are added
+ * @returns {Object} { relations, rollups: [[name, prop]], formulas: [[names]] in dependency
+ *   order, skipped: [relationship], blocked: [formula names] }
+ */
+function diffLinks(dbSchema, properties, buildPackage, pending = new Set()) {
+  const deployable = name => (buildPackage.schemas || []).some(entry => entry.name === name) ||
+    Boolean(deploymentState.manifest.database(name));
+  const relationships = dbSchema.schema.relationships || [];
+  const relations = relationships.filter(relationship => (
+    deployable(relationship.target) && properties[relationship.property]?.type !== 'relation'
+  ));
+  const available = new Set([
+    ...Object.keys(properties).filter(name => properties[name].type === 'relation'),
+    ...relations.map(relationship => relationship.property),
+    ...pending,
+  ]);
+  const rollups = Object.entries(dbSchema.schema.properties || {})
+    .filter(([name, prop]) => prop.type === 'rollup' && !properties[name] && available.has(prop.relation));
+  
+  // Plain properties exist after the first pass; formulas join as their layer is added
+  const schemaProperties = dbSchema.schema.properties || {};
+  const ready = new Set([
+    ...available,
+    ...Object.keys(properties),
+    ...Object.keys(schemaProperties).filter(name => !LINK_TYPES.includes(schemaProperties[name].type)),
+    ...rollups.map(([name]) => name),
+  ]);
+  const blocked = [];
+  const formulas = [];
+  formulaLayers(schemaProperties).forEach(layer => {
+    const missing = layer.filter(name => !properties[name]);
+    const added = missing.filter(name => (
+      formulaReferences(schemaProperties[name].expression).every(reference => ready.has(reference))
+    ));
+    blocked.push(...missing.filter(name => !added.includes(name)));
+    added.forEach(name => ready.add(name));
+    if (added.length > 0) {
+      formulas.push(added);
+    }
+  });
+  
+  return {
+    relations,
+    rollups,
+    formulas,
+    skipped: relationships.filter(relationship => !deployable(relationship.target)),
+    blocked,
+  };
+}
+
+function hasLinks(dbSchema) {
+  return (dbSchema.schema.relationships || []).length > 0 ||
+    Object.values(dbSchema.schema.properties || {}).some(prop => LINK_TYPES.includes(prop.type));
+}
+
+/**
+ * Add a database's missing relation properties, then give their synced duals
+ * the names the schema asks for. Checked against the live database first, so
+ * reruns only add what's missing.
+ * @param {Object} notion - Notion client
+ * @param {Object} buildPackage - Build package
+ * @param {Object} dbSchema - { name, schema } entry from the build package
+ * @param {Map} live - Live databases by ID, as the databases task left them
+ * @returns {Promise<string>} updated, unchanged, skipped (nothing to link) or failed
+ */
+async function linkRelations(notion, buildPackage, dbSchema, live) {
+  const manifest = deploymentState.manifest;
+  if (!manifest.database(dbSchema.name) || !hasLinks(dbSchema)) {
+    return 'skipped';
+  }
+  
+  try {
+    const id = manifest.databaseId(dbSchema.name);
+    let database = live.get(id) || await notion.databases.retrieve({ database_id: id });
+    const { relations, skipped } = diffLinks(dbSchema, database.properties, buildPackage);
+    skipped.forEach(relationship => {
+      logger.warn(`Skipping ${dbSchema.name}.${relationship.property}: ${relationship.target} is not deployed`);
+    });
+    
+    if (relations.length > 0) {
+      const properties = Object.fromEntries(relations.map(relationship => [
+        relationship.property,
+        relationProperty(relationship, manifest.databaseId(relationship.target)),
+      ]));
+      database = await notion.databases.update({ database_id: id, properties });
+      relations.forEach(relationship => recordLink(dbSchema.name, relationship.property, 'relation', id));
+    }
+    
+    await renameSyncedProperties(notion, dbSchema, database);
+    return relations.length > 0 ? 'updated' : 'unchanged';
+  } catch (error) {
+    logger.error(`Failed to link relations for ${dbSchema.name}: ${error.message}`);
+    deploymentState.errors.push({ phase: 'relations', resource: dbSchema.name, error: error.message });
+    return 'failed';
+  }
+}
+
+/**
+ * Add a database's missing rollups, then its formulas one dependency layer at
+ * a time. Runs once every relation touching the database is in place; formulas
+ * already deployed are left alone, since Notion returns their expressions with
+ * internal property IDs.
+ * @param {Object} notion - Notion client
+ * @param {Object} buildPackage - Build package
+ * @param {Object} dbSchema - { name, schema } entry from the build package
+ * @returns {Promise<string>} updated, unchanged, skipped (nothing to link) or failed
+ */
+async function linkComputedProperties(notion, buildPackage, dbSchema) {
+  const manifest = deploymentState.manifest;
+  if (!manifest.database(dbSchema.name) || !hasLinks(dbSchema)) {
+    return 'skipped';
+  }
+  
+  const id = manifest.databaseId(dbSchema.name);
+  let added = 0;
+  let outcome = null;
+  let database = null;
+  try {
+    // Other databases' relations may have added synced properties since it was last read
+    database = await notion.databases.retrieve({ database_id: id });
+    const { rollups } = diffLinks(dbSchema, database.properties, buildPackage);
+    if (rollups.length > 0) {
+      const properties = Object.fromEntries(rollups.map(([name, prop]) => [name, rollupProperty(prop)]));
+      database = await notion.databases.update({ database_id: id, properties });
+      added += rollups.length;
+      rollups.forEach(([name]) => recordLink(dbSchema.name, name, 'rollup', id));
     }
+  } catch (error) {
+    logger.error(`Failed to add rollups to ${dbSchema.name}: ${error.message}`);
+    deploymentState.errors.push({ phase: 'rollups', resource: dbSchema.name, error: error.message });
+    outcome = 'failed';
+  }
+  if (!database) {
+    return outcome;
   }
   
-  console.log(`✅ Phase 1 completed: ${createdDatabases.length}/${databases.length} databases created`);
-  deploymentState.completedSteps.push('databases_deployed');
-  return createdDatabases;
+  try {
+    const { formulas, blocked } = diffLinks(dbSchema, database.properties, buildPackage);
+    blocked.forEach(name => {
+      logger.warn(`Skipping ${dbSchema.name}.${name}: a property it references is missing`);
+    });
+    
+    // Each layer only references properties and formulas that already exist
+    for (const layer of formulas) {
+      const properties = Object.fromEntries(layer.map(name => [
+        name,
+        { formula: { expression: dbSchema.schema.properties[name].expression } },
+      ]));
+      database = await notion.databases.update({ database_id: id, properties });
+      added += layer.length;
+      layer.forEach(name => recordLink(dbSchema.name, name, 'formula', id));
+    }
+  } catch (error) {
+    logger.error(`Failed to add formulas to ${dbSchema.name}: ${error.message}`);
+    deploymentState.errors.push({ phase: 'formulas', resource: dbSchema.name, error: error.message });
+    outcome = 'failed';
+  }
+  
+  await saveCheckpoint();
+  return outcome || (added > 0 ? 'updated' : 'unchanged');
+}
+
+/**
+ * Notion names the synced side of a dual relation itself ("Related to …");
+ * rename it on the target to the relationship's syncedProperty
+ * @param {Object} notion - Notion client
+ * @param {Object} dbSchema - Source database entry from the build package
+ * @param {Object} database - Live source database
+ * @returns {Promise<void>}
+ */
+async function renameSyncedProperties(notion, dbSchema, database) {
+  for (const relationship of dbSchema.schema.relationships || []) {
+    const synced = database.properties[relationship.property]?.relation?.dual_property?.synced_property_name;
+    if (!relationship.syncedProperty || !synced || synced === relationship.syncedProperty) {
+      continue;
+    }
+    
+    const targetId = deploymentState.manifest.databaseId(relationship.target);
+    await notion.databases.update({
+      database_id: targetId,
+      properties: { [synced]: { name: relationship.syncedProperty } },
+    });
+  }
 }
 
-async function createDatabase(notion, dbSchema, clientName) {
+function relationProperty(relationship, databaseId) {
+  return {
+    relation: relationship.syncedProperty
+      ? { database_id: databaseId, type: 'dual_property', dual_property: {} }
+      : { database_id: databaseId, type: 'single_property', single_property: {} },
+  };
+}
+
+function rollupProperty(prop) {
+  return {
+    rollup: {
+      relation_property_name: prop.relation,
+      rollup_property_name: prop.property,
+      function: prop.function,
+    },
+  };
+}
+
+/**
+ * Track a property linked in the relations phase. Links are not cleanup
+ * candidates: archiving the databases they live on removes them.
+ * @param {string} database - Logical database name
+ * @param {string} property - Property name
+ * @param {string} type - relation, rollup or formula
+ * @param {string} id - Notion database ID
+ */
+function recordLink(database, property, type, id) {
+  deploymentState.links.push({ database, property, type, id });
+}
+
+function databaseTitle(clientName, dbSchema) {
+  return `${clientName} - ${dbSchema.schema.title || dbSchema.name}`;
+}
+
+function describeChange(change) {
+  switch (change.action) {
+  case 'add':
+    return `+ ${change.property} (${change.to})`;
+  case 'rename':
+    return `~ ${change.from} -> ${change.to}`;
+  case 'remove':
+    return `- ${change.property} (${change.from}, not in the build; kept)`;
+  default:
+    return `~ ${change.property} ${change.detail || `${change.from} -> ${change.to}`}`;
+  }
+}
+
+/**
+ * Track what happened to a resource; only created resources are cleanup candidates
+ * @param {Object} resource - { type, name, id }
+ * @param {string} outcome - created, updated or unchanged
+ */
+function recordOutcome(resource, outcome) {
+  deploymentState.reconciledResources.push({ ...resource, outcome });
+  if (outcome === 'created') {
+    deploymentState.createdResources.push(resource);
+  }
+}
+
+function countOutcomes(type) {
+  const counts = { created: 0, updated: 0, unchanged: 0 };
+  deploymentState.reconciledResources
+    .filter(resource => !type || resource.type === type)
+    .forEach(resource => {
+      counts[resource.outcome] += 1;
+    });
+  return counts;
+}
+
+async function createDatabase(notion, dbSchema, buildPackage) {
+  const clientName = buildPackage.client;
   // Convert our schema format to Notion's format
   const notionProperties = convertSchemaToNotionProperties(dbSchema.schema);
   
   const database = await notion.databases.create({
     parent: {
       type: 'page_id',
-      page_id: await getOrCreateParentPage(notion, clientName)
+      page_id: await getOrCreatePage(notion, buildPackage, 'databases')
     },
     title: [
       {
         type: 'text',
         text: {
-          content: `${clientName} - ${dbSchema.schema.title || dbSchema.name}`
+          content: databaseTitle(clientName, dbSchema)
         }
       }
     ],
+    description: [
+      {
+        type: 'text',
+        text: { content: databaseMarker(clientName, dbSchema.name) }
+      }
+    ],
     properties: notionProperties
   });
   
   return database;
 }
 
-async function getOrCreateParentPage(notion, clientName) {
-  // For simplicity, we'll create databases in the workspace root
-  // In a full implementation, you'd create a dedicated parent page
-  
-  // Search for existing parent page or create one
-  const searchResults = await notion.search({
-    query: `${clientName} Construction Management`,
-    filter: { property: 'object', value: 'page' }
-  });
+/**
+ * Page the client's workspace is created under: the profile's parent page,
+ * NOTION_PARENT_PAGE_ID, else the parent page the build was configured with
+ * (--parent-page)
+ * @param {Object} buildPackage - Build package
+ * @returns {string|null} Page ID
+ */
+function configuredParentPageId(buildPackage) {
+  return deploymentState.parentPageId || process.env.NOTION_PARENT_PAGE_ID || buildPackage.config?.workspace?.parentPageId || null;
+}
+
+/**
+ * Whether sample records go into newly created databases: the profile's
+ * policy when deploying with one, else INCLUDE_SAMPLE_DATA (default yes).
+ * Either way only builds made with sample data have any to add.
+ * @param {Object} buildPackage - Build package
+ * @returns {boolean} True to add sample records
+ */
+function includeSampleData(buildPackage) {
+  if (!buildPackage.sampleData) {
+    return false;
+  }
+  return deploymentState.sampleData ?? process.env.INCLUDE_SAMPLE_DATA !== 'false';
+}
+
+/**
+ * ID of a page in the client's tree, creating it under its parent when missing
+ * @param {Object} notion - Notion client
+ * @param {Object} buildPackage - Build package
+ * @param {string} name - "root" or a PAGE_SECTIONS key
+ * @returns {Promise<string>} Page ID
+ */
+async function getOrCreatePage(notion, buildPackage, name) {
+  const existing = await findTreePage(notion, buildPackage, name);
+  if (existing) {
+    return existing;
+  }
   
-  if (searchResults.results.length > 0) {
-    return searchResults.results[0].id;
+  const parentId = name === 'root'
+    ? configuredParentPageId(buildPackage)
+    : await getOrCreatePage(notion, buildPackage, 'root');
+  if (!parentId) {
+    // Integrations can only create pages under a page that is shared with them
+    throw new Error(`No parent page configured for ${buildPackage.client}: set NOTION_PARENT_PAGE_ID or build with --parent-page`);
   }
   
-  // Create parent page
+  const title = treePageTitle(buildPackage.client, name);
   const page = await notion.pages.create({
-    parent: { type: 'workspace', workspace: true },
+    parent: { type: 'page_id', page_id: parentId },
     properties: {
       title: [
         {
           type: 'text',
-          text: { content: `${clientName} Construction Management` }
+          text: { content: title }
         }
       ]
     }
   });
   
+  deploymentState.manifest.setPage(name, { id: page.id, title, buildId: buildPackage.buildId });
+  recordOutcome({ type: 'page', name, id: page.id }, 'created');
+  deploymentState.pageIds[name] = page.id;
+  await saveCheckpoint();
   return page.id;
 }
 
-function convertSchemaToNotionProperties(schema) {
-  const properties = {};
-  
-  // Default properties for construction projects
-  const defaultProperties = {
-    'Name': {
-      title: {}
-    },
-    'Status': {
-      select: {
-        options: [
-          { name: 'Planning', color: 'yellow' },
-          { name: 'In Progress', color: 'blue' },
-          { name: 'Completed', color: 'green' },
-          { name: 'On Hold', color: 'red' }
-        ]
-      }
-    },
-    'Created': {
-      created_time: {}
-    }
-  };
+/**
+ * Locate a page of the client's tree: the manifest entry first, then a child
+ * page with the exact title under the page it belongs to
+ * @param {Object} notion - Notion client
+ * @param {Object} buildPackage - Build package
+ * @param {string} name - "root" or a PAGE_SECTIONS key
+ * @returns {Promise<string|null>} Page ID, or null when it still has to be created
+ */
+async function findTreePage(notion, buildPackage, name) {
+  if (deploymentState.pageIds[name]) {
+    return deploymentState.pageIds[name];
+  }
+  const manifest = deploymentState.manifest;
+  const recorded = await findExistingPage(notion, manifest.page(name));
+  if (recorded) {
+    deploymentState.pageIds[name] = recorded.id;
+    return recorded.id;
+  }
   
-  // Merge with schema properties if available
-  if (schema.properties) {
-    Object.entries(schema.properties).forEach(([name, prop]) => {
-      properties[name] = convertPropertyToNotion(prop);
-    });
-  } else {
-    // Use default properties
-    Object.assign(properties, defaultProperties);
+  const parentId = name === 'root'
+    ? configuredParentPageId(buildPackage)
+    : await findTreePage(notion, buildPackage, 'root');
+  if (!parentId) {
+    return null;
   }
   
-  return properties;
+  const title = treePageTitle(buildPackage.client, name);
+  const id = await findChildPage(notion, parentId, title);
+  if (id) {
+    manifest.setPage(name, { id, title });
+    deploymentState.pageIds[name] = id;
+  }
+  return id;
 }
 
-function convertPropertyToNotion(prop) {
-  switch (prop.type) {
-    case 'title':
-      return { title: {} };
-    case 'select':
-      return {
-        select: {
-          options: prop.options?.map(opt => ({ name: opt, color: 'default' })) || []
-        }
-      };
-    case 'number':
-      return { number: { format: prop.format || 'number' } };
-    case 'date':
-      return { date: {} };
-    case 'checkbox':
-      return { checkbox: {} };
-    case 'text':
-      return { rich_text: {} };
-    case 'url':
-      return { url: {} };
-    case 'email':
-      return { email: {} };
-    case 'phone':
-      return { phone_number: {} };
-    default:
-      return { rich_text: {} };
-  }
-}
-
-async function deployPhase2_Views(notion, buildPackage) {
-  console.log('👁️ Phase 2: Creating views...');
-  
-  // Note: Notion API doesn't directly support creating views
-  // Views are created automatically with databases
-  // This phase would handle any custom view configurations
-  
-  console.log('✅ Phase 2 completed: Views configured with databases');
-  deploymentState.completedSteps.push('views_deployed');
-}
-
-async function deployPhase3_SampleData(notion, buildPackage) {
-  console.log('📝 Phase 3: Adding sample data...');
-  
-  if (!buildPackage.sampleData || process.env.INCLUDE_SAMPLE_DATA === 'false') {
-    console.log('   Skipping sample data');
-    return;
+/**
+ * ID of the child page with exactly this title under a page
+ * @param {Object} notion - Notion client
+ * @param {string} parentId - Page to look under
+ * @param {string} title - Child page title
+ * @returns {Promise<string|null>} Page ID, or null when there is none
+ */
+async function findChildPage(notion, parentId, title) {
+  const api = new NotionAPI(notionToken, { client: notion });
+  for await (const block of api.childrenAll(parentId)) {
+    if (block.type === 'child_page' && block.child_page.title === title) {
+      return block.id;
+    }
+  }
+  return null;
+}
+
+function treePageTitle(clientName, name) {
+  return name === 'root' ? `${clientName} Construction Management` : PAGE_SECTIONS[name];
+}
+
+function convertSchemaToNotionProperties(schema) {
+  // Relations, rollups and formulas are added once the other databases exist
+  return Object.fromEntries(Object.entries(schema.properties || {})
+    .filter(([, prop]) => !LINK_TYPES.includes(prop.type))
+    .map(([name, prop]) => [name, notionProperty(prop)]));
+}
+
+/**
+ * Insert sample records into a database this deployment created; reruns must
+ * not duplicate records, so databases that already existed get none
+ * @param {Object} notion - Notion client
+ * @param {Object} buildPackage - Build package
+ * @param {Object} dbSchema - { name, schema } entry from the build package
+ * @returns {Promise<string>} created, unchanged (database not new), skipped (no sample data)
+ *   or failed (a record was rejected)
+ */
+async function deploySampleRecords(notion, buildPackage, dbSchema) {
+  if (!includeSampleData(buildPackage)) {
+    return 'skipped';
   }
   
-  // Add sample data to each database
-  for (const resource of deploymentState.createdResources) {
-    if (resource.type === 'database') {
-      await addSampleDataToDatabase(notion, resource, buildPackage.sampleData);
-      await sleep(500); // Rate limiting
+  const resource = deploymentState.createdResources.find(created => (
+    created.type === 'database' && created.name === dbSchema.name
+  ));
+  if (resource) {
+    // Bulk lane: sample writes yield to interactive reads in the shared scheduler
+    const { added, failed } = await addSampleDataToDatabase(withPriority(notion, 'bulk'), resource, dbSchema, buildPackage.sampleData);
+    if (failed) {
+      return 'failed';
     }
+    return added > 0 ? 'created' : 'unchanged';
   }
-  
-  console.log('✅ Phase 3 completed: Sample data added');
-  deploymentState.completedSteps.push('sample_data_deployed');
+  return 'unchanged';
 }
 
-async function addSampleDataToDatabase(notion, database, sampleData) {
+/**
+ * Insert a database's sample records, after any a resumed deployment already
+ * inserted. Stops at the first record Notion rejects and adds it to the
+ * deployment's errors, so sampleRecords only ever counts inserted records.
+ * @param {Object} notion - Notion client
+ * @param {Object} database - Created database resource: { name, id }
+ * @param {Object} dbSchema - { name, schema } entry from the build package
+ * @param {Object} sampleData - Sample records by database name
+ * @returns {Promise<Object>} { added, failed }
+ */
+async function addSampleDataToDatabase(notion, database, dbSchema, sampleData) {
   const dataKey = database.name;
   const data = sampleData[dataKey];
   
   if (!data || !Array.isArray(data)) {
-    return;
+    return { added: 0, failed: false };
   }
   
-  console.log(`   Adding ${data.length} sample records to ${database.name}`);
+  // Pick up after the records a resumed deployment already inserted
+  const inserted = deploymentState.sampleRecords[database.name] || 0;
+  const records = data.slice(inserted, SAMPLE_RECORD_LIMIT);
   
-  for (const record of data.slice(0, 5)) { // Limit to 5 records per database
+  // Tasks go through the typed task API so sample data matches taskSchema
+  const api = database.name === 'tasks'
+    ? new NotionAPI(notionToken, { client: notion, manifest: deploymentState.manifest })
+    : null;
+  
+  let added = 0;
+  for (const sample of records) {
+    const record = resolveSampleReferences(sample);
+    let page;
     try {
-      await notion.pages.create({
-        parent: { database_id: database.id },
-        properties: convertRecordToNotionProperties(record)
-      });
+      if (api) {
+        page = await api.createTask(record);
+      } else {
+        page = await notion.pages.create({
+          parent: { database_id: database.id },
+          properties: convertRecordToNotionProperties(record, dbSchema)
+        });
+      }
     } catch (error) {
-      console.warn(`   ⚠️ Failed to add record to ${database.name}: ${error.message}`);
+      logger.error(`Failed to add sample record ${inserted + added + 1} to ${database.name}: ${error.message}`);
+      deploymentState.errors.push({ phase: 'records', resource: database.name, error: error.message });
+      await saveCheckpoint();
+      return { added, failed: true };
     }
+    
+    added += 1;
+    deploymentState.sampleRecords[database.name] = inserted + added;
+    deploymentState.samplePageIds[database.name] = [...(deploymentState.samplePageIds[database.name] || []), page.id];
+    await saveCheckpoint();
   }
+  return { added, failed: false };
+}
+
+/**
+ * Databases whose sample records a list of sample records links to
+ * @param {Object[]} records - Sample records
+ * @returns {string[]} Database names
+ */
+function sampleReferences(records) {
+  const names = (Array.isArray(records) ? records : [])
+    .flatMap(record => Object.values(record))
+    .map(value => typeof value === 'string' && value.match(SAMPLE_REFERENCE))
+    .filter(Boolean)
+    .map(([, name]) => name);
+  return [...new Set(names)];
+}
+
+/**
+ * Replace links to other sample records with their page IDs; links to
+ * records that were never inserted are left out
+ * @param {Object} record - Sample record
+ * @returns {Object} Record ready to insert
+ */
+function resolveSampleReferences(record) {
+  return Object.fromEntries(Object.entries(record).flatMap(([key, value]) => {
+    const match = typeof value === 'string' && value.match(SAMPLE_REFERENCE);
+    if (!match) {
+      return [[key, value]];
+    }
+    const id = deploymentState.samplePageIds[match[1]]?.[Number(match[2])];
+    return id ? [[key, id]] : [];
+  }));
 }
 
-function convertRecordToNotionProperties(record) {
-  const properties = {};
+function convertRecordToNotionProperties(record, dbSchema) {
+  // Encode against the database's own schema; sample keys the schema
+  // doesn't define are dropped rather than guessed at
+  const codec = createCodec(dbSchema?.schema || { properties: {} });
+  return codec.encode(record, { strict: false });
+}
+
+/**
+ * Create or refresh the dashboard page for one view. A view whose databases
+ * are not part of this deployment gets no dashboard.
+ * @param {Object} notion - Notion client
+ * @param {Object} buildPackage - Build package
+ * @param {Object} view - View configuration from the build
+ * @returns {Promise<string>} created, updated or skipped
+ */
+async function deployDashboard(notion, buildPackage, view) {
+  const name = dashboardPageName(view);
+  const done = deploymentState.reconciledResources.find(resource => resource.type === 'dashboard' && resource.name === name);
+  if (done) {
+    return done.outcome;
+  }
   
-  Object.entries(record).forEach(([key, value]) => {
-    if (key === 'title' || key === 'name') {
-      properties.Name = {
-        title: [{ text: { content: String(value) } }]
-      };
-    } else if (typeof value === 'string' && ['Planning', 'In Progress', 'Completed', 'Active'].includes(value)) {
-      properties.Status = {
-        select: { name: value }
-      };
-    } else if (typeof value === 'number') {
-      properties[key] = {
-        number: value
-      };
-    } else {
-      properties[key] = {
-        rich_text: [{ text: { content: String(value) } }]
-      };
+  const databases = dashboardDatabases(view, buildPackage);
+  if (databases.length === 0) {
+    return 'skipped';
+  }
+  
+  const api = new NotionAPI(notionToken, { client: notion });
+  const sections = [];
+  for (const dbSchema of databases) {
+    const databaseId = deploymentState.manifest.databaseId(dbSchema.name);
+    const pages = await collect(api.queryAll(databaseId));
+    sections.push({
+      title: dbSchema.schema.title || dbSchema.name,
+      databaseId,
+      kpis: databaseKpis(dbSchema.schema, pages),
+    });
+  }
+  const children = dashboardBlocks(view, sections, { client: buildPackage.client, tier: buildPackage.tier });
+  const title = dashboardTitle(view.name);
+  
+  const existing = await findDashboardPage(notion, buildPackage, view);
+  if (existing) {
+    // Swap the generated content for fresh figures; pages nested under the
+    // dashboard are left alone. The children are listed in full first, since
+    // deleting while paging shifts the cursor past blocks still to come
+    const blocks = await collect(api.childrenAll(existing));
+    for (const block of blocks) {
+      if (block.type !== 'child_page' && block.type !== 'child_database') {
+        await notion.blocks.delete({ block_id: block.id });
+      }
     }
+    await notion.blocks.children.append({ block_id: existing, children });
+    recordOutcome({ type: 'dashboard', name, id: existing }, 'updated');
+    return 'updated';
+  }
+  
+  const page = await notion.pages.create({
+    parent: { type: 'page_id', page_id: await getOrCreatePage(notion, buildPackage, 'dashboards') },
+    properties: {
+      title: [
+        {
+          text: { content: title },
+        },
+      ],
+    },
+    children,
   });
   
-  return properties;
+  recordOutcome({ type: 'dashboard', name, id: page.id }, 'created');
+  deploymentState.manifest.setPage(name, { id: page.id, title, buildId: buildPackage.buildId });
+  await saveCheckpoint();
+  return 'created';
 }
 
-async function deployPhase4_Integrations(notion, buildPackage) {
-  console.log('🔌 Phase 4: Setting up integrations...');
+function dashboardPageName(view) {
+  return `dashboard:${view.name}`;
+}
+
+/**
+ * Schemas of the view's databases that this build deploys, primary first
+ * @param {Object} view - View configuration from the build
+ * @param {Object} buildPackage - Build package
+ * @returns {Object[]} Build schema entries
+ */
+function dashboardDatabases(view, buildPackage) {
+  return (view.databases || [])
+    .map(name => (buildPackage.schemas || []).find(schema => schema.name === name))
+    .filter(Boolean);
+}
+
+/**
+ * Locate a view's dashboard: the manifest entry, then a child page with the
+ * dashboard's title under the Dashboards section
+ * @param {Object} notion - Notion client
+ * @param {Object} buildPackage - Build package
+ * @param {Object} view - View configuration from the build
+ * @returns {Promise<string|null>} Page ID, or null when it still has to be created
+ */
+async function findDashboardPage(notion, buildPackage, view) {
+  const name = dashboardPageName(view);
+  const recorded = await findExistingPage(notion, deploymentState.manifest.page(name));
+  if (recorded) {
+    return recorded.id;
+  }
   
+  const sectionId = await findTreePage(notion, buildPackage, 'dashboards');
+  const id = sectionId ? await findChildPage(notion, sectionId, dashboardTitle(view.name)) : null;
+  if (id) {
+    deploymentState.manifest.setPage(name, { id, title: dashboardTitle(view.name) });
+  }
+  return id;
+}
+
+async function deployPhase4_Integrations(notion, buildPackage) {
   // Integration setup would go here
   // This is a placeholder for future integration implementations
   
-  console.log('✅ Phase 4 completed: Integrations configured');
-  deploymentState.completedSteps.push('integrations_deployed');
+  await completeStep('integrations_deployed');
 }
 
 async function deployPhase5_Finalization(notion, buildPackage) {
-  console.log('🎯 Phase 5: Finalizing deployment...');
-  
   // Create summary page
   await createDeploymentSummaryPage(notion, buildPackage);
   
+  // Record where everything lives for later commands
+  deploymentState.manifest.setTier(buildPackage.tier);
+  const manifestPath = await deploymentState.manifest.save({ buildId: buildPackage.buildId });
+  logger.info(`Workspace manifest: ${path.relative(process.cwd(), manifestPath)}`);
+  
   // Save deployment metadata
   await saveDeploymentMetadata(buildPackage);
   
-  console.log('✅ Phase 5 completed: Deployment finalized');
-  deploymentState.completedSteps.push('deployment_finalized');
+  await completeStep('deployment_finalized');
 }
 
 async function createDeploymentSummaryPage(notion, buildPackage) {
@@ -421,8 +1426,23 @@ async function createDeploymentSummaryPage(notion, buildPackage) {
     }
   ];
 
+  if (deploymentState.reconciledResources.some(resource => resource.type === 'summary_page')) {
+    return;
+  }
+  
+  const existing = await findExistingPage(notion, deploymentState.manifest.page('summary'));
+  if (existing) {
+    // Keep one summary page per workspace and log each redeploy on it
+    await notion.blocks.children.append({
+      block_id: existing.id,
+      children: [summaryContent[1], summaryContent[2]]
+    });
+    recordOutcome({ type: 'summary_page', name: 'summary', id: existing.id }, 'updated');
+    return;
+  }
+
   const page = await notion.pages.create({
-    parent: { type: 'workspace', workspace: true },
+    parent: { type: 'page_id', page_id: await getOrCreatePage(notion, buildPackage, 'documentation') },
     properties: {
       title: [
         {
@@ -433,15 +1453,35 @@ async function createDeploymentSummaryPage(notion, buildPackage) {
     children: summaryContent
   });
 
-  deploymentState.createdResources.push({
-    type: 'summary_page',
-    id: page.id
+  recordOutcome({ type: 'summary_page', name: 'summary', id: page.id }, 'created');
+  deploymentState.manifest.setPage('summary', {
+    id: page.id,
+    title: `${buildPackage.client} - Deployment Summary`,
+    buildId: buildPackage.buildId,
   });
+  await saveCheckpoint();
+}
+
+async function findExistingPage(notion, entry) {
+  if (!entry) {
+    return null;
+  }
+  try {
+    const page = await notion.pages.retrieve({ page_id: entry.id });
+    return page.archived || page.in_trash ? null : page;
+  } catch (error) {
+    if (error.code !== 'object_not_found') {
+      throw error;
+    }
+    return null;
+  }
 }
 
 async function saveDeploymentMetadata(buildPackage) {
+  const { manifest, ...state } = deploymentState;
   const metadata = {
-    ...deploymentState,
+    ...state,
+    manifest: manifest.file,
     buildPackage: {
       buildId: buildPackage.buildId,
       version: buildPackage.version,
@@ -460,60 +1500,407 @@ async function saveDeploymentMetadata(buildPackage) {
 async function generateDeploymentReport(buildPackage) {
   const report = {
     success: true,
+    deploymentId: deploymentState.deploymentId,
+    resumed: deploymentState.resumed,
     client: buildPackage.client,
     tier: buildPackage.tier,
     deploymentTime: Date.now() - deploymentState.startTime,
     completedSteps: deploymentState.completedSteps.length,
     createdResources: deploymentState.createdResources.length,
+    resources: {
+      ...countOutcomes(),
+      details: deploymentState.reconciledResources
+    },
+    links: deploymentState.links,
     errors: deploymentState.errors.length,
+    scheduler: getSharedScheduler().stats(),
+    // Wall-clock time per phase; graph phases overlap, so they can add up to more than the total
+    phases: Object.fromEntries(Object.entries(deploymentState.phases).map(([phase, timing]) => [
+      phase,
+      { duration: timing.duration, tasks: timing.tasks, skipped: timing.skipped },
+    ])),
     summary: {
       databases: deploymentState.createdResources.filter(r => r.type === 'database').length,
       pages: deploymentState.createdResources.filter(r => r.type === 'page').length,
+      dashboards: deploymentState.reconciledResources.filter(r => r.type === 'dashboard').length,
       timestamp: new Date().toISOString()
     }
   };
   
-  console.log('\n📊 Deployment Report:');
-  console.log(`   Client: ${report.client}`);
-  console.log(`   Tier: ${report.tier}`);
-  console.log(`   Duration: ${report.deploymentTime}ms`);
-  console.log(`   Databases: ${report.summary.databases}`);
-  console.log(`   Errors: ${report.errors}`);
+  logger.info(`Deployment report for ${report.deploymentId}`, {
+    resumed: report.resumed,
+    client: report.client,
+    tier: report.tier,
+    duration: report.deploymentTime,
+    databases: report.summary.databases,
+    dashboards: report.summary.dashboards,
+    created: report.resources.created,
+    updated: report.resources.updated,
+    unchanged: report.resources.unchanged,
+    links: report.links.length,
+    errors: report.errors,
+    requests: { completed: report.scheduler.completed, failed: report.scheduler.failed, maxQueueDepth: report.scheduler.maxQueueDepth },
+    phases: report.phases,
+  });
   
   return report;
 }
 
-async function cleanupFailedDeployment() {
-  console.log('🧹 Cleaning up failed deployment...');
+/**
+ * Dry run: compare the build package with the live workspace and report what
+ * a deployment would do. Only read endpoints are called.
+ * @param {Object} options - Plan options
+ * @param {string} options.output - Where to write the plan as JSON
+ * @param {string} options.profile - Deployment profile to plan for
+ * @param {string} options.client - Client to plan for (defaults to the profile's, then CLIENT_NAME)
+ * @param {string} options.tier - Tier to plan (defaults to the profile's, then DEPLOYMENT_TIER)
+ * @param {boolean} options.sampleData - Override the sample-data policy
+ * @param {string} options.buildFile - Build in dist/ to plan instead of the tier's latest
+ * @returns {Promise<Object>} Plan
+ */
+async function planDeployment(options = {}) {
+  logger.info('Planning construction template deployment (no changes will be made)');
+  
+  resetDeploymentState();
+  await initializeEnvironment(options);
+  const buildPackage = await loadBuildArtifacts();
+  const notion = await initializeNotionClient();
+  
+  const plan = await buildDeploymentPlan(notion, buildPackage);
+  logPlan(plan);
+  
+  if (options.output) {
+    await fs.mkdir(path.dirname(path.resolve(options.output)), { recursive: true });
+    await fs.writeFile(options.output, JSON.stringify(plan, null, 2));
+    logger.info(`Plan written to ${options.output}`);
+  }
   
-  // This would implement cleanup logic for failed deployments
-  // For now, just log the created resources that would need cleanup
+  return plan;
+}
+
+async function buildDeploymentPlan(notion, buildPackage) {
+  const withSampleData = includeSampleData(buildPackage);
+  const databases = [];
+  const schemas = Object.fromEntries((buildPackage.schemas || []).map(entry => [entry.name, entry.schema]));
+  const linked = linkedProperties(schemas);
   
-  if (deploymentState.createdResources.length > 0) {
-    console.log('Resources that may need manual cleanup:');
-    deploymentState.createdResources.forEach(resource => {
-      console.log(`   ${resource.type}: ${resource.name || resource.id}`);
+  for (const dbSchema of buildPackage.schemas || []) {
+    const { existing, update, changes, extra } = await diffDatabase(notion, dbSchema, buildPackage);
+    const records = !existing && withSampleData ? buildPackage.sampleData[dbSchema.name] : null;
+    const { relations, rollups, formulas } = diffLinks(dbSchema, existing ? existing.properties : {}, buildPackage, linked[dbSchema.name]);
+    
+    databases.push({
+      name: dbSchema.name,
+      title: databaseTitle(buildPackage.client, dbSchema),
+      id: existing ? existing.id : null,
+      action: !existing ? 'create' : update || relations.length + rollups.length + formulas.length > 0 ? 'update' : 'no-op',
+      changes: [
+        ...changes,
+        ...relations.map(relationship => ({ property: relationship.property, action: 'add', to: `relation to ${relationship.target}` })),
+        ...rollups.map(([property, prop]) => ({ property, action: 'add', to: `rollup ${prop.function} of ${prop.relation}` })),
+        ...formulas.flat().map(property => ({ property, action: 'add', to: 'formula' })),
+        ...extra.map(property => ({ property, action: 'remove', from: existing.properties[property].type })),
+      ],
+      // The create or update, then in the second pass one update each for relations
+      // and rollups and one per formula layer
+      writes: [!existing || update, relations.length > 0, rollups.length > 0].filter(Boolean).length + formulas.length,
+      sampleRecords: Array.isArray(records) ? Math.min(records.length, SAMPLE_RECORD_LIMIT) : 0,
     });
   }
+  
+  // Deploy always lays out the full page tree, whether or not databases change
+  const pages = [];
+  for (const name of ['root', ...Object.keys(PAGE_SECTIONS)]) {
+    const id = await findTreePage(notion, buildPackage, name);
+    pages.push({ name, title: treePageTitle(buildPackage.client, name), id, action: id ? 'no-op' : 'create' });
+  }
+  const warnings = [];
+  const parentPageId = configuredParentPageId(buildPackage);
+  if (pages[0].action === 'create' && !parentPageId) {
+    warnings.push('No parent page configured: set NOTION_PARENT_PAGE_ID or build with --parent-page');
+  }
+  
+  const summary = await findExistingPage(notion, deploymentState.manifest.page('summary'));
+  pages.push({
+    name: 'summary',
+    title: `${buildPackage.client} - Deployment Summary`,
+    id: summary ? summary.id : null,
+    action: summary ? 'update' : 'create',
+  });
+  
+  for (const view of buildPackage.views || []) {
+    const viewDatabases = dashboardDatabases(view, buildPackage);
+    if (viewDatabases.length === 0) {
+      continue;
+    }
+    const id = await findDashboardPage(notion, buildPackage, view);
+    pages.push({
+      name: dashboardPageName(view),
+      title: dashboardTitle(view.name),
+      id,
+      action: id ? 'update' : 'create',
+      databases: viewDatabases.map(dbSchema => dbSchema.name),
+    });
+  }
+  
+  const totals = summarizePlan(databases, pages);
+  return {
+    client: buildPackage.client,
+    tier: buildPackage.tier,
+    environment: deploymentState.manifest.environment,
+    buildId: buildPackage.buildId,
+    parentPageId,
+    generatedAt: new Date().toISOString(),
+    hasChanges: totals.databases.create + totals.databases.update > 0 || totals.records > 0 || totals.pages.create > 0,
+    databases,
+    pages,
+    totals,
+    estimate: estimateApiCalls(databases, pages),
+    warnings,
+  };
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function summarizePlan(databases, pages) {
+  const count = (items, predicate) => items.filter(predicate).length;
+  const changes = databases.flatMap(database => database.changes);
+  
+  return {
+    databases: {
+      create: count(databases, database => database.action === 'create'),
+      update: count(databases, database => database.action === 'update'),
+      unchanged: count(databases, database => database.action === 'no-op'),
+    },
+    properties: {
+      add: count(changes, change => change.action === 'add'),
+      change: count(changes, change => change.action === 'change' || change.action === 'rename'),
+      remove: count(changes, change => change.action === 'remove'),
+    },
+    records: databases.reduce((sum, database) => sum + database.sampleRecords, 0),
+    pages: {
+      create: count(pages, page => page.action === 'create'),
+      update: count(pages, page => page.action === 'update'),
+    },
+  };
 }
 
-// CLI execution
-if (require.main === module) {
-  deployConstructionTemplate()
-    .then(report => {
-      console.log('Deployment completed successfully');
+/**
+ * Rough request count for applying a plan, mirroring the calls deploy makes
+ * @param {Object[]} databases - Planned databases
+ * @param {Object[]} pages - Planned pages
+ * @returns {Object} { reads, writes, total, seconds }
+ */
+function estimateApiCalls(databases, pages) {
+  const writes = databases.reduce((sum, database) => sum + database.writes + database.sampleRecords, 0) +
+    pages.filter(page => page.action !== 'no-op').length;
+  // users.me, then one lookup per database and per page, and a query per
+  // database a dashboard reports on
+  const reads = 1 + databases.length + pages.length +
+    pages.reduce((sum, page) => sum + (page.databases?.length || 0), 0);
+  const total = reads + writes;
+  
+  return {
+    reads,
+    writes,
+    total,
+    seconds: Math.ceil(total / getSharedScheduler().requestsPerSecond),
+  };
+}
+
+function logPlan(plan) {
+  const symbols = { create: '+', update: '~', 'no-op': '=' };
+  
+  logger.info(`Deployment plan for ${plan.client} (${plan.tier}, ${plan.environment})`);
+  
+  plan.databases.forEach(database => {
+    const changes = (database.action !== 'no-op'
+      ? database.changes
+      : database.changes.filter(change => change.action === 'remove')).map(describeChange);
+    if (database.sampleRecords > 0) {
+      changes.push(`+ ${database.sampleRecords} sample records`);
+    }
+    const note = database.action === 'no-op' ? ' (no changes)' : '';
+    logger.info(`${symbols[database.action]} database ${database.name} "${database.title}"${note}${changes.length > 0 ? `: ${changes.join(', ')}` : ''}`);
+  });
+  
+  const updateNotes = { summary: ' (append deployment note)' };
+  plan.pages.forEach(page => {
+    const note = page.action === 'update' ? updateNotes[page.name] || ' (refresh figures)' : page.action === 'no-op' ? ' (no changes)' : '';
+    logger.info(`${symbols[page.action]} page ${page.name} "${page.title}"${note}`);
+  });
+  
+  const { databases, properties, records, pages } = plan.totals;
+  logger.info(`Plan: ${databases.create} databases to create, ${databases.update} to update, ${databases.unchanged} unchanged; ` +
+    `${properties.add} properties to add, ${properties.change} to change, ${properties.remove} to remove (kept); ` +
+    `${records} sample records; ${pages.create} pages to create, ${pages.update} to update.`);
+  logger.info(`Estimated API calls: ${plan.estimate.total} (${plan.estimate.reads} reads, ${plan.estimate.writes} writes), about ${plan.estimate.seconds}s at the configured rate limit`);
+  plan.warnings.forEach(warning => logger.warn(warning));
+}
+
+async function cleanupFailedDeployment(notion, failure, options = {}) {
+  if (deploymentState.createdResources.length === 0) {
+    logger.info('Nothing was created, nothing to roll back');
+    return null;
+  }
+  
+  if (!options.rollback || !notion) {
+    const resources = deploymentState.createdResources.map(resource => `${resource.type} ${resource.name || resource.id}`);
+    logger.warn(`Rollback disabled; resources that may need manual cleanup: ${resources.join(', ')}`);
+    return null;
+  }
+  
+  return rollbackDeployment(notion, failure);
+}
+
+/**
+ * Archive everything this deployment created, newest first, so children go
+ * before the pages that contain them. Each archive is read back to confirm it.
+ * @param {Object} notion - The deployment's rate-limited Notion client
+ * @param {Error} failure - Error that aborted the deployment
+ * @returns {Promise<Object>} Rollback report
+ */
+async function rollbackDeployment(notion, failure) {
+  const resources = [...deploymentState.createdResources].reverse();
+  const results = [];
+  
+  logger.info(`Rolling back ${resources.length} created resources`);
+  events.phaseStarted('rollback');
+  
+  for (const resource of resources) {
+    const startedAt = Date.now();
+    try {
+      const status = await archiveResource(notion, resource);
+      results.push({ ...resource, status });
+    } catch (error) {
+      results.push({ ...resource, status: 'failed', error: error.message });
+      logger.error(`Could not archive ${resource.type} ${resource.name || resource.id}: ${error.message}`);
+    }
+    const { status, error } = results[results.length - 1];
+    events.emit('resource', {
+      phase: 'rollback',
+      resource: resource.name || resource.id,
+      type: resource.type,
+      duration: Date.now() - startedAt,
+      outcome: status,
+      ...(error ? { error } : {}),
+    });
+  }
+  
+  const archivedIds = new Set(results.filter(result => result.status !== 'failed').map(result => result.id));
+  const manifest = deploymentState.manifest;
+  if (manifest) {
+    manifest.databases().filter(entry => archivedIds.has(entry.id)).forEach(entry => manifest.removeDatabase(entry.name));
+    manifest.pages().filter(entry => archivedIds.has(entry.id)).forEach(entry => manifest.removePage(entry.name));
+    await manifest.save();
+  }
+  
+  const updated = deploymentState.reconciledResources.filter(resource => resource.outcome === 'updated');
+  const report = {
+    client: deploymentState.client,
+    tier: deploymentState.tier,
+    environment: manifest ? manifest.environment : null,
+    reason: failure ? failure.message : null,
+    startedAt: new Date(deploymentState.startTime).toISOString(),
+    rolledBackAt: new Date().toISOString(),
+    archived: results.filter(result => result.status === 'archived').length,
+    missing: results.filter(result => result.status === 'missing').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    resources: results,
+    // Property updates to existing databases are additive and are not reverted
+    keptUpdates: updated,
+  };
+  
+  const reportPath = path.join('dist', `rollback-${Date.now()}.json`);
+  await fs.mkdir('dist', { recursive: true });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  
+  logger.info(`Rollback ${report.failed === 0 ? 'complete' : 'incomplete'}: ${report.archived} archived, ${report.missing} already gone, ${report.failed} failed`);
+  events.phaseFinished('rollback', report.failed === 0 ? 'completed' : 'failed', {
+    archived: report.archived,
+    missing: report.missing,
+    failed: report.failed,
+  });
+  if (updated.length > 0) {
+    logger.info(`${updated.length} updated resources keep their changes`);
+  }
+  logger.info(`Rollback report: ${reportPath}`);
+  return report;
+}
+
+/**
+ * Archive one created resource and confirm Notion reports it archived
+ * @param {Object} notion - Notion client
+ * @param {Object} resource - { type, name, id } from createdResources
+ * @returns {Promise<string>} archived, missing (already deleted) or failed (not confirmed)
+ */
+async function archiveResource(notion, resource) {
+  const isDatabase = resource.type === 'database';
+  
+  try {
+    if (isDatabase) {
+      await notion.databases.update({ database_id: resource.id, archived: true });
+    } else {
+      await notion.pages.update({ page_id: resource.id, archived: true });
+    }
+    
+    const current = isDatabase
+      ? await notion.databases.retrieve({ database_id: resource.id })
+      : await notion.pages.retrieve({ page_id: resource.id });
+    return current.archived || current.in_trash ? 'archived' : 'failed';
+  } catch (error) {
+    if (error.code === 'object_not_found') {
+      return 'missing';
+    }
+    throw error;
+  }
+}
+
+// CLI setup
+const program = new Command();
+program
+  .name('deploy-construction')
+  .description('Deploy the built construction template to a Notion workspace')
+  .option('--plan', 'Show what a deployment would change without writing to Notion')
+  .option('--plan-output <file>', 'Write the plan as JSON (with --plan)', path.join('dist', 'deployment-plan.json'))
+  .option('--no-rollback', 'Keep resources created by a failed deployment for debugging')
+  .option('--resume <deploymentId>', 'Continue an interrupted deployment from its last checkpoint')
+  .option('--profile <name>', 'Deployment profile from deploy-profiles.json (e.g. acme-staging)')
+  .option('--json', 'Write deployment events to stdout as NDJSON (other output goes to stderr)')
+  .option('--no-progress', 'Do not draw progress bars')
+  .action(async (options) => {
+    const labels = {
+      ...Object.fromEntries(Object.entries(GRAPH_PHASES).map(([phase, { label }]) => [phase, label])),
+      integrations: 'Integrations',
+      finalization: 'Finalization',
+    };
+    const output = commandOutput(options, labels);
+    try {
+      if (options.plan) {
+        await planDeployment({ output: options.planOutput, profile: options.profile });
+        process.exit(0);
+      }
+      
+      await deployConstructionTemplate({
+        rollback: options.rollback,
+        resume: options.resume,
+        profile: options.profile,
+        onProgress: output.onProgress,
+        eventStream: output.eventStream,
+      });
+      output.finish();
       process.exit(0);
-    })
-    .catch(error => {
-      console.error('Deployment failed:', error.message);
+    } catch (error) {
+      output.finish();
+      logger.error(`${options.plan ? 'Planning' : 'Deployment'} failed: ${error.message}`);
       process.exit(1);
-    });
+    }
+  });
+
+if (require.main === module) {
+  program.parse();
 }
 
 module.exports = {
-  deployConstructionTemplate
+  deployConstructionTemplate,
+  planDeployment,
+  archiveResource,
 };
\ No newline at end of file
@@ -8,6 +8,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { program } = require('commander');
+const { WorkspaceManifest } = require('../src/api/manifest');
 
 async function generateDeploymentReport(options = {}) {
   console.log('📊 Generating deployment report...');
@@ -21,7 +22,7 @@ async function generateDeploymentReport(options = {}) {
   
   try {
     // Collect deployment data
-    const deploymentData = await collectDeploymentData();
+    const deploymentData = await collectDeploymentData(options);
     
     // Generate report content
     const report = {
@@ -48,11 +49,12 @@ async function generateDeploymentReport(options = {}) {
   }
 }
 
-async function collectDeploymentData() {
+async function collectDeploymentData(options = {}) {
   const data = {
-    client: process.env.CLIENT_NAME || 'Unknown Client',
-    tier: process.env.DEPLOYMENT_TIER || 'Unknown Tier',
+    client: options.client || process.env.CLIENT_NAME || 'Unknown Client',
+    tier: options.tier || process.env.DEPLOYMENT_TIER || 'Unknown Tier',
     resources: [],
+    workspace: null,
     performance: {},
     errors: []
   };
@@ -78,6 +80,23 @@ async function collectDeploymentData() {
     console.warn('⚠️ Could not load deployment metadata:', error.message);
   }
   
+  // The workspace manifest is the source of truth for what is deployed
+  if (data.client !== 'Unknown Client') {
+    try {
+      const manifest = await WorkspaceManifest.load(data.client, { environment: options.environment });
+      if (!manifest.isEmpty()) {
+        data.workspace = {
+          environment: manifest.environment,
+          lastBuildId: manifest.toJSON().lastBuildId,
+          databases: manifest.databases(),
+          pages: manifest.pages(),
+        };
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load workspace manifest:', error.message);
+    }
+  }
+  
   // Add current system info
   data.system = {
     nodeVersion: process.version,
@@ -97,6 +116,7 @@ function generateSummary(deploymentData) {
     resourcesCreated: deploymentData.resources.length,
     databases: deploymentData.resources.filter(r => r.type === 'database').length,
     pages: deploymentData.resources.filter(r => r.type === 'page').length,
+    workspaceDatabases: deploymentData.workspace ? deploymentData.workspace.databases.length : 0,
     deploymentTime: deploymentData.performance.deploymentTime || 0,
     completedSteps: deploymentData.completedSteps?.length || 0,
     errors: deploymentData.errors.length,
@@ -162,6 +182,12 @@ async function saveMarkdownReport(report, outputPath) {
 
 ${report.deployment.resources.map(r => `- ${r.type}: ${r.name || r.id}`).join('\n')}
 
+## Workspace
+
+${report.deployment.workspace
+    ? report.deployment.workspace.databases.map(db => `- ${db.name}: ${db.title} (\`${db.id}\`, build ${db.buildId || 'unknown'})`).join('\n')
+    : '_No workspace manifest found_'}
+
 ## Recommendations
 
 ${report.recommendations.map(r => `- ${r}`).join('\n')}
@@ -255,6 +281,7 @@ program
   .option('--format <format>', 'Report format (json|markdown|html)', 'json')
   .option('--client <client>', 'Client name')
   .option('--tier <tier>', 'Deployment tier')
+  .option('--environment <environment>', 'Workspace manifest environment')
   .action(async (options) => {
     try {
       await generateDeploymentReport(options);
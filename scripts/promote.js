@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Promotion Script
+ * Applies the build a staging profile last deployed to a production
+ * profile, without sample data. Only builds staging has deployed completely,
+ * with every live database matching the build's schema, are promoted.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Command } = require('commander');
+const { WorkspaceManifest } = require('../src/api/manifest');
+const { loadProfile } = require('../src/api/profiles');
+const { confirm } = require('../src/utils');
+const { deployConstructionTemplate, planDeployment } = require('./deploy-construction');
+require('dotenv').config();
+
+/**
+ * Find the build package a workspace was last deployed from
+ * @param {string} buildId - Build ID recorded in the manifest
+ * @returns {Promise<Object|null>} { file, buildPackage }, or null when it is no longer in dist/
+ */
+async function findBuild(buildId) {
+  let files;
+  try {
+    files = (await fs.readdir('dist')).filter(file => file.startsWith('template-') && file.endsWith('.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    return null;
+  }
+
+  for (const file of files) {
+    const buildPackage = JSON.parse(await fs.readFile(path.join('dist', file), 'utf8'));
+    if (buildPackage.buildId === buildId) {
+      return { file, buildPackage };
+    }
+  }
+  return null;
+}
+
+/**
+ * Databases whose live staging copy does not match the build: missing,
+ * archived, or with properties a deploy would still add or change
+ * @param {Object} plan - The build planned against the staging workspace
+ * @returns {string[]} Database names
+ */
+function unverifiedDatabases(plan) {
+  return plan.databases
+    .filter(database => database.action !== 'no-op')
+    .map(database => database.name);
+}
+
+/**
+ * Promote the schema state verified in one profile's workspace to another's
+ * @param {Object} options - Promotion options
+ * @param {string} options.from - Profile to promote from (e.g. acme-staging)
+ * @param {string} options.to - Profile to promote to (e.g. acme-production)
+ * @param {boolean} options.yes - Deploy without asking
+ * @param {Function} options.confirm - Asks before deploying; resolves true to go ahead
+ * @returns {Promise<Object>} Promotion report
+ */
+async function promote(options = {}) {
+  if (!options.from || !options.to) {
+    throw new Error('Both --from and --to profiles are required');
+  }
+  const source = await loadProfile(options.from);
+  const target = await loadProfile(options.to);
+  if (source.client !== target.client) {
+    throw new Error(`Profiles ${source.name} and ${target.name} deploy different clients (${source.client}, ${target.client})`);
+  }
+
+  const manifest = await WorkspaceManifest.load(source.client, {
+    environment: source.environment,
+    directory: source.manifestDir,
+  });
+  const buildId = manifest.toJSON().lastBuildId;
+  if (manifest.isEmpty() || !buildId) {
+    throw new Error(`${source.name} has no completed deployment to promote; deploy it first`);
+  }
+
+  const build = await findBuild(buildId);
+  if (!build) {
+    throw new Error(`Build ${buildId} that ${source.name} runs is no longer in dist/; rebuild and redeploy ${source.name} first`);
+  }
+  const { file, buildPackage } = build;
+  if (buildPackage.tier !== target.tier) {
+    throw new Error(`${target.name} deploys the ${target.tier} tier but ${source.name} runs ${buildPackage.tier}; move ${target.name} with upgrade:tier first`);
+  }
+  // Planning the build against staging reads its live databases; anything a
+  // deploy would still change there was never verified
+  console.log(`🔎 Checking ${source.name}'s databases against build ${buildId}`);
+  const verification = await planDeployment({ profile: source.name, buildFile: file, sampleData: false });
+  const unverified = unverifiedDatabases(verification);
+  if (unverified.length > 0) {
+    throw new Error(`${source.name} does not match build ${buildId} (${unverified.join(', ')}); redeploy it before promoting`);
+  }
+
+  console.log(`🚚 Promoting build ${buildId} (${buildPackage.tier}) from ${source.name} to ${target.name}`);
+  const plan = await planDeployment({ profile: target.name, buildFile: file, sampleData: false });
+  const report = { from: source.name, to: target.name, client: target.client, buildId, tier: buildPackage.tier };
+  if (!plan.hasChanges) {
+    console.log(`✅ ${target.name} already matches ${source.name}; nothing to promote`);
+    return { ...report, status: 'unchanged' };
+  }
+
+  const ask = options.confirm || (() => confirm(`Deploy build ${buildId} to ${target.name}?`));
+  if (!options.yes && !await ask(plan)) {
+    console.log('❌ Promotion cancelled; nothing was changed (pass --yes to skip the prompt)');
+    return { ...report, status: 'cancelled' };
+  }
+
+  const deployment = await deployConstructionTemplate({ profile: target.name, buildFile: file, sampleData: false });
+
+  console.log(`🎉 ${target.name} now runs build ${buildId}`);
+  return {
+    ...report,
+    status: 'completed',
+    deploymentId: deployment.deploymentId,
+    created: deployment.resources.created,
+    updated: deployment.resources.updated,
+  };
+}
+
+// CLI setup
+const program = new Command();
+program
+  .name('promote')
+  .description('Apply the schema a staging profile runs to a production profile, without sample data')
+  .requiredOption('--from <profile>', 'Profile to promote from (e.g. acme-staging)')
+  .requiredOption('--to <profile>', 'Profile to promote to (e.g. acme-production)')
+  .option('--yes', 'Deploy without asking (for CI)')
+  .action(async (options) => {
+    try {
+      const report = await promote(options);
+      process.exit(report.status === 'cancelled' ? 1 : 0);
+    } catch (error) {
+      console.error('❌ Promotion failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+if (require.main === module) {
+  program.parse();
+}
+
+module.exports = {
+  promote,
+  unverifiedDatabases,
+};
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Teardown Script
+ * Archives everything a template deployment created for a client and
+ * environment: databases, dashboards, the summary page and the page tree
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Command } = require('commander');
+const { createNotionClient } = require('../src/api/client');
+const NotionAPI = require('../src/api');
+const { decodeValue } = require('../src/api/codec');
+const { WorkspaceManifest, slugify } = require('../src/api/manifest');
+const { collect } = require('../src/api/pagination');
+const { loadProfile, profileToken } = require('../src/api/profiles');
+const { confirm } = require('../src/utils');
+const { archiveResource } = require('./deploy-construction');
+require('dotenv').config();
+
+// Children are archived before the pages that contain them, the root last
+const ARCHIVE_ORDER = ['database', 'dashboard', 'summary_page', 'page', 'root'];
+
+function manifestResources(manifest) {
+  const pages = manifest.pages().map(entry => {
+    if (entry.name === 'root') {
+      return { type: 'root', name: entry.name, id: entry.id };
+    }
+    if (entry.name === 'summary') {
+      return { type: 'summary_page', name: entry.name, id: entry.id };
+    }
+    return { type: entry.name.startsWith('dashboard:') ? 'dashboard' : 'page', name: entry.name, id: entry.id };
+  });
+  return [
+    ...manifest.databases().map(entry => ({ type: 'database', name: entry.name, id: entry.id })),
+    ...pages,
+  ];
+}
+
+/**
+ * Resources created by past deployments of this client and environment, from
+ * the deployment metadata in dist/ (covers anything the manifest lost track of)
+ * @param {WorkspaceManifest} manifest - Client's workspace manifest
+ * @returns {Promise<Object[]>} [{ type, name, id }]
+ */
+async function deployedResources(manifest) {
+  let files;
+  try {
+    files = (await fs.readdir('dist')).filter(file => file.startsWith('deployment-') && file.endsWith('.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    return [];
+  }
+
+  const resources = [];
+  for (const file of files.sort()) {
+    const metadata = JSON.parse(await fs.readFile(path.join('dist', file), 'utf8'));
+    if (metadata.client === manifest.client && metadata.manifest === manifest.file) {
+      resources.push(...(metadata.createdResources || []).map(resource => (
+        resource.type === 'page' && resource.name === 'root' ? { ...resource, type: 'root' } : resource
+      )));
+    }
+  }
+  return resources;
+}
+
+/**
+ * Everything to archive, once each, in archive order
+ * @param {WorkspaceManifest} manifest - Client's workspace manifest
+ * @returns {Promise<Object[]>} [{ type, name, id }]
+ */
+async function teardownResources(manifest) {
+  const seen = new Set();
+  return [...manifestResources(manifest), ...await deployedResources(manifest)]
+    .filter(resource => {
+      if (seen.has(resource.id)) {
+        return false;
+      }
+      seen.add(resource.id);
+      return true;
+    })
+    .sort((a, b) => ARCHIVE_ORDER.indexOf(a.type) - ARCHIVE_ORDER.indexOf(b.type));
+}
+
+/**
+ * Write each database's records to a JSON file before it is archived
+ * @param {NotionAPI} api - API for the workspace being torn down
+ * @param {Object[]} databases - Database resources
+ * @param {string} directory - Export directory
+ * @returns {Promise<Object[]>} [{ name, records, file }]
+ */
+async function exportRecords(api, databases, directory) {
+  await fs.mkdir(directory, { recursive: true });
+
+  const exported = [];
+  for (const database of databases) {
+    const pages = await collect(api.queryAll(database.id));
+    const records = pages.map(page => ({
+      id: page.id,
+      createdTime: page.created_time,
+      properties: Object.fromEntries(Object.entries(page.properties).map(([name, property]) => [name, decodeValue(property)])),
+    }));
+    const file = path.join(directory, `${database.name}.json`);
+    await fs.writeFile(file, JSON.stringify(records, null, 2));
+    exported.push({ name: database.name, records: records.length, file });
+    console.log(`   💾 ${database.name}: ${records.length} records -> ${file}`);
+  }
+  return exported;
+}
+
+/**
+ * Archive a client's deployed template
+ * @param {Object} options - Teardown options
+ * @param {string} options.profile - Deployment profile whose workspace to tear down (client, token and manifest)
+ * @param {string} options.client - Client name (defaults to the profile's, then CLIENT_NAME)
+ * @param {string} options.environment - Manifest environment (defaults to the profile's, then the deployment environment)
+ * @param {boolean} options.keepData - Export every database's records first
+ * @param {boolean} options.yes - Archive without asking
+ * @param {Function} options.confirm - Asks before archiving; resolves true to go ahead
+ * @returns {Promise<Object>} Teardown report
+ */
+async function teardown(options = {}) {
+  const profile = options.profile ? await loadProfile(options.profile) : null;
+  const client = options.client || profile?.client || process.env.CLIENT_NAME;
+  if (!client) {
+    throw new Error('A client is required: pass --client or set CLIENT_NAME');
+  }
+  const token = profile ? profileToken(profile) : process.env.NOTION_TOKEN;
+  if (!token) {
+    throw new Error('NOTION_TOKEN environment variable is required');
+  }
+
+  const manifest = await WorkspaceManifest.load(client, {
+    environment: options.environment || profile?.environment,
+    directory: profile?.manifestDir,
+  });
+  const resources = await teardownResources(manifest);
+  if (resources.length === 0) {
+    console.log(`✅ Nothing deployed for ${client} (${manifest.environment}); nothing to tear down`);
+    return { client, environment: manifest.environment, status: 'empty', exported: [], resources: [] };
+  }
+
+  console.log(`🧨 Tearing down ${client} (${manifest.environment}): ${resources.length} resources will be archived`);
+  resources.forEach(resource => console.log(`   - ${resource.type} ${resource.name || resource.id}`));
+  const ask = options.confirm || (() => confirm(`Archive ${client}'s template in ${manifest.environment}?`));
+  if (!options.yes && !await ask(resources)) {
+    console.log('❌ Teardown cancelled; nothing was archived (pass --yes to skip the prompt)');
+    return { client, environment: manifest.environment, status: 'cancelled', exported: [], resources: [] };
+  }
+
+  const notion = createNotionClient(token);
+  const databases = resources.filter(resource => resource.type === 'database');
+  const exported = options.keepData
+    ? await exportRecords(new NotionAPI(token, { client: notion }), databases, path.join('dist', 'exports', `${slugify(client)}.${manifest.environment}-${Date.now()}`))
+    : [];
+
+  const results = [];
+  for (const resource of resources) {
+    try {
+      const status = await archiveResource(notion, resource);
+      results.push({ ...resource, status });
+      console.log(`   ${status === 'failed' ? '⚠️' : '🗑️'} ${resource.type} ${resource.name || resource.id}: ${status}`);
+    } catch (error) {
+      results.push({ ...resource, status: 'failed', error: error.message });
+      console.error(`   ❌ Could not archive ${resource.type} ${resource.name || resource.id}: ${error.message}`);
+    }
+  }
+
+  // Forget what is gone; anything that failed stays in the manifest for a retry
+  const archivedIds = new Set(results.filter(result => result.status !== 'failed').map(result => result.id));
+  manifest.databases().filter(entry => archivedIds.has(entry.id)).forEach(entry => manifest.removeDatabase(entry.name));
+  manifest.pages().filter(entry => archivedIds.has(entry.id)).forEach(entry => manifest.removePage(entry.name));
+  if (manifest.isEmpty()) {
+    manifest.setTier(null);
+  }
+  await manifest.save();
+
+  const report = {
+    client,
+    environment: manifest.environment,
+    status: results.some(result => result.status === 'failed') ? 'incomplete' : 'completed',
+    tornDownAt: new Date().toISOString(),
+    archived: results.filter(result => result.status === 'archived').length,
+    missing: results.filter(result => result.status === 'missing').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    exported,
+    resources: results,
+  };
+
+  const reportPath = path.join('dist', `teardown-${Date.now()}.json`);
+  await fs.mkdir('dist', { recursive: true });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+
+  console.log(`${report.failed === 0 ? '✅' : '⚠️'} Teardown ${report.status}: ${report.archived} archived, ${report.missing} already gone, ${report.failed} failed`);
+  console.log(`   Teardown report: ${reportPath}`);
+  return report;
+}
+
+// CLI setup
+const program = new Command();
+program
+  .name('teardown')
+  .description('Archive everything a template deployment created for a client')
+  .option('--profile <name>', 'Deployment profile whose workspace to tear down (e.g. acme-staging)')
+  .option('--client <client>', 'Client/company name (defaults to the profile\'s, then CLIENT_NAME)')
+  .option('--environment <environment>', 'Workspace manifest environment (defaults to the profile\'s)')
+  .option('--keep-data', 'Export every database\'s records to dist/exports before archiving')
+  .option('--yes', 'Archive without asking (for CI)')
+  .action(async (options) => {
+    try {
+      const report = await teardown(options);
+      process.exit(report.status === 'incomplete' || report.status === 'cancelled' ? 1 : 0);
+    } catch (error) {
+      console.error('❌ Teardown failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+if (require.main === module) {
+  program.parse();
+}
+
+module.exports = {
+  teardown,
+};
@@ -5,7 +5,9 @@
  * Tests connectivity and permissions with the provided Notion integration token
  */
 
-const { Client } = require('@notionhq/client');
+const { createNotionClient } = require('../src/api/client');
+const NotionAPI = require('../src/api');
+const { collect } = require('../src/api/pagination');
 require('dotenv').config();
 
 async function testConnection() {
@@ -17,9 +19,9 @@ async function testConnection() {
     process.exit(1);
   }
 
-  const notion = new Client({
-    auth: token,
-    logLevel: 'warn'
+  const notion = createNotionClient(token, {
+    logLevel: 'warn',
+    priority: 'interactive'
   });
 
   try {
@@ -30,12 +32,12 @@ async function testConnection() {
 
     // Test 2: List accessible workspaces/databases
     console.log('📊 Testing database access...');
-    const databasesResponse = await notion.search({
-      filter: { property: 'object', value: 'database' },
-      page_size: 5
-    });
+    const api = new NotionAPI(token, { client: notion });
+    const databases = await collect(api.searchAll({
+      filter: { property: 'object', value: 'database' }
+    }));
     
-    console.log(`✅ Can access ${databasesResponse.results.length} databases`);
+    console.log(`✅ Can access ${databases.length} databases`);
     
     // Test 3: Test permissions
     console.log('🔐 Testing permissions...');
@@ -58,7 +60,7 @@ async function testConnection() {
     return {
       status: 'success',
       user: userResponse,
-      accessibleDatabases: databasesResponse.results.length,
+      accessibleDatabases: databases.length,
       permissions: permissions,
       timestamp: new Date().toISOString()
     };
@@ -116,7 +118,8 @@ async function checkPermissions(notion) {
 }
 
 async function testRateLimits(notion) {
-  // Make a few quick requests to test rate limiting behavior
+  // Make a few quick requests to test rate limiting behavior; the shared
+  // scheduler throttles them to the configured request rate
   const requests = [];
   for (let i = 0; i < 3; i++) {
     requests.push(
@@ -163,7 +166,7 @@ async function performanceBenchmark() {
   console.log('🚀 Running performance benchmark...');
   
   const token = process.env.NOTION_TOKEN;
-  const notion = new Client({ auth: token });
+  const notion = createNotionClient(token);
   
   const start = Date.now();
   
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Tier Migration Script
+ * Moves an existing client workspace to another template tier in place:
+ * upgrades add the new tier's databases, properties and dashboards through a
+ * normal reconciling deploy, downgrades also archive the databases the new
+ * tier drops
+ */
+
+const { Command } = require('commander');
+const { createNotionClient } = require('../src/api/client');
+const { WorkspaceManifest } = require('../src/api/manifest');
+const { loadProfile, profileToken } = require('../src/api/profiles');
+const { confirm } = require('../src/utils');
+const { buildTemplate, templateConfigs } = require('./build-template');
+const { deployConstructionTemplate, planDeployment, archiveResource } = require('./deploy-construction');
+require('dotenv').config();
+
+// Tiers from smallest to largest
+const TIERS = Object.keys(templateConfigs);
+
+/**
+ * Smallest tier that includes every database recorded in the manifest, for
+ * workspaces deployed before manifests recorded their tier
+ * @param {WorkspaceManifest} manifest - Client's workspace manifest
+ * @returns {string|null} Tier, or null when no tier covers the workspace
+ */
+function inferTier(manifest) {
+  const deployed = manifest.databases().map(entry => entry.name);
+  return TIERS.find(tier => deployed.every(name => templateConfigs[tier].databases.includes(name))) || null;
+}
+
+/**
+ * What moving between two tiers adds and removes, according to templateConfigs
+ * @param {WorkspaceManifest} manifest - Client's workspace manifest
+ * @param {string} from - Current tier
+ * @param {string} to - Target tier
+ * @returns {Object} { direction, addDatabases, addViews, archive: [{ type, name, id }] }
+ */
+function tierChanges(manifest, from, to) {
+  const current = templateConfigs[from];
+  const target = templateConfigs[to];
+
+  return {
+    direction: TIERS.indexOf(to) > TIERS.indexOf(from) ? 'upgrade' : 'downgrade',
+    addDatabases: target.databases.filter(name => !current.databases.includes(name)),
+    addViews: target.views.filter(view => !current.views.includes(view)),
+    // Only deployed databases the target tier leaves out; everything else is kept
+    archive: manifest.databases()
+      .filter(entry => !target.databases.includes(entry.name))
+      .map(entry => ({ type: 'database', name: entry.name, id: entry.id })),
+  };
+}
+
+/**
+ * Move a deployed client workspace to another tier, keeping existing records
+ * and relations
+ * @param {Object} options - Migration options
+ * @param {string} options.profile - Deployment profile whose workspace to move (client, token and manifest)
+ * @param {string} options.client - Client name (defaults to the profile's, then CLIENT_NAME)
+ * @param {string} options.tier - Tier to move to
+ * @param {string} options.from - Current tier, when the manifest does not record it
+ * @param {boolean} options.sampleData - Add sample records to newly created databases (default false)
+ * @param {boolean} options.yes - Archive dropped databases without asking
+ * @param {Function} options.confirm - Asks before archiving; resolves true to go ahead
+ * @returns {Promise<Object>} Migration report
+ */
+async function upgradeTier(options = {}) {
+  const profile = options.profile ? await loadProfile(options.profile) : null;
+  const client = options.client || profile?.client || process.env.CLIENT_NAME;
+  const tier = options.tier;
+  if (!client) {
+    throw new Error('A client is required: pass --client or set CLIENT_NAME');
+  }
+  if (!templateConfigs[tier]) {
+    throw new Error(`Unknown tier "${tier}" (expected ${TIERS.join(', ')})`);
+  }
+
+  const manifestOptions = { environment: profile?.environment, directory: profile?.manifestDir };
+  const manifest = await WorkspaceManifest.load(client, manifestOptions);
+  if (manifest.isEmpty()) {
+    throw new Error(`No deployed workspace recorded for ${client} (${manifest.environment}); run deploy:construction first`);
+  }
+  const from = manifest.tier || options.from || inferTier(manifest);
+  if (!templateConfigs[from]) {
+    throw new Error(`Cannot tell which tier ${client} is deployed at; pass --from <tier>`);
+  }
+  if (from === tier) {
+    console.log(`✅ ${client} is already on the ${tier} tier; run deploy:construction to reconcile it`);
+    return { client, from, to: tier, status: 'unchanged', archived: [] };
+  }
+
+  const changes = tierChanges(manifest, from, tier);
+  console.log(`${changes.direction === 'upgrade' ? '⬆️' : '⬇️'} ${changes.direction === 'upgrade' ? 'Upgrading' : 'Downgrading'} ${client} from ${from} to ${tier}`);
+  if (changes.addDatabases.length > 0) {
+    console.log(`   Databases added by ${tier}: ${changes.addDatabases.join(', ')}`);
+  }
+  if (changes.addViews.length > 0) {
+    console.log(`   Views added by ${tier}: ${changes.addViews.join(', ')}`);
+  }
+
+  await buildTemplate({ tier, client, sampleData: options.sampleData === true });
+  await planDeployment({ client, tier, profile: profile?.name });
+
+  if (changes.archive.length > 0) {
+    console.log(`\n⚠️ ${tier} does not include these databases; they will be archived (restorable from Notion's trash):`);
+    changes.archive.forEach(resource => console.log(`   - ${resource.name}`));
+    const ask = options.confirm || (databases => confirm(`Archive ${databases.length} databases?`));
+    const confirmed = options.yes || await ask(changes.archive);
+    if (!confirmed) {
+      console.log(`❌ ${changes.direction === 'upgrade' ? 'Upgrade' : 'Downgrade'} cancelled; nothing was changed (pass --yes to skip the prompt)`);
+      return { client, from, to: tier, status: 'cancelled', archived: [] };
+    }
+  }
+
+  // Reconciling against the new build adds what is missing and leaves
+  // existing databases, records and relations in place
+  const deployment = await deployConstructionTemplate({ client, tier, profile: profile?.name });
+
+  const archived = [];
+  if (changes.archive.length > 0) {
+    const notion = createNotionClient(profile ? profileToken(profile) : process.env.NOTION_TOKEN);
+    const updated = await WorkspaceManifest.load(client, manifestOptions);
+    for (const resource of changes.archive) {
+      const status = await archiveResource(notion, resource);
+      archived.push({ ...resource, status });
+      console.log(`   ${status === 'failed' ? '⚠️' : '🗑️'} database ${resource.name}: ${status}`);
+      if (status !== 'failed') {
+        updated.removeDatabase(resource.name);
+      }
+    }
+    await updated.save();
+  }
+
+  console.log(`🎉 ${client} is now on the ${tier} tier`);
+  return {
+    client,
+    from,
+    to: tier,
+    status: archived.some(resource => resource.status === 'failed') ? 'incomplete' : 'completed',
+    deploymentId: deployment.deploymentId,
+    created: deployment.resources.created,
+    updated: deployment.resources.updated,
+    archived,
+  };
+}
+
+// CLI setup
+const program = new Command();
+program
+  .name('upgrade-tier')
+  .description('Move a deployed client workspace to another template tier')
+  .requiredOption('--tier <tier>', 'Tier to move to (starter|professional|enterprise)')
+  .option('--profile <name>', 'Deployment profile whose workspace to move (e.g. acme-staging)')
+  .option('--client <client>', 'Client/company name (defaults to the profile\'s, then CLIENT_NAME)')
+  .option('--from <tier>', 'Current tier, for workspaces whose manifest does not record it')
+  .option('--sample-data', 'Add sample records to databases the new tier creates')
+  .option('--yes', 'Archive databases the new tier drops without asking')
+  .action(async (options) => {
+    try {
+      const report = await upgradeTier(options);
+      process.exit(report.status === 'completed' || report.status === 'unchanged' ? 0 : 1);
+    } catch (error) {
+      console.error('❌ Tier migration failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+if (require.main === module) {
+  program.parse();
+}
+
+module.exports = {
+  upgradeTier,
+  tierChanges,
+  inferTier,
+};
@@ -8,6 +8,19 @@
 const fs = require('fs').promises;
 const path = require('path');
 const Joi = require('joi');
+const { linkedProperties } = require('../src/api/reconcile');
+const { unknownReferences, formulaLayers } = require('../src/api/formulas');
+const { PROJECT_STATUSES, databases } = require('../src/schemas');
+
+// Notion rollup calculations
+const ROLLUP_FUNCTIONS = [
+  'count', 'count_values', 'empty', 'not_empty', 'unique', 'show_unique', 'percent_empty',
+  'percent_not_empty', 'sum', 'average', 'median', 'min', 'max', 'range',
+  'earliest_date', 'latest_date', 'date_range', 'checked', 'unchecked',
+  'percent_checked', 'percent_unchecked', 'show_original',
+];
+
+const rollupOnly = schema => Joi.when('type', { is: 'rollup', then: schema.required(), otherwise: Joi.forbidden() });
 
 // Schema validation rules
 const notionPropertySchema = Joi.object({
@@ -21,7 +34,21 @@ const notionPropertySchema = Joi.object({
     is: Joi.string().valid('select', 'multi_select'),
     then: Joi.required(),
     otherwise: Joi.forbidden()
-  })
+  }),
+  // Record key used by the property codec (defaults to camelCase of the name)
+  field: Joi.string().optional(),
+  format: Joi.string().when('type', { is: 'number', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  single: Joi.boolean().when('type', {
+    is: Joi.string().valid('people', 'relation'),
+    then: Joi.optional(),
+    otherwise: Joi.forbidden()
+  }),
+  // Rollups: relation property on the same database, property on the related one
+  relation: rollupOnly(Joi.string()),
+  property: rollupOnly(Joi.string()),
+  function: rollupOnly(Joi.string().valid(...ROLLUP_FUNCTIONS)),
+  // Formulas: Notion expression; prop("…") references are checked against the schema
+  expression: Joi.string().when('type', { is: 'formula', then: Joi.required(), otherwise: Joi.forbidden() })
 });
 
 const databaseSchemaStructure = Joi.object({
@@ -33,17 +60,20 @@ const databaseSchemaStructure = Joi.object({
   ).required(),
   tier: Joi.string().valid('starter', 'professional', 'enterprise').optional(),
   required: Joi.array().items(Joi.string()).optional(),
+  // Relations are added in a second deploy pass, once every database exists.
+  // `property` is created here; `syncedProperty` names its dual on the target.
   relationships: Joi.array().items(Joi.object({
     target: Joi.string().required(),
-    type: Joi.string().valid('one-to-many', 'many-to-many', 'one-to-one').required()
+    type: Joi.string().valid('one-to-many', 'many-to-one', 'many-to-many', 'one-to-one').required(),
+    property: Joi.string().required(),
+    syncedProperty: Joi.string().optional()
   })).optional()
 });
 
 async function validateSchemas() {
   console.log('🔍 Starting schema validation...');
   
-  const schemasPath = path.join(process.cwd(), 'src', 'schemas', 'databases');
-  let schemaFiles = [];
+  const schemaNames = Object.keys(databases);
   let validationResults = {
     total: 0,
     valid: 0,
@@ -51,42 +81,28 @@ async function validateSchemas() {
     errors: []
   };
   
-  try {
-    // Get all schema files
-    const files = await fs.readdir(schemasPath);
-    schemaFiles = files.filter(file => file.endsWith('.json'));
-    
-    console.log(`📊 Found ${schemaFiles.length} schema files to validate`);
-    
-    // Validate each schema
-    for (const file of schemaFiles) {
-      const result = await validateSingleSchema(path.join(schemasPath, file));
-      validationResults.total++;
-      
-      if (result.valid) {
-        validationResults.valid++;
-        console.log(`✅ ${file}: Valid`);
-      } else {
-        validationResults.invalid++;
-        console.log(`❌ ${file}: Invalid`);
-        validationResults.errors.push({
-          file,
-          errors: result.errors
-        });
-      }
-    }
+  console.log(`📊 Found ${schemaNames.length} database definitions to validate`);
+  
+  // Validate the build package schema generated from each definition
+  for (const name of schemaNames) {
+    const result = await validateSingleSchema(name, databases[name].schema);
+    validationResults.total++;
     
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.warn('⚠️ Schemas directory not found, validating default schemas...');
-      await validateDefaultSchemas();
-      return;
+    if (result.valid) {
+      validationResults.valid++;
+      console.log(`✅ ${name}: Valid`);
+    } else {
+      validationResults.invalid++;
+      console.log(`❌ ${name}: Invalid`);
+      validationResults.errors.push({
+        name,
+        errors: result.errors
+      });
     }
-    throw error;
   }
   
   // Validate relationships between schemas
-  await validateSchemaRelationships(schemasPath, schemaFiles);
+  await validateSchemaRelationships();
   
   // Print summary
   console.log('\n📋 Validation Summary:');
@@ -97,7 +113,7 @@ async function validateSchemas() {
   if (validationResults.errors.length > 0) {
     console.log('\n❌ Validation Errors:');
     validationResults.errors.forEach(error => {
-      console.log(`\n   File: ${error.file}`);
+      console.log(`\n   Database: ${error.name}`);
       error.errors.forEach(err => {
         console.log(`     - ${err}`);
       });
@@ -113,47 +129,34 @@ async function validateSchemas() {
   return validationResults;
 }
 
-async function validateSingleSchema(filePath) {
-  const fileName = path.basename(filePath);
+/**
+ * Validate one build package schema
+ * @param {string} name - Database name
+ * @param {Object} schema - Build package schema
+ * @returns {Promise<Object>} { valid, errors }
+ */
+async function validateSingleSchema(name, schema) {
   const result = { valid: false, errors: [] };
   
-  try {
-    // Read and parse schema file
-    const content = await fs.readFile(filePath, 'utf8');
-    let schema;
-    
-    try {
-      schema = JSON.parse(content);
-    } catch (parseError) {
-      result.errors.push(`Invalid JSON: ${parseError.message}`);
-      return result;
-    }
-    
-    // Validate against Joi schema
-    const { error } = databaseSchemaStructure.validate(schema, { abortEarly: false });
-    if (error) {
-      error.details.forEach(detail => {
-        result.errors.push(detail.message);
-      });
-      return result;
-    }
-    
-    // Additional custom validations
-    await performCustomValidations(schema, result, fileName);
-    
-    result.valid = result.errors.length === 0;
-    return result;
-    
-  } catch (error) {
-    result.errors.push(`File read error: ${error.message}`);
+  const { error } = databaseSchemaStructure.validate(schema, { abortEarly: false });
+  if (error) {
+    error.details.forEach(detail => {
+      result.errors.push(detail.message);
+    });
     return result;
   }
+  
+  // Additional custom validations
+  await performCustomValidations(schema, result, name);
+  
+  result.valid = result.errors.length === 0;
+  return result;
 }
 
-async function performCustomValidations(schema, result, fileName) {
+async function performCustomValidations(schema, result, name) {
   // Check for required construction fields
-  if (fileName.includes('project')) {
-    const requiredProjectFields = ['Name', 'Status', 'Budget', 'Start Date'];
+  if (name.includes('project')) {
+    const requiredProjectFields = ['Project Title', 'Status', 'Contract Value', 'Start Date'];
     const schemaFields = Object.keys(schema.properties);
     
     requiredProjectFields.forEach(field => {
@@ -163,20 +166,32 @@ async function performCustomValidations(schema, result, fileName) {
     });
   }
   
-  // Validate status field options for consistency
+  // Projects move through the construction pipeline stages
+  if (name.includes('project') && schema.properties.Status) {
+    PROJECT_STATUSES
+      .filter(stage => !(schema.properties.Status.options || []).includes(stage))
+      .forEach(stage => result.errors.push(`Missing project pipeline stage: ${stage} in Status`));
+  }
+  
+  // Validate option lists for consistency
   Object.entries(schema.properties).forEach(([propName, propDef]) => {
-    if (propName.toLowerCase().includes('status') && propDef.type === 'select') {
-      const validStatuses = ['Not Started', 'Planning', 'In Progress', 'Completed', 'On Hold', 'Cancelled'];
-      if (propDef.options) {
-        propDef.options.forEach(option => {
-          if (!validStatuses.includes(option)) {
-            result.errors.push(`Non-standard status option: ${option} in ${propName}`);
-          }
-        });
-      }
-    }
+    const duplicates = (propDef.options || []).filter((option, index, options) => options.indexOf(option) !== index);
+    duplicates.forEach(option => {
+      result.errors.push(`Duplicate option: ${option} in ${propName}`);
+    });
   });
   
+  // Formulas may only reference properties of the same database, without cycles
+  const linked = (schema.relationships || []).map(relationship => relationship.property);
+  unknownReferences(schema.properties, linked).forEach(({ formula, property }) => {
+    result.errors.push(`Formula "${formula}" references unknown property "${property}"`);
+  });
+  try {
+    formulaLayers(schema.properties);
+  } catch (error) {
+    result.errors.push(error.message);
+  }
+  
   // Check for proper naming conventions
   Object.keys(schema.properties).forEach(propName => {
     if (propName !== propName.trim()) {
@@ -189,18 +204,10 @@ async function performCustomValidations(schema, result, fileName) {
   });
 }
 
-async function validateSchemaRelationships(schemasPath, schemaFiles) {
+async function validateSchemaRelationships() {
   console.log('\n🔗 Validating schema relationships...');
   
-  const schemas = {};
-  
-  // Load all schemas
-  for (const file of schemaFiles) {
-    const content = await fs.readFile(path.join(schemasPath, file), 'utf8');
-    const schema = JSON.parse(content);
-    const name = file.replace('.json', '');
-    schemas[name] = schema;
-  }
+  const schemas = Object.fromEntries(Object.values(databases).map(definition => [definition.name, definition.schema]));
   
   // Check relationships
   Object.entries(schemas).forEach(([schemaName, schema]) => {
@@ -214,58 +221,19 @@ async function validateSchemaRelationships(schemasPath, schemaFiles) {
       });
     }
   });
-}
-
-async function validateDefaultSchemas() {
-  console.log('🔧 Validating built-in default schemas...');
   
-  const defaultSchemas = {
-    projects: {
-      title: 'Projects',
-      properties: {
-        'Name': { type: 'title' },
-        'Status': { 
-          type: 'select', 
-          options: ['Planning', 'In Progress', 'Completed', 'On Hold'] 
-        },
-        'Budget': { type: 'number' },
-        'Start Date': { type: 'date' },
-        'Client': { type: 'rich_text' }
+  // Relation properties only exist once a relationship creates them, and rollups need one
+  const linked = linkedProperties(schemas);
+  Object.entries(schemas).forEach(([schemaName, schema]) => {
+    Object.entries(schema.properties).forEach(([propName, propDef]) => {
+      if (propDef.type === 'relation' && !linked[schemaName].has(propName)) {
+        console.warn(`⚠️ ${schemaName}: Relation "${propName}" is not created by any relationship`);
       }
-    },
-    tasks: {
-      title: 'Tasks',
-      properties: {
-        'Name': { type: 'title' },
-        'Status': { 
-          type: 'select', 
-          options: ['Not Started', 'In Progress', 'Completed'] 
-        },
-        'Priority': { 
-          type: 'select', 
-          options: ['Low', 'Normal', 'High', 'Critical'] 
-        },
-        'Due Date': { type: 'date' },
-        'Assigned To': { type: 'people' }
+      if (propDef.type === 'rollup' && !linked[schemaName].has(propDef.relation)) {
+        console.warn(`⚠️ ${schemaName}: Rollup "${propName}" uses unknown relation "${propDef.relation}"`);
       }
-    }
-  };
-  
-  let allValid = true;
-  
-  Object.entries(defaultSchemas).forEach(([name, schema]) => {
-    const { error } = databaseSchemaStructure.validate(schema);
-    if (error) {
-      console.log(`❌ Default schema ${name} is invalid:`, error.message);
-      allValid = false;
-    } else {
-      console.log(`✅ Default schema ${name} is valid`);
-    }
+    });
   });
-  
-  if (!allValid) {
-    process.exit(1);
-  }
 }
 
 async function validateConfigurationFiles() {
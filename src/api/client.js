@@ -0,0 +1,30 @@
+/**
+ * Notion client factory
+ * All Notion clients are created here so their traffic shares one scheduler
+ */
+
+const { Client } = require('@notionhq/client');
+const config = require('../../configs');
+const { scheduleClient } = require('./scheduler');
+
+/**
+ * Create a Notion client whose calls go through the shared request scheduler
+ * @param {string} token - Notion integration token
+ * @param {Object} options - Client options
+ * @param {string} options.logLevel - Notion SDK log level
+ * @param {string} options.priority - Scheduler lane for this client's calls
+ * @returns {Object} Scheduled Notion client
+ */
+function createNotionClient(token, options = {}) {
+  const client = new Client({
+    auth: token,
+    logLevel: options.logLevel || 'warn',
+    timeoutMs: config.notion?.timeout,
+  });
+
+  return scheduleClient(client, { priority: options.priority });
+}
+
+module.exports = {
+  createNotionClient,
+};
@@ -0,0 +1,334 @@
+/**
+ * Property codec
+ * Translates plain records to and from Notion page properties using a
+ * build package database schema (generated by src/schemas/define.js)
+ */
+
+const { formatDateForNotion } = require('../utils');
+
+// Notion caps a single rich text object at 2000 characters
+const MAX_TEXT_LENGTH = 2000;
+
+// Shorthand type names accepted in schema definitions
+const TYPE_ALIASES = {
+  text: 'rich_text',
+  phone: 'phone_number',
+  person: 'people',
+};
+
+// Computed by Notion; never sent when writing pages
+const READ_ONLY_TYPES = new Set([
+  'formula',
+  'rollup',
+  'created_time',
+  'created_by',
+  'last_edited_time',
+  'last_edited_by',
+]);
+
+/**
+ * Normalize a schema type name to the Notion property type
+ * @param {string} type - Type from a schema definition
+ * @returns {string} Notion property type
+ */
+function normalizeType(type) {
+  return TYPE_ALIASES[type] || type;
+}
+
+/**
+ * Convert a property name to a record key ("Start Date" -> "startDate")
+ * @param {string} name - Notion property name
+ * @returns {string} camelCase key
+ */
+function toFieldName(name) {
+  const words = name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return words
+    .map((word, index) => {
+      const lower = word.toLowerCase();
+      return index === 0 ? lower : lower.charAt(0).toUpperCase() + lower.slice(1);
+    })
+    .join('');
+}
+
+function codecError(propertyName, message) {
+  return new Error(`Cannot encode "${propertyName}": ${message}`);
+}
+
+function toArray(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function encodeText(value) {
+  const content = String(value);
+  const chunks = [];
+  for (let i = 0; i < content.length; i += MAX_TEXT_LENGTH) {
+    chunks.push({ type: 'text', text: { content: content.slice(i, i + MAX_TEXT_LENGTH) } });
+  }
+  return chunks;
+}
+
+function encodeDate(value) {
+  const format = date => (date instanceof Date ? formatDateForNotion(date) : date);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return value.end ? { start: format(value.start), end: format(value.end) } : { start: format(value.start) };
+  }
+  return { start: format(value) };
+}
+
+/**
+ * Encode a single value as a Notion property payload
+ * @param {string} name - Property name (for error messages)
+ * @param {Object} definition - Property definition from the schema
+ * @param {*} value - Plain value to encode
+ * @returns {Object} Notion property value
+ */
+function encodeValue(name, definition, value) {
+  const type = normalizeType(definition.type);
+
+  switch (type) {
+  case 'title':
+  case 'rich_text':
+    return { [type]: value === null || value === '' ? [] : encodeText(value) };
+  case 'number':
+    if (value !== null && (typeof value !== 'number' || Number.isNaN(value))) {
+      throw codecError(name, `expected a number, got ${JSON.stringify(value)}`);
+    }
+    return { number: value };
+  case 'checkbox':
+    if (typeof value !== 'boolean') {
+      throw codecError(name, `expected a boolean, got ${JSON.stringify(value)}`);
+    }
+    return { checkbox: value };
+  case 'select':
+    return { select: value === null ? null : { name: String(value) } };
+  case 'multi_select':
+    return { multi_select: toArray(value).map(option => ({ name: String(option) })) };
+  case 'date':
+    return { date: value === null ? null : encodeDate(value) };
+  case 'url':
+  case 'email':
+  case 'phone_number':
+    return { [type]: value === null || value === '' ? null : String(value) };
+  case 'people':
+    return { people: toArray(value).map(id => ({ object: 'user', id })) };
+  case 'relation':
+    return { relation: toArray(value).map(id => ({ id })) };
+  case 'files':
+    return {
+      files: toArray(value).map(file => {
+        const url = typeof file === 'string' ? file : file.url;
+        return { name: file.name || url.split('/').pop() || url, type: 'external', external: { url } };
+      }),
+    };
+  default:
+    throw codecError(name, `unsupported property type "${definition.type}"`);
+  }
+}
+
+function decodeText(parts) {
+  return parts.map(part => part.plain_text ?? part.text?.content ?? '').join('');
+}
+
+function decodeDate(date) {
+  if (!date) {
+    return null;
+  }
+  return date.end ? { start: date.start, end: date.end } : date.start;
+}
+
+function decodeFormula(formula) {
+  if (!formula) {
+    return null;
+  }
+  if (formula.type === 'date') {
+    return decodeDate(formula.date);
+  }
+  return formula[formula.type] ?? null;
+}
+
+function decodeRollup(rollup) {
+  if (!rollup) {
+    return null;
+  }
+  switch (rollup.type) {
+  case 'date':
+    return decodeDate(rollup.date);
+  case 'array':
+    return rollup.array.map(item => decodeValue(item));
+  default:
+    return rollup[rollup.type] ?? null;
+  }
+}
+
+/**
+ * Decode a Notion property value into a plain value
+ * @param {Object} property - Notion property value
+ * @param {Object} definition - Property definition from the schema (optional)
+ * @returns {*} Plain value
+ */
+function decodeValue(property, definition = {}) {
+  let ids;
+
+  switch (property.type) {
+  case 'title':
+  case 'rich_text':
+    return decodeText(property[property.type]);
+  case 'number':
+  case 'checkbox':
+  case 'url':
+  case 'email':
+  case 'phone_number':
+  case 'created_time':
+  case 'last_edited_time':
+    return property[property.type] ?? null;
+  case 'select':
+    return property.select ? property.select.name : null;
+  case 'multi_select':
+    return property.multi_select.map(option => option.name);
+  case 'date':
+    return decodeDate(property.date);
+  case 'people':
+  case 'relation':
+    ids = property[property.type].map(item => item.id);
+    return definition.single ? ids[0] ?? null : ids;
+  case 'files':
+    return property.files.map(file => ({ name: file.name, url: file[file.type]?.url }));
+  case 'created_by':
+  case 'last_edited_by':
+    return property[property.type]?.id ?? null;
+  case 'formula':
+    return decodeFormula(property.formula);
+  case 'rollup':
+    return decodeRollup(property.rollup);
+  default:
+    return undefined;
+  }
+}
+
+/**
+ * Create a codec for one database schema definition
+ * @param {Object} schema - Database schema definition ({ title, properties })
+ * @returns {Object} Codec with encode(record, options) and decode(page)
+ */
+function createCodec(schema) {
+  const properties = schema.properties || {};
+  const keyToProperty = new Map();
+  const propertyToKey = new Map();
+
+  Object.entries(properties).forEach(([name, definition]) => {
+    const field = definition.field || toFieldName(name);
+    propertyToKey.set(name, field);
+    [name, field].forEach(key => {
+      if (!keyToProperty.has(key)) {
+        keyToProperty.set(key, name);
+      }
+    });
+  });
+
+  // Records commonly carry their title as "title" or "name"
+  const titleProperty = Object.keys(properties).find(name => normalizeType(properties[name].type) === 'title');
+  if (titleProperty) {
+    ['title', 'name'].forEach(key => {
+      if (!keyToProperty.has(key)) {
+        keyToProperty.set(key, titleProperty);
+      }
+    });
+  }
+
+  /**
+   * Resolve a record key to its property name
+   * @param {string} key - Record key
+   * @returns {string|undefined} Property name
+   */
+  function propertyFor(key) {
+    return keyToProperty.get(key);
+  }
+
+  /**
+   * Encode a plain record into a Notion properties payload
+   * @param {Object} record - Plain record
+   * @param {Object} options - Encoding options
+   * @param {boolean} options.strict - Throw on unknown keys, read-only properties and unknown options (default true)
+   * @returns {Object} Notion properties payload
+   */
+  function encode(record, options = {}) {
+    const strict = options.strict !== false;
+    const payload = {};
+
+    Object.entries(record).forEach(([key, value]) => {
+      if (value === undefined) {
+        return;
+      }
+
+      const name = propertyFor(key);
+      if (!name) {
+        if (strict) {
+          throw new Error(`Unknown property "${key}" for ${schema.title || 'database'}`);
+        }
+        return;
+      }
+
+      const definition = properties[name];
+      if (READ_ONLY_TYPES.has(normalizeType(definition.type))) {
+        if (strict) {
+          throw codecError(name, `${definition.type} properties are read-only`);
+        }
+        return;
+      }
+
+      if (strict && definition.options && value !== null) {
+        const unknown = toArray(value).filter(option => !definition.options.includes(option));
+        if (unknown.length > 0) {
+          throw codecError(name, `unknown option(s) ${unknown.join(', ')}`);
+        }
+      }
+
+      payload[name] = encodeValue(name, definition, value);
+    });
+
+    return payload;
+  }
+
+  /**
+   * Decode a Notion page into a plain record
+   * @param {Object} page - Notion page object
+   * @returns {Object} Plain record with page metadata
+   */
+  function decode(page) {
+    const record = {
+      id: page.id,
+      url: page.url,
+      archived: Boolean(page.archived),
+      createdTime: page.created_time,
+      lastEditedTime: page.last_edited_time,
+    };
+
+    Object.entries(properties).forEach(([name, definition]) => {
+      const property = page.properties?.[name];
+      if (property) {
+        record[propertyToKey.get(name)] = decodeValue(property, definition);
+      }
+    });
+
+    return record;
+  }
+
+  return {
+    schema,
+    encode,
+    decode,
+    propertyFor,
+  };
+}
+
+module.exports = {
+  createCodec,
+  encodeValue,
+  decodeValue,
+  normalizeType,
+  toFieldName,
+  READ_ONLY_TYPES,
+};
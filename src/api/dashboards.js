@@ -0,0 +1,132 @@
+/**
+ * Dashboard pages
+ * Turns the build's view configurations into Notion block trees: a table of
+ * contents, KPI callouts computed from deployed records and links to the
+ * databases each view is built on
+ */
+
+// Number formats whose totals are worth showing as money
+const CURRENCIES = {
+  dollar: 'USD',
+  euro: 'EUR',
+  pound: 'GBP',
+};
+
+/**
+ * Page title for a view ("project-dashboard" -> "Project Dashboard")
+ * @param {string} viewName - View name from the build
+ * @returns {string} Title
+ */
+function dashboardTitle(viewName) {
+  return viewName
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function text(content, annotations) {
+  return annotations ? { type: 'text', text: { content }, annotations } : { type: 'text', text: { content } };
+}
+
+function block(type, content) {
+  return { object: 'block', type, [type]: content };
+}
+
+function optionName(value) {
+  return value?.select?.name ?? value?.status?.name ?? null;
+}
+
+function formatCurrency(amount, format) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: CURRENCIES[format],
+    maximumFractionDigits: 0,
+  }).format(amount);
+}
+
+/**
+ * Headline figures for one database: its record count, the total of every
+ * currency property and the spread of records across Status options
+ * @param {Object} schema - Database schema from the build
+ * @param {Object[]} pages - Notion pages queried from the deployed database
+ * @returns {Object[]} [{ label, value }]
+ */
+function databaseKpis(schema, pages) {
+  const properties = schema.properties || {};
+  const kpis = [{ label: 'Records', value: String(pages.length) }];
+
+  Object.entries(properties)
+    .filter(([, prop]) => prop.type === 'number' && CURRENCIES[prop.format])
+    .forEach(([name, prop]) => {
+      const total = pages.reduce((sum, page) => sum + (page.properties[name]?.number || 0), 0);
+      kpis.push({ label: name, value: formatCurrency(total, prop.format) });
+    });
+
+  const status = properties.Status;
+  if (status && (status.type === 'select' || status.type === 'status')) {
+    const counts = new Map((status.options || []).map(option => [option, 0]));
+    pages.map(page => optionName(page.properties.Status)).filter(Boolean).forEach(name => {
+      counts.set(name, (counts.get(name) || 0) + 1);
+    });
+    const spread = [...counts].filter(([, count]) => count > 0).map(([name, count]) => `${name} ${count}`);
+    kpis.push({ label: 'Status', value: spread.length > 0 ? spread.join(', ') : 'none' });
+  }
+
+  return kpis;
+}
+
+function describeLayout(view) {
+  const config = view.configuration || {};
+  const parts = [`${view.type} view`];
+  if (config.filter) {
+    parts.push('filtered');
+  }
+  if (config.groupBy) {
+    parts.push(`grouped by ${config.groupBy}`);
+  }
+  const sorts = (config.sorts || []).map(sort => `${sort.property || sort.timestamp.replace(/_/g, ' ')} (${sort.direction})`);
+  if (sorts.length > 0) {
+    parts.push(`sorted by ${sorts.join(', ')}`);
+  }
+  return `Suggested layout: ${parts.join(', ')}.`;
+}
+
+/**
+ * Block tree for a view's dashboard page
+ * @param {Object} view - View configuration from the build ({ name, type, configuration })
+ * @param {Object[]} sections - One per deployed database, primary first: { title, databaseId, kpis }
+ * @param {Object} context - { client, tier, generatedAt }
+ * @returns {Object[]} Notion blocks
+ */
+function dashboardBlocks(view, sections, context = {}) {
+  const generatedAt = context.generatedAt || new Date();
+
+  return [
+    block('paragraph', {
+      rich_text: [text(`Generated ${generatedAt.toLocaleDateString()} from the ${view.name} view for ${context.client} (${context.tier}).`)],
+    }),
+    block('table_of_contents', { color: 'default' }),
+    block('heading_1', { rich_text: [text('Key figures')] }),
+    ...sections.map(section => block('callout', {
+      rich_text: [
+        text(section.title, { bold: true }),
+        text(section.kpis.map(kpi => `\n${kpi.label}: ${kpi.value}`).join('')),
+      ],
+      icon: { type: 'emoji', emoji: '📊' },
+      color: 'gray_background',
+    })),
+    block('heading_1', { rich_text: [text('Databases')] }),
+    // The view's filters and sorts are written against its primary database
+    ...sections.flatMap((section, index) => [
+      block('heading_2', { rich_text: [text(section.title)] }),
+      ...(index === 0 ? [block('paragraph', { rich_text: [text(describeLayout(view))] })] : []),
+      block('link_to_page', { type: 'database_id', database_id: section.databaseId }),
+    ]),
+  ];
+}
+
+module.exports = {
+  dashboardTitle,
+  databaseKpis,
+  dashboardBlocks,
+};
@@ -0,0 +1,70 @@
+/**
+ * Formula properties
+ * Reads the prop("…") references out of Notion formula expressions, so
+ * schemas can be checked for unknown properties and formulas deployed after
+ * the properties (and other formulas) they depend on
+ */
+
+const PROP_REFERENCE = /prop\(\s*"((?:[^"\\]|\\.)*)"\s*\)/g;
+
+/**
+ * Property names a formula expression references, in order of first use
+ * @param {string} expression - Notion formula expression
+ * @returns {string[]} Referenced property names
+ */
+function formulaReferences(expression = '') {
+  const names = [...expression.matchAll(PROP_REFERENCE)].map(match => match[1].replace(/\\(.)/g, '$1'));
+  return [...new Set(names)];
+}
+
+/**
+ * References to properties a schema does not define, per formula
+ * @param {Object} properties - Schema properties by name
+ * @param {Iterable<string>} others - Names the database gets elsewhere (e.g. linked relations)
+ * @returns {Object[]} [{ formula, property }]
+ */
+function unknownReferences(properties = {}, others = []) {
+  const known = new Set([...Object.keys(properties), ...others]);
+
+  return Object.entries(properties)
+    .filter(([, prop]) => prop.type === 'formula')
+    .flatMap(([formula, prop]) => formulaReferences(prop.expression)
+      .filter(property => !known.has(property))
+      .map(property => ({ formula, property })));
+}
+
+/**
+ * Group a schema's formulas into layers that can be created together: every
+ * formula comes after the formulas it references
+ * @param {Object} properties - Schema properties by name
+ * @returns {Array<string[]>} Formula names, one array per layer
+ */
+function formulaLayers(properties = {}) {
+  const formulas = Object.keys(properties).filter(name => properties[name].type === 'formula');
+  const dependencies = Object.fromEntries(formulas.map(name => [
+    name,
+    formulaReferences(properties[name].expression).filter(reference => formulas.includes(reference)),
+  ]));
+
+  const layers = [];
+  const placed = new Set();
+  let remaining = formulas;
+
+  while (remaining.length > 0) {
+    const layer = remaining.filter(name => dependencies[name].every(reference => placed.has(reference)));
+    if (layer.length === 0) {
+      throw new Error(`Formulas reference each other in a cycle: ${remaining.join(', ')}`);
+    }
+    layer.forEach(name => placed.add(name));
+    layers.push(layer);
+    remaining = remaining.filter(name => !placed.has(name));
+  }
+
+  return layers;
+}
+
+module.exports = {
+  formulaReferences,
+  unknownReferences,
+  formulaLayers,
+};
@@ -3,19 +3,383 @@
  * Handles Notion API interactions for construction project management
  */
 
-const { Client } = require('@notionhq/client');
 const logger = require('../utils/logger');
+const { projectSchema, taskSchema, projectDatabase, taskDatabase, databases } = require('../schemas');
+const { createCodec } = require('./codec');
+const { query } = require('./query');
+const { paginate, collect } = require('./pagination');
+const { createNotionClient } = require('./client');
+const { scheduleClient } = require('./scheduler');
+const { WorkspaceManifest } = require('./manifest');
+
+const taskCodec = createCodec(taskDatabase);
+
+// A projects database given by ID (NOTION_DATABASE_ID) has the API's own
+// schema; one resolved through a manifest is the template's Projects database
+const projectBindings = {
+  configured: { validator: projectSchema, schema: projectDatabase, codec: createCodec(projectDatabase) },
+  template: {
+    validator: databases.projects.validator,
+    schema: databases.projects.schema,
+    codec: createCodec(databases.projects.schema),
+  },
+};
+
+/**
+ * Validate input against a Joi schema
+ * @param {Object} schema - Joi schema
+ * @param {Object} data - Input to validate
+ * @param {string} label - Record label used in error messages
+ * @param {boolean} partial - Treat required keys as optional (for updates)
+ * @returns {Object} Validated value
+ */
+function validateInput(schema, data, label, partial = false) {
+  const target = partial
+    ? schema.fork(Object.keys(schema.describe().keys), key => key.optional())
+    : schema;
+  const { error, value } = target.validate(data, { abortEarly: false });
+
+  if (error) {
+    const validationError = new Error(`Invalid ${label}: ${error.details.map(d => d.message).join(', ')}`);
+    validationError.details = error.details;
+    throw validationError;
+  }
+
+  return value;
+}
+
+/**
+ * Build a Notion filter from task list options
+ * @param {Object} options - Task list options
+ * @returns {Object|null} Notion filter, or null when unfiltered
+ */
+function buildTaskFilter(options) {
+  const filter = query(taskDatabase);
+
+  if (options.projectId) {
+    filter.where('projectId').contains(options.projectId);
+  }
+  if (options.assignee) {
+    filter.where('assignee').contains(options.assignee);
+  }
+  if (options.priority) {
+    filter.where('priority').is(options.priority);
+  }
+  if (options.status) {
+    filter.where('status').is(options.status);
+  }
+  if (options.open) {
+    filter.where('status').isNot('Completed');
+  }
+  if (options.dueAfter) {
+    filter.where('dueDate').onOrAfter(options.dueAfter);
+  }
+  if (options.dueBefore) {
+    filter.where('dueDate').onOrBefore(options.dueBefore);
+  }
+
+  return filter.build().filter;
+}
 
 class NotionAPI {
-  constructor(token) {
-    this.notion = new Client({ auth: token });
+  /**
+   * @param {string} token - Notion integration token
+   * @param {Object} options - Client options
+   * @param {WorkspaceManifest} options.manifest - Workspace manifest used to resolve database IDs
+   * @param {string} options.databaseId - Projects database ID (overrides the manifest)
+   * @param {string} options.tasksDatabaseId - Tasks database ID (overrides the manifest)
+   * @param {Object} options.client - Existing Notion client to reuse (scheduled if it is not already)
+   */
+  constructor(token, options = {}) {
+    this.notion = options.client ? scheduleClient(options.client) : createNotionClient(token);
     this.logger = logger;
+    this.manifest = options.manifest || null;
+    this.databaseId = options.databaseId;
+    this.tasksDatabaseId = options.tasksDatabaseId;
+  }
+
+  /**
+   * Create an API bound to a client's deployed workspace. Until the client
+   * has been deployed, databases resolve through the environment instead.
+   * @param {string} token - Notion integration token
+   * @param {string} client - Client name the workspace was deployed for
+   * @param {Object} options - Constructor options plus { environment, directory } for the manifest
+   * @returns {Promise<NotionAPI>} API resolving databases through the client's manifest
+   */
+  static async forClient(token, client, options = {}) {
+    const manifest = await WorkspaceManifest.load(client, options);
+    if (manifest.isEmpty()) {
+      logger.warn(`No deployed workspace recorded for ${client} (${manifest.environment}); using NOTION_DATABASE_ID and NOTION_TASKS_DATABASE_ID`);
+      return new NotionAPI(token, options);
+    }
+    return new NotionAPI(token, { ...options, manifest });
   }
 
-  // Placeholder for API methods
   async initialize() {
     this.logger.info('Notion API client initialized');
   }
+
+  /**
+   * Create a project page in the projects database
+   * @param {Object} project - Project data matching projectSchema, or the template's projects schema through a manifest
+   * @returns {Promise<Object>} Created project record
+   */
+  async createProject(project) {
+    const { validator, codec } = this.projectBinding();
+    const value = validateInput(validator, project, 'project');
+
+    const page = await this.notion.pages.create({
+      parent: { database_id: this.requireDatabaseId() },
+      properties: codec.encode(value),
+    });
+
+    this.logger.info(`Created project ${page.id}`);
+    return codec.decode(page);
+  }
+
+  /**
+   * Retrieve a single project
+   * @param {string} projectId - Notion page ID
+   * @returns {Promise<Object>} Project record
+   */
+  async getProject(projectId) {
+    const page = await this.notion.pages.retrieve({ page_id: projectId });
+    return this.projectBinding().codec.decode(page);
+  }
+
+  /**
+   * List projects in the projects database
+   * @param {Object} options - Query options
+   * @param {string} options.status - Only return projects with this status
+   * @param {number} options.maxItems - Stop after this many projects
+   * @returns {Promise<Object[]>} Project records
+   */
+  async listProjects(options = {}) {
+    const { schema, codec } = this.projectBinding();
+    const filter = options.status ? query(schema).where('status').is(options.status).build().filter : undefined;
+
+    const pages = await collect(this.queryAll(this.requireDatabaseId(), filter, options));
+    return pages.map(page => codec.decode(page));
+  }
+
+  /**
+   * Update fields on an existing project
+   * @param {string} projectId - Notion page ID
+   * @param {Object} changes - Partial project data
+   * @returns {Promise<Object>} Updated project record
+   */
+  async updateProject(projectId, changes) {
+    const { validator, codec } = this.projectBinding();
+    const value = validateInput(validator, changes, 'project', true);
+
+    const page = await this.notion.pages.update({
+      page_id: projectId,
+      properties: codec.encode(value),
+    });
+
+    this.logger.info(`Updated project ${projectId}`);
+    return codec.decode(page);
+  }
+
+  /**
+   * Archive a project page
+   * @param {string} projectId - Notion page ID
+   * @returns {Promise<Object>} Archived project record
+   */
+  async archiveProject(projectId) {
+    const page = await this.notion.pages.update({
+      page_id: projectId,
+      archived: true,
+    });
+
+    this.logger.info(`Archived project ${projectId}`);
+    return this.projectBinding().codec.decode(page);
+  }
+
+  /**
+   * Create a task, optionally linked to its parent project
+   * @param {Object} task - Task data matching taskSchema
+   * @returns {Promise<Object>} Created task record
+   */
+  async createTask(task) {
+    const value = validateInput(taskSchema, task, 'task');
+
+    const page = await this.notion.pages.create({
+      parent: { database_id: this.requireTasksDatabaseId() },
+      properties: taskCodec.encode(value),
+    });
+
+    this.logger.info(`Created task ${page.id}`);
+    return taskCodec.decode(page);
+  }
+
+  /**
+   * Update fields on an existing task
+   * @param {string} taskId - Notion page ID
+   * @param {Object} changes - Partial task data
+   * @returns {Promise<Object>} Updated task record
+   */
+  async updateTask(taskId, changes) {
+    const value = validateInput(taskSchema, changes, 'task', true);
+
+    const page = await this.notion.pages.update({
+      page_id: taskId,
+      properties: taskCodec.encode(value),
+    });
+
+    this.logger.info(`Updated task ${taskId}`);
+    return taskCodec.decode(page);
+  }
+
+  /**
+   * Assign a task to a different person
+   * @param {string} taskId - Notion page ID
+   * @param {string|null} assignee - Notion user ID, or null to unassign
+   * @returns {Promise<Object>} Updated task record
+   */
+  async reassignTask(taskId, assignee) {
+    if (assignee === null) {
+      const page = await this.notion.pages.update({
+        page_id: taskId,
+        properties: { [taskCodec.propertyFor('assignee')]: { people: [] } },
+      });
+      return taskCodec.decode(page);
+    }
+
+    return this.updateTask(taskId, { assignee });
+  }
+
+  /**
+   * Mark a task as completed
+   * @param {string} taskId - Notion page ID
+   * @returns {Promise<Object>} Updated task record
+   */
+  async completeTask(taskId) {
+    return this.updateTask(taskId, { status: 'Completed' });
+  }
+
+  /**
+   * List tasks matching all of the given criteria
+   * @param {Object} options - Query options
+   * @param {string} options.projectId - Parent project page ID
+   * @param {string} options.assignee - Notion user ID
+   * @param {string} options.priority - Task priority
+   * @param {string} options.status - Task status
+   * @param {boolean} options.open - Exclude completed tasks
+   * @param {Date|string} options.dueAfter - Earliest due date (inclusive)
+   * @param {Date|string} options.dueBefore - Latest due date (inclusive)
+   * @param {number} options.maxItems - Stop after this many tasks
+   * @returns {Promise<Object[]>} Task records
+   */
+  async listTasks(options = {}) {
+    const filter = buildTaskFilter(options) || undefined;
+
+    const pages = await collect(this.queryAll(this.requireTasksDatabaseId(), filter, options));
+    return pages.map(page => taskCodec.decode(page));
+  }
+
+  /**
+   * Iterate every page in a database, following next_cursor
+   * @example
+   * for await (const page of api.queryAll(databaseId, filter, { maxItems: 500 })) { ... }
+   * @param {string} databaseId - Database to query
+   * @param {Object} filter - Notion filter (optional)
+   * @param {Object} options - Pagination options
+   * @param {Object[]} options.sorts - Notion sorts
+   * @param {number} options.pageSize - Results per request (max 100)
+   * @param {number} options.maxItems - Stop after this many pages
+   * @param {AbortSignal} options.signal - Cancels the iteration
+   * @returns {AsyncGenerator<Object>} Notion page objects
+   */
+  queryAll(databaseId, filter, options = {}) {
+    const params = { database_id: databaseId };
+    if (filter) {
+      params.filter = filter;
+    }
+    if (options.sorts) {
+      params.sorts = options.sorts;
+    }
+
+    return paginate(request => this.notion.databases.query(request), params, options);
+  }
+
+  /**
+   * Iterate every search result, following next_cursor
+   * @param {Object} params - Search parameters (query, filter, sort)
+   * @param {Object} options - Pagination options (pageSize, maxItems, signal)
+   * @returns {AsyncGenerator<Object>} Notion page or database objects
+   */
+  searchAll(params = {}, options = {}) {
+    return paginate(request => this.notion.search(request), params, options);
+  }
+
+  /**
+   * Iterate every child block of a page or block, following next_cursor
+   * @param {string} blockId - Parent page or block ID
+   * @param {Object} options - Pagination options (pageSize, maxItems, signal)
+   * @returns {AsyncGenerator<Object>} Notion block objects
+   */
+  childrenAll(blockId, options = {}) {
+    return paginate(request => this.notion.blocks.children.list(request), { block_id: blockId }, options);
+  }
+
+  /**
+   * Resolve a logical database name (projects, tasks, materials…) to its Notion ID
+   * through the workspace manifest
+   * @param {string} name - Logical database name
+   * @returns {string} Database ID
+   */
+  resolveDatabaseId(name) {
+    if (!this.manifest) {
+      throw new Error(`Cannot resolve the ${name} database without a workspace manifest`);
+    }
+    return this.manifest.databaseId(name);
+  }
+
+  /**
+   * Validator, schema and codec for the projects database this API writes to,
+   * matching where requireDatabaseId finds it
+   * @returns {Object} { validator, schema, codec }
+   */
+  projectBinding() {
+    return !this.databaseId && this.manifest ? projectBindings.template : projectBindings.configured;
+  }
+
+  /**
+   * Resolve the projects database ID or fail loudly
+   * @returns {string} Database ID
+   */
+  requireDatabaseId() {
+    return this.resolveConfiguredDatabase('projects', this.databaseId, 'NOTION_DATABASE_ID');
+  }
+
+  /**
+   * Resolve the tasks database ID or fail loudly
+   * @returns {string} Database ID
+   */
+  requireTasksDatabaseId() {
+    return this.resolveConfiguredDatabase('tasks', this.tasksDatabaseId, 'NOTION_TASKS_DATABASE_ID');
+  }
+
+  /**
+   * Explicit ID, then the manifest, then the legacy environment variable
+   * @param {string} name - Logical database name
+   * @param {string} explicitId - ID passed to the constructor
+   * @param {string} envVar - Legacy environment variable
+   * @returns {string} Database ID
+   */
+  resolveConfiguredDatabase(name, explicitId, envVar) {
+    if (explicitId) {
+      return explicitId;
+    }
+    if (this.manifest) {
+      return this.manifest.databaseId(name);
+    }
+    if (process.env[envVar]) {
+      return process.env[envVar];
+    }
+    throw new Error(`No ${name} database configured: pass a workspace manifest (NotionAPI.forClient) or set ${envVar}`);
+  }
 }
 
-module.exports = NotionAPI;
\ No newline at end of file
+module.exports = NotionAPI;
@@ -0,0 +1,260 @@
+/**
+ * Workspace manifest
+ * Persistent map from logical resource names (projects, tasks, materials…)
+ * to the Notion IDs deployed for one client and environment
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../configs');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Turn a client name into a file-safe slug ("Acme Builders" -> "acme-builders")
+ * @param {string} name - Client name
+ * @returns {string} Slug
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Stable fingerprint of a database schema definition, used to spot schema drift
+ * @param {Object} schema - Database schema definition
+ * @returns {string} Short hex hash
+ */
+function hashSchema(schema) {
+  const canonical = JSON.stringify(schema, (_key, value) => (
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).sort().map(key => [key, value[key]]))
+      : value
+  ));
+  return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 12);
+}
+
+/**
+ * Default deployment environment
+ * @returns {string} Environment name
+ */
+function defaultEnvironment() {
+  return process.env.DEPLOYMENT_ENVIRONMENT || process.env.NODE_ENV || 'development';
+}
+
+class WorkspaceManifest {
+  /**
+   * @param {Object} data - Manifest contents (client, environment, databases, pages…)
+   * @param {string} file - Path the manifest is saved to
+   */
+  constructor(data, file) {
+    this.file = file;
+    this.data = {
+      version: MANIFEST_VERSION,
+      client: data.client,
+      environment: data.environment,
+      tier: data.tier || null,
+      createdAt: data.createdAt || new Date().toISOString(),
+      updatedAt: data.updatedAt || null,
+      lastBuildId: data.lastBuildId || null,
+      databases: data.databases || {},
+      pages: data.pages || {},
+    };
+  }
+
+  /**
+   * Manifest file location for a client and environment
+   * @param {string} client - Client name
+   * @param {Object} options - { environment, directory }
+   * @returns {string} File path
+   */
+  static pathFor(client, options = {}) {
+    const directory = options.directory || config.manifest?.directory || 'manifests';
+    return path.resolve(directory, `${slugify(client)}.${options.environment || defaultEnvironment()}.json`);
+  }
+
+  /**
+   * Load the manifest for a client, or start an empty one
+   * @param {string} client - Client name
+   * @param {Object} options - { environment, directory }
+   * @returns {Promise<WorkspaceManifest>} Manifest
+   */
+  static async load(client, options = {}) {
+    if (!client) {
+      throw new Error('A client name is required to load a workspace manifest');
+    }
+    const environment = options.environment || defaultEnvironment();
+    const file = WorkspaceManifest.pathFor(client, { ...options, environment });
+
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (data.version !== MANIFEST_VERSION) {
+        throw new Error(`Unsupported workspace manifest version ${data.version} in ${file}`);
+      }
+      return new WorkspaceManifest(data, file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return new WorkspaceManifest({ client, environment }, file);
+    }
+  }
+
+  get client() {
+    return this.data.client;
+  }
+
+  get environment() {
+    return this.data.environment;
+  }
+
+  /**
+   * Template tier the workspace was last deployed at (null for manifests
+   * written before tiers were recorded)
+   * @returns {string|null} Tier
+   */
+  get tier() {
+    return this.data.tier;
+  }
+
+  /**
+   * Record the tier the workspace is deployed at
+   * @param {string} tier - Template tier
+   */
+  setTier(tier) {
+    this.data.tier = tier;
+  }
+
+  /**
+   * Whether anything has been recorded yet
+   * @returns {boolean} True for a manifest with no resources
+   */
+  isEmpty() {
+    return Object.keys(this.data.databases).length === 0 && Object.keys(this.data.pages).length === 0;
+  }
+
+  /**
+   * Look up a database entry
+   * @param {string} name - Logical database name (e.g. "materials")
+   * @returns {Object|null} { id, title, schemaVersion, schemaHash, buildId, updatedAt }
+   */
+  database(name) {
+    return this.data.databases[name] || null;
+  }
+
+  /**
+   * Resolve a logical database name to its Notion ID
+   * @param {string} name - Logical database name
+   * @returns {string} Notion database ID
+   */
+  databaseId(name) {
+    const entry = this.database(name);
+    if (!entry) {
+      throw new Error(`No "${name}" database in the ${this.client} (${this.environment}) workspace manifest`);
+    }
+    return entry.id;
+  }
+
+  /**
+   * Look up a page entry
+   * @param {string} name - Logical page name (e.g. "root", "summary")
+   * @returns {Object|null} { id, title, buildId, updatedAt }
+   */
+  page(name) {
+    return this.data.pages[name] || null;
+  }
+
+  /**
+   * All database entries
+   * @returns {Object[]} Entries with their logical name
+   */
+  databases() {
+    return Object.entries(this.data.databases).map(([name, entry]) => ({ name, ...entry }));
+  }
+
+  /**
+   * All page entries
+   * @returns {Object[]} Entries with their logical name
+   */
+  pages() {
+    return Object.entries(this.data.pages).map(([name, entry]) => ({ name, ...entry }));
+  }
+
+  /**
+   * Record a deployed database
+   * @param {string} name - Logical database name
+   * @param {Object} entry - { id, title, schema, schemaVersion, buildId }
+   * @returns {Object} Stored entry
+   */
+  setDatabase(name, entry) {
+    this.data.databases[name] = {
+      id: entry.id,
+      title: entry.title || null,
+      schemaVersion: entry.schemaVersion || null,
+      schemaHash: entry.schema ? hashSchema(entry.schema) : entry.schemaHash || null,
+      buildId: entry.buildId || null,
+      updatedAt: new Date().toISOString(),
+    };
+    return this.data.databases[name];
+  }
+
+  /**
+   * Record a deployed page
+   * @param {string} name - Logical page name
+   * @param {Object} entry - { id, title, buildId }
+   * @returns {Object} Stored entry
+   */
+  setPage(name, entry) {
+    this.data.pages[name] = {
+      id: entry.id,
+      title: entry.title || null,
+      buildId: entry.buildId || null,
+      updatedAt: new Date().toISOString(),
+    };
+    return this.data.pages[name];
+  }
+
+  /**
+   * Forget a database
+   * @param {string} name - Logical database name
+   */
+  removeDatabase(name) {
+    delete this.data.databases[name];
+  }
+
+  /**
+   * Forget a page
+   * @param {string} name - Logical page name
+   */
+  removePage(name) {
+    delete this.data.pages[name];
+  }
+
+  /**
+   * Write the manifest to disk (atomically, via a temp file)
+   * @param {Object} options - { buildId } to stamp as the latest build
+   * @returns {Promise<string>} File path
+   */
+  async save(options = {}) {
+    if (options.buildId) {
+      this.data.lastBuildId = options.buildId;
+    }
+    this.data.updatedAt = new Date().toISOString();
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, `${JSON.stringify(this.data, null, 2)}\n`);
+    await fs.rename(temp, this.file);
+    return this.file;
+  }
+
+  toJSON() {
+    return this.data;
+  }
+}
+
+module.exports = {
+  WorkspaceManifest,
+  hashSchema,
+  slugify,
+};
@@ -0,0 +1,90 @@
+/**
+ * Pagination helpers
+ * Follows Notion's next_cursor so callers see every result, not just the first page
+ */
+
+// Notion caps page_size at 100
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Build the error thrown when a pagination run is cancelled
+ * @param {AbortSignal} signal - Signal that was aborted
+ * @returns {Error} Abort error
+ */
+function abortError(signal) {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+  const error = new Error('Pagination cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Iterate every result of a paginated Notion list endpoint
+ * @param {Function} listFn - Endpoint function, e.g. notion.databases.query
+ * @param {Object} params - Request parameters (without start_cursor/page_size)
+ * @param {Object} options - Pagination options
+ * @param {number} options.pageSize - Results per request (max 100)
+ * @param {number} options.maxItems - Stop after yielding this many results
+ * @param {AbortSignal} options.signal - Cancels the iteration between requests
+ * @yields {Object} Individual result objects
+ */
+async function* paginate(listFn, params = {}, options = {}) {
+  const pageSize = Math.min(options.pageSize || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+  const maxItems = options.maxItems ?? Infinity;
+  const { signal } = options;
+  let cursor;
+  let yielded = 0;
+
+  while (yielded < maxItems) {
+    if (signal?.aborted) {
+      throw abortError(signal);
+    }
+
+    const request = {
+      ...params,
+      page_size: Math.min(pageSize, maxItems - yielded),
+    };
+    if (cursor) {
+      request.start_cursor = cursor;
+    }
+
+    const response = await listFn(request);
+
+    for (const result of response.results) {
+      if (signal?.aborted) {
+        throw abortError(signal);
+      }
+      yield result;
+      yielded++;
+      if (yielded >= maxItems) {
+        return;
+      }
+    }
+
+    if (!response.has_more || !response.next_cursor) {
+      return;
+    }
+    cursor = response.next_cursor;
+  }
+}
+
+/**
+ * Collect every result of a paginated iterator into an array
+ * @param {AsyncIterable} iterator - Iterator from paginate()
+ * @returns {Promise<Object[]>} All results
+ */
+async function collect(iterator) {
+  const results = [];
+  for await (const result of iterator) {
+    results.push(result);
+  }
+  return results;
+}
+
+module.exports = {
+  paginate,
+  collect,
+  MAX_PAGE_SIZE,
+};
@@ -0,0 +1,187 @@
+/**
+ * Task graph
+ * Runs named tasks as soon as the tasks they depend on have finished, so
+ * independent work overlaps. Request rate and concurrency are left to the
+ * shared scheduler every Notion call already goes through.
+ */
+
+const { EventEmitter } = require('events');
+
+class TaskGraph extends EventEmitter {
+  constructor() {
+    super();
+    this.tasks = new Map();
+  }
+
+  /**
+   * Add a task
+   * @param {string} id - Unique task ID (e.g. "database:projects")
+   * @param {Object} options - Task options
+   * @param {string} options.phase - Phase the task is timed and reported under
+   * @param {string[]} options.dependsOn - Tasks that must finish first
+   * @param {Function} options.run - Does the work; may return a promise
+   * @param {boolean} options.skip - Count the task as done without running it (e.g. on resume)
+   * @returns {TaskGraph} This graph, for chaining
+   */
+  add(id, options) {
+    if (this.tasks.has(id)) {
+      throw new Error(`Task ${id} is already in the graph`);
+    }
+    this.tasks.set(id, {
+      id,
+      phase: options.phase,
+      dependsOn: options.dependsOn || [],
+      run: options.run,
+      skip: Boolean(options.skip),
+    });
+    return this;
+  }
+
+  /**
+   * Check every dependency exists and nothing depends on itself
+   */
+  validate() {
+    this.tasks.forEach(task => task.dependsOn.forEach(dependency => {
+      if (!this.tasks.has(dependency)) {
+        throw new Error(`Task ${task.id} depends on unknown task ${dependency}`);
+      }
+    }));
+
+    const visiting = new Set();
+    const visited = new Set();
+    const visit = (id, trail) => {
+      if (visited.has(id)) {
+        return;
+      }
+      if (visiting.has(id)) {
+        throw new Error(`Tasks depend on each other in a cycle: ${[...trail, id].join(' -> ')}`);
+      }
+      visiting.add(id);
+      this.tasks.get(id).dependsOn.forEach(dependency => visit(dependency, [...trail, id]));
+      visiting.delete(id);
+      visited.add(id);
+    };
+    this.tasks.forEach((_task, id) => visit(id, []));
+  }
+
+  /**
+   * Run every task. The first failure stops new tasks from starting; the
+   * returned promise rejects with it once the tasks already running settle.
+   *
+   * Emits "progress" events: { type: 'start', total, phases } with the task count
+   * per phase, { type: 'task', status: started|completed|skipped|failed, task, phase,
+   * completed, total, duration } (completed events carry what the task returned as
+   * result) and { type: 'phase', phase, duration, tasks } when a phase's last task finishes.
+   * @returns {Promise<Object>} Timing per phase: { startedAt, finishedAt, duration, tasks, skipped }
+   */
+  run() {
+    this.validate();
+
+    const total = this.tasks.size;
+    const phases = {};
+    const remaining = {};
+    this.tasks.forEach(task => {
+      phases[task.phase] = phases[task.phase] || { startedAt: null, finishedAt: null, duration: 0, tasks: 0, skipped: 0 };
+      remaining[task.phase] = (remaining[task.phase] || 0) + 1;
+    });
+
+    this.emit('progress', { type: 'start', total, phases: { ...remaining } });
+
+    const finished = new Set();
+    const started = new Set();
+    let running = 0;
+    let failure = null;
+
+    return new Promise((resolve, reject) => {
+      const settle = (task, status, startedAt, result) => {
+        const timing = phases[task.phase];
+        const finishedAt = Date.now();
+        finished.add(task.id);
+        remaining[task.phase]--;
+        if (status === 'skipped') {
+          timing.skipped++;
+        } else {
+          timing.tasks++;
+          timing.startedAt = Math.min(timing.startedAt ?? startedAt, startedAt);
+          timing.finishedAt = Math.max(timing.finishedAt ?? finishedAt, finishedAt);
+          timing.duration = timing.finishedAt - timing.startedAt;
+        }
+        this.emit('progress', {
+          type: 'task',
+          status,
+          task: task.id,
+          phase: task.phase,
+          completed: finished.size,
+          total,
+          duration: status === 'skipped' ? 0 : finishedAt - startedAt,
+          ...(status === 'completed' ? { result } : {}),
+        });
+        if (remaining[task.phase] === 0) {
+          this.emit('progress', { type: 'phase', phase: task.phase, duration: timing.duration, tasks: timing.tasks, skipped: timing.skipped });
+        }
+      };
+
+      const launch = () => {
+        if (failure) {
+          if (running === 0) {
+            reject(failure);
+          }
+          return;
+        }
+        if (finished.size === total) {
+          resolve(phases);
+          return;
+        }
+
+        const ready = [...this.tasks.values()].filter(task => (
+          !started.has(task.id) && task.dependsOn.every(dependency => finished.has(dependency))
+        ));
+        ready.forEach(task => {
+          started.add(task.id);
+          if (task.skip) {
+            settle(task, 'skipped', Date.now());
+            return;
+          }
+
+          const startedAt = Date.now();
+          running++;
+          this.emit('progress', { type: 'task', status: 'started', task: task.id, phase: task.phase, completed: finished.size, total });
+          Promise.resolve()
+            .then(() => task.run())
+            .then(result => {
+              running--;
+              settle(task, 'completed', startedAt, result);
+              launch();
+            }, error => {
+              running--;
+              error.task = error.task || task.id;
+              failure = failure || error;
+              finished.add(task.id);
+              this.emit('progress', {
+                type: 'task',
+                status: 'failed',
+                task: task.id,
+                phase: task.phase,
+                completed: finished.size,
+                total,
+                duration: Date.now() - startedAt,
+                error: error.message,
+              });
+              launch();
+            });
+        });
+
+        // Skipped tasks finish synchronously and may unblock more
+        if (ready.some(task => task.skip)) {
+          launch();
+        }
+      };
+
+      launch();
+    });
+  }
+}
+
+module.exports = {
+  TaskGraph,
+};
@@ -0,0 +1,90 @@
+/**
+ * Deployment profiles
+ * Named settings for deploying one client into one Notion workspace
+ * ("acme-staging", "acme-production"), kept in deploy-profiles.json. A profile
+ * names the environment variable holding its token, never the token itself.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Joi = require('joi');
+
+const profileSchema = Joi.object({
+  client: Joi.string().required(),
+  // Names the client's workspace manifest (manifests/<client>.<environment>.json)
+  environment: Joi.string().pattern(/^[a-z0-9-]+$/).required(),
+  tokenEnv: Joi.string().pattern(/^[A-Z][A-Z0-9_]*$/).required(),
+  parentPageId: Joi.string().allow(null).default(null),
+  tier: Joi.string().valid('starter', 'professional', 'enterprise').default('professional'),
+  sampleData: Joi.boolean().default(false),
+  manifestDir: Joi.string(),
+});
+
+/**
+ * Profiles file location: DEPLOY_PROFILES_FILE, else deploy-profiles.json
+ * @returns {string} File path
+ */
+function profilesPath() {
+  return path.resolve(process.env.DEPLOY_PROFILES_FILE || 'deploy-profiles.json');
+}
+
+/**
+ * Load and validate every profile
+ * @param {string} file - Profiles file (defaults to profilesPath())
+ * @returns {Promise<Object>} Profiles by name
+ */
+async function loadProfiles(file = profilesPath()) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No deployment profiles found at ${file}; copy deploy-profiles.example.json to get started`);
+    }
+    throw error;
+  }
+
+  return Object.fromEntries(Object.entries(raw).map(([name, data]) => {
+    const { error, value } = profileSchema.validate(data, { abortEarly: false });
+    if (error) {
+      const profileError = new Error(`Invalid deployment profile "${name}": ${error.details.map(d => d.message).join(', ')}`);
+      profileError.details = error.details;
+      throw profileError;
+    }
+    return [name, { name, ...value }];
+  }));
+}
+
+/**
+ * Load one profile by name
+ * @param {string} name - Profile name
+ * @param {string} file - Profiles file (defaults to profilesPath())
+ * @returns {Promise<Object>} Profile, with its name
+ */
+async function loadProfile(name, file = profilesPath()) {
+  const profiles = await loadProfiles(file);
+  if (!profiles[name]) {
+    throw new Error(`Unknown deployment profile "${name}" (defined: ${Object.keys(profiles).join(', ') || 'none'})`);
+  }
+  return profiles[name];
+}
+
+/**
+ * The Notion token a profile deploys with
+ * @param {Object} profile - Deployment profile
+ * @returns {string} Token from the environment variable the profile names
+ */
+function profileToken(profile) {
+  const token = process.env[profile.tokenEnv];
+  if (!token) {
+    throw new Error(`Profile ${profile.name} reads its Notion token from ${profile.tokenEnv}, which is not set`);
+  }
+  return token;
+}
+
+module.exports = {
+  loadProfiles,
+  loadProfile,
+  profileToken,
+  profilesPath,
+};
@@ -0,0 +1,358 @@
+/**
+ * Query builder
+ * Fluent filter and sort builder that compiles to Notion database query payloads
+ * @example
+ * query(taskDatabase).where('Status').isNot('Completed').and('Due Date').before(new Date()).build()
+ */
+
+const { formatDateForNotion } = require('../utils');
+const { createCodec, normalizeType } = require('./codec');
+
+// Built-in page timestamps, filterable and sortable without a schema property
+const TIMESTAMPS = new Set(['created_time', 'last_edited_time']);
+
+// Notion caps compound filters at two levels of nesting
+const MAX_DEPTH = 2;
+
+const EMPTY = ['is_empty', 'is_not_empty'];
+const RELATIVE_DATES = ['past_week', 'past_month', 'past_year', 'this_week', 'next_week', 'next_month', 'next_year'];
+const TEXT = ['equals', 'does_not_equal', 'contains', 'does_not_contain', 'starts_with', 'ends_with', ...EMPTY];
+const LIST = ['contains', 'does_not_contain', ...EMPTY];
+const DATE = ['equals', 'before', 'after', 'on_or_before', 'on_or_after', ...EMPTY, ...RELATIVE_DATES];
+
+// Filter condition key and the operators Notion accepts for each property type
+const FILTER_TYPES = {
+  title: { key: 'title', operators: TEXT },
+  rich_text: { key: 'rich_text', operators: TEXT },
+  url: { key: 'url', operators: TEXT },
+  email: { key: 'email', operators: TEXT },
+  phone_number: { key: 'phone_number', operators: TEXT },
+  number: {
+    key: 'number',
+    operators: ['equals', 'does_not_equal', 'greater_than', 'less_than', 'greater_than_or_equal_to', 'less_than_or_equal_to', ...EMPTY],
+  },
+  checkbox: { key: 'checkbox', operators: ['equals', 'does_not_equal'] },
+  select: { key: 'select', operators: ['equals', 'does_not_equal', ...EMPTY] },
+  status: { key: 'status', operators: ['equals', 'does_not_equal', ...EMPTY] },
+  multi_select: { key: 'multi_select', operators: LIST },
+  date: { key: 'date', operators: DATE },
+  people: { key: 'people', operators: LIST },
+  created_by: { key: 'created_by', operators: LIST },
+  last_edited_by: { key: 'last_edited_by', operators: LIST },
+  relation: { key: 'relation', operators: LIST },
+  files: { key: 'files', operators: EMPTY },
+  created_time: { key: 'created_time', operators: DATE, timestamp: true },
+  last_edited_time: { key: 'last_edited_time', operators: DATE, timestamp: true },
+};
+
+// Fluent method name -> Notion operator
+const METHODS = {
+  is: 'equals',
+  isNot: 'does_not_equal',
+  contains: 'contains',
+  doesNotContain: 'does_not_contain',
+  startsWith: 'starts_with',
+  endsWith: 'ends_with',
+  greaterThan: 'greater_than',
+  lessThan: 'less_than',
+  atLeast: 'greater_than_or_equal_to',
+  atMost: 'less_than_or_equal_to',
+  before: 'before',
+  after: 'after',
+  onOrBefore: 'on_or_before',
+  onOrAfter: 'on_or_after',
+};
+
+// Operators that take no argument
+const UNARY_METHODS = {
+  isEmpty: 'is_empty',
+  isNotEmpty: 'is_not_empty',
+  pastWeek: 'past_week',
+  pastMonth: 'past_month',
+  pastYear: 'past_year',
+  thisWeek: 'this_week',
+  nextWeek: 'next_week',
+  nextMonth: 'next_month',
+  nextYear: 'next_year',
+};
+
+function isGroup(node) {
+  return Boolean(node && (node.and || node.or));
+}
+
+// Shallow copy of a group, so adding to one query never changes another
+function detach(node) {
+  if (!isGroup(node)) {
+    return node;
+  }
+  const join = node.and ? 'and' : 'or';
+  return { ...node, [join]: [...node[join]] };
+}
+
+function depth(node) {
+  if (!isGroup(node)) {
+    return 0;
+  }
+  return 1 + Math.max(...(node.and || node.or).map(depth));
+}
+
+/**
+ * A condition awaiting its operator, returned by where/and/or
+ */
+class Condition {
+  constructor(query, join, property) {
+    this.query = query;
+    this.join = join;
+    this.property = property;
+  }
+
+  /**
+   * Match any of several values (compiled to an "or" group of equals)
+   * @param {Array} values - Accepted values
+   * @returns {Query} The owning query
+   */
+  isOneOf(values) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`isOneOf("${this.property}") needs at least one value`);
+    }
+    const clauses = values.map(value => this.query.clause(this.property, 'equals', value));
+    return this.query.add(this.join, clauses.length === 1 ? clauses[0] : { or: clauses });
+  }
+}
+
+Object.entries(METHODS).forEach(([method, operator]) => {
+  Condition.prototype[method] = function (value) {
+    return this.query.add(this.join, this.query.clause(this.property, operator, value));
+  };
+});
+
+Object.entries(UNARY_METHODS).forEach(([method, operator]) => {
+  Condition.prototype[method] = function () {
+    return this.query.add(this.join, this.query.clause(this.property, operator));
+  };
+});
+
+class Query {
+  /**
+   * @param {Object} schema - Database schema definition ({ title, properties })
+   */
+  constructor(schema) {
+    if (!schema || !schema.properties) {
+      throw new Error('A query needs a database schema definition');
+    }
+    this.schema = schema;
+    this.codec = createCodec(schema);
+    this.node = null;
+    this.sorts = [];
+  }
+
+  /**
+   * Start the filter with a condition on a property
+   * @param {string} property - Property name or record key
+   * @returns {Condition} Condition awaiting an operator
+   */
+  where(property) {
+    return new Condition(this, 'and', property);
+  }
+
+  /**
+   * Add a condition (or a nested query) that must also match
+   * @param {string|Query} property - Property name, record key or nested query
+   * @returns {Condition|Query} Condition awaiting an operator, or this query for a nested query
+   */
+  and(property) {
+    return property instanceof Query ? this.add('and', detach(property.node)) : new Condition(this, 'and', property);
+  }
+
+  /**
+   * Add a condition (or a nested query) that may match instead
+   * @param {string|Query} property - Property name, record key or nested query
+   * @returns {Condition|Query} Condition awaiting an operator, or this query for a nested query
+   */
+  or(property) {
+    return property instanceof Query ? this.add('or', detach(property.node)) : new Condition(this, 'or', property);
+  }
+
+  /**
+   * Sort results by a property or page timestamp
+   * @param {string} property - Property name, record key, created_time or last_edited_time
+   * @param {string} direction - ascending or descending
+   * @returns {Query} This query
+   */
+  sortBy(property, direction = 'ascending') {
+    if (!['ascending', 'descending'].includes(direction)) {
+      throw new Error(`Invalid sort direction "${direction}"`);
+    }
+    if (TIMESTAMPS.has(property)) {
+      this.sorts.push({ timestamp: property, direction });
+    } else {
+      this.sorts.push({ property: this.resolve(property).name, direction });
+    }
+    return this;
+  }
+
+  /**
+   * Resolve a property against the schema
+   * @param {string} property - Property name or record key
+   * @returns {Object} { name, type }
+   */
+  resolve(property) {
+    if (TIMESTAMPS.has(property)) {
+      return { name: property, type: property };
+    }
+    const name = this.codec.propertyFor(property);
+    if (!name) {
+      throw new Error(`Unknown property "${property}" in ${this.schema.title || 'database'}`);
+    }
+    return { name, type: normalizeType(this.schema.properties[name].type) };
+  }
+
+  /**
+   * Build a validated filter clause
+   * @param {string} property - Property name or record key
+   * @param {string} operator - Notion filter operator
+   * @param {*} value - Operand (omitted for unary operators)
+   * @returns {Object} Clause node
+   */
+  clause(property, operator, value) {
+    const { name, type } = this.resolve(property);
+    const unary = EMPTY.includes(operator) || RELATIVE_DATES.includes(operator);
+
+    const filterType = FILTER_TYPES[type];
+    if (!filterType) {
+      throw new Error(`Cannot filter on "${name}": ${type} properties are not filterable`);
+    }
+    if (!filterType.operators.includes(operator)) {
+      throw new Error(`Cannot filter on "${name}": ${operator} is not valid for ${type} properties`);
+    }
+    if (unary) {
+      return { property: name, type, operator };
+    }
+    if (value === undefined || value === null) {
+      throw new Error(`Cannot filter on "${name}": ${operator} needs a value`);
+    }
+
+    return { property: name, type, operator, value: this.checkValue(name, type, value) };
+  }
+
+  checkValue(name, type, value) {
+    if (value instanceof Date) {
+      return formatDateForNotion(value);
+    }
+
+    const definition = this.schema.properties[name];
+    if (type === 'number' && typeof value !== 'number') {
+      throw new Error(`Cannot filter on "${name}": expected a number, got ${JSON.stringify(value)}`);
+    }
+    if (type === 'checkbox' && typeof value !== 'boolean') {
+      throw new Error(`Cannot filter on "${name}": expected a boolean, got ${JSON.stringify(value)}`);
+    }
+    if (definition?.options && !definition.options.includes(value)) {
+      throw new Error(`Cannot filter on "${name}": unknown option ${value}`);
+    }
+    return value;
+  }
+
+  /**
+   * Append a node to the filter tree
+   * @param {string} join - and/or
+   * @param {Object} node - Clause or group node
+   * @returns {Query} This query
+   */
+  add(join, node) {
+    if (!node) {
+      return this;
+    }
+
+    if (!this.node) {
+      this.node = node;
+    } else if (this.node[join]) {
+      this.node[join].push(node);
+    } else {
+      this.node = { [join]: [this.node, node] };
+    }
+
+    if (depth(this.node) > MAX_DEPTH) {
+      throw new Error(`Filters can nest at most ${MAX_DEPTH} levels deep`);
+    }
+    return this;
+  }
+
+  /**
+   * Compile to a Notion query payload
+   * @returns {Object} { filter, sorts } (filter is null when there are no conditions)
+   */
+  build() {
+    return {
+      filter: this.node ? compile(this.node) : null,
+      sorts: this.sorts.map(sort => ({ ...sort })),
+    };
+  }
+
+  /**
+   * Serializable form, suitable for build packages
+   * @returns {Object} { database, where, sorts }
+   */
+  toJSON() {
+    return {
+      database: this.schema.title,
+      where: this.node ? JSON.parse(JSON.stringify(this.node)) : null,
+      sorts: this.sorts.map(sort => ({ ...sort })),
+    };
+  }
+
+  /**
+   * Rebuild a query from toJSON output, re-validating it against the schema
+   * @param {Object} json - Serialized query
+   * @param {Object} schema - Database schema definition
+   * @returns {Query} Query
+   */
+  static fromJSON(json, schema) {
+    const result = new Query(schema);
+    const revive = node => {
+      if (isGroup(node)) {
+        const join = node.and ? 'and' : 'or';
+        return { [join]: node[join].map(revive) };
+      }
+      return result.clause(node.property, node.operator, node.value);
+    };
+
+    if (json.where) {
+      result.add('and', revive(json.where));
+    }
+    (json.sorts || []).forEach(sort => result.sortBy(sort.timestamp || sort.property, sort.direction));
+    return result;
+  }
+}
+
+function compile(node) {
+  if (isGroup(node)) {
+    const join = node.and ? 'and' : 'or';
+    return { [join]: node[join].map(compile) };
+  }
+
+  // Unary operators: Notion expects true for emptiness checks and {} for relative dates
+  let operand = node.value;
+  if (operand === undefined) {
+    operand = EMPTY.includes(node.operator) ? true : {};
+  }
+
+  const filterType = FILTER_TYPES[node.type];
+  const condition = { [filterType.key]: { [node.operator]: operand } };
+  return filterType.timestamp ? { timestamp: filterType.key, ...condition } : { property: node.property, ...condition };
+}
+
+/**
+ * Start a query against a database schema
+ * @param {Object} schema - Database schema definition
+ * @returns {Query} Query
+ */
+function query(schema) {
+  return new Query(schema);
+}
+
+module.exports = {
+  Query,
+  query,
+  FILTER_TYPES,
+};
@@ -0,0 +1,154 @@
+/**
+ * Database reconciliation
+ * Compares a deployed Notion database with the properties a build asks for,
+ * so a redeploy updates what changed instead of creating a second copy
+ */
+
+const { slugify } = require('./manifest');
+
+const MARKER_PREFIX = 'construction-template';
+
+// Option lists Notion lets us extend through the API (status options are read-only)
+const OPTION_TYPES = ['select', 'multi_select'];
+
+/**
+ * Stable marker written into a database description, so the database can be
+ * found again even when the workspace manifest is missing
+ * @param {string} client - Client name
+ * @param {string} name - Logical database name
+ * @returns {string} Marker, e.g. "construction-template:acme:projects"
+ */
+function databaseMarker(client, name) {
+  return `${MARKER_PREFIX}:${slugify(client)}:${name}`;
+}
+
+/**
+ * Plain text of a Notion rich text array
+ * @param {Object[]} parts - Rich text parts
+ * @returns {string} Text
+ */
+function plainText(parts = []) {
+  return parts.map(part => part.plain_text ?? part.text?.content ?? '').join('');
+}
+
+/**
+ * Whether a database carries the given marker
+ * @param {Object} database - Notion database object
+ * @param {string} marker - Marker from databaseMarker
+ * @returns {boolean} True when the description contains the marker
+ */
+function hasMarker(database, marker) {
+  return plainText(database.description).split(/\s+/).includes(marker);
+}
+
+/**
+ * Property type of a Notion property definition ({ select: {...} } -> "select")
+ * @param {Object} config - Property definition
+ * @returns {string} Type
+ */
+function propertyType(config) {
+  return config.type || Object.keys(config).find(key => key !== 'name' && key !== 'description');
+}
+
+function diffOptions(type, live, desired) {
+  if (OPTION_TYPES.includes(type)) {
+    const current = live.options || [];
+    const missing = (desired.options || []).filter(option => !current.some(existing => existing.name === option.name));
+    if (missing.length === 0) {
+      return null;
+    }
+    // Notion drops options left out of an update, so resend the live ones
+    return {
+      update: { options: [...current.map(({ name, color }) => ({ name, color })), ...missing] },
+      detail: `add options ${missing.map(option => option.name).join(', ')}`,
+    };
+  }
+  if (type === 'number' && desired.format && desired.format !== live.format) {
+    return {
+      update: { format: desired.format },
+      detail: `format ${live.format} -> ${desired.format}`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Work out the databases.update properties patch that brings a live database
+ * in line with the desired definitions. Properties the build no longer
+ * defines are reported but never dropped, since they may hold client data.
+ * @param {Object} live - Properties of the deployed database
+ * @param {Object} desired - Notion property definitions from the build
+ * @returns {Object} { patch, changes: [{ property, action, from, to, detail }], extra: [names] }
+ */
+function diffProperties(live = {}, desired = {}) {
+  const patch = {};
+  const changes = [];
+  const liveTitle = Object.keys(live).find(name => live[name].type === 'title');
+  const claimed = new Set(Object.keys(desired));
+
+  Object.entries(desired).forEach(([name, config]) => {
+    const type = propertyType(config);
+    const current = live[name];
+
+    if (!current) {
+      // A database has exactly one title property: rename it rather than add another
+      if (type === 'title' && liveTitle && !desired[liveTitle]) {
+        patch[liveTitle] = { name };
+        claimed.add(liveTitle);
+        changes.push({ property: name, action: 'rename', from: liveTitle, to: name });
+        return;
+      }
+      patch[name] = config;
+      changes.push({ property: name, action: 'add', to: type });
+      return;
+    }
+
+    if (current.type !== type) {
+      patch[name] = config;
+      changes.push({ property: name, action: 'change', from: current.type, to: type });
+      return;
+    }
+
+    const options = diffOptions(type, current[type] || {}, config[type] || {});
+    if (options) {
+      patch[name] = { [type]: options.update };
+      changes.push({ property: name, action: 'change', from: type, to: type, detail: options.detail });
+    }
+  });
+
+  return {
+    patch,
+    changes,
+    extra: Object.keys(live).filter(name => !claimed.has(name)),
+  };
+}
+
+/**
+ * Relation properties each database ends up with once its relationships are
+ * linked: the relationship's own property plus the synced dual on the target
+ * @param {Object} schemas - Schema definitions by logical database name
+ * @returns {Object} Database name -> Set of relation property names
+ */
+function linkedProperties(schemas) {
+  const linked = Object.fromEntries(Object.keys(schemas).map(name => [name, new Set()]));
+
+  Object.entries(schemas).forEach(([name, schema]) => {
+    (schema.relationships || []).forEach(relationship => {
+      linked[name].add(relationship.property);
+      if (relationship.syncedProperty && linked[relationship.target]) {
+        linked[relationship.target].add(relationship.syncedProperty);
+      }
+    });
+  });
+
+  return linked;
+}
+
+module.exports = {
+  databaseMarker,
+  linkedProperties,
+  hasMarker,
+  diffProperties,
+  plainText,
+  propertyType,
+};
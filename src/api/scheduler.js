@@ -0,0 +1,244 @@
+/**
+ * Request scheduler
+ * Token-bucket rate limiter with priority lanes shared by all Notion traffic
+ */
+
+const config = require('../../configs');
+const { withRetry } = require('../utils/retry');
+
+// Lanes in dispatch order: interactive reads jump ahead of bulk writes
+const LANES = ['interactive', 'default', 'bulk'];
+
+const SCHEDULER = Symbol('scheduler');
+const RAW_CLIENT = Symbol('rawClient');
+const PRIORITY = Symbol('priority');
+const RETRY = Symbol('retry');
+
+// Client properties that hold endpoint functions
+const ENDPOINT_NAMESPACES = new Set(['blocks', 'children', 'databases', 'pages', 'properties', 'users', 'comments', 'oauth']);
+
+class RequestScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.requestsPerSecond - Token refill rate (Notion allows ~3 req/s)
+   * @param {number} options.burst - Bucket capacity
+   * @param {number} options.concurrency - Maximum in-flight requests
+   */
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond || 3;
+    this.burst = options.burst || Math.max(1, Math.ceil(this.requestsPerSecond));
+    this.concurrency = options.concurrency || 3;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.queues = Object.fromEntries(LANES.map(lane => [lane, []]));
+    this.active = 0;
+    this.timer = null;
+    this.pausedUntil = 0;
+    this.counters = { scheduled: 0, completed: 0, failed: 0, maxQueueDepth: 0 };
+  }
+
+  /**
+   * Queue a request
+   * @param {Function} fn - Function performing the request
+   * @param {Object} options - Scheduling options
+   * @param {string} options.priority - Lane: interactive, default or bulk
+   * @returns {Promise<*>} Resolves with the request result
+   */
+  schedule(fn, options = {}) {
+    const lane = options.priority || 'default';
+    if (!this.queues[lane]) {
+      return Promise.reject(new Error(`Unknown scheduler lane: ${lane}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queues[lane].push({ fn, resolve, reject, queuedAt: Date.now() });
+      this.counters.scheduled++;
+      this.counters.maxQueueDepth = Math.max(this.counters.maxQueueDepth, this.queueDepth());
+      this.drain();
+    });
+  }
+
+  /**
+   * Number of requests waiting across all lanes
+   * @returns {number} Queued request count
+   */
+  queueDepth() {
+    return LANES.reduce((sum, lane) => sum + this.queues[lane].length, 0);
+  }
+
+  /**
+   * Snapshot of queue depth and throughput counters
+   * @returns {Object} Scheduler statistics
+   */
+  stats() {
+    this.refill();
+    return {
+      queued: this.queueDepth(),
+      lanes: Object.fromEntries(LANES.map(lane => [lane, this.queues[lane].length])),
+      active: this.active,
+      tokens: Math.floor(this.tokens),
+      ...this.counters,
+    };
+  }
+
+  /**
+   * Stop dispatching for a while, e.g. after Notion answers rate_limited
+   * @param {number} ms - Pause length in milliseconds
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  nextJob() {
+    for (const lane of LANES) {
+      if (this.queues[lane].length > 0) {
+        return this.queues[lane].shift();
+      }
+    }
+    return null;
+  }
+
+  drain() {
+    const pausedFor = this.pausedUntil - Date.now();
+    if (pausedFor > 0) {
+      if (!this.timer && this.queueDepth() > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, pausedFor);
+      }
+      return;
+    }
+
+    this.refill();
+
+    while (this.active < this.concurrency && this.tokens >= 1 && this.queueDepth() > 0) {
+      const job = this.nextJob();
+      this.tokens -= 1;
+      this.run(job);
+    }
+
+    // Wake up once the next token is available
+    if (this.queueDepth() > 0 && this.active < this.concurrency && !this.timer) {
+      const wait = Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.max(wait, 0));
+    }
+  }
+
+  async run(job) {
+    this.active++;
+    try {
+      const result = await job.fn();
+      this.counters.completed++;
+      job.resolve(result);
+    } catch (error) {
+      this.counters.failed++;
+      job.reject(error);
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+}
+
+let sharedScheduler = null;
+
+/**
+ * Process-wide scheduler configured from configs.notion
+ * @returns {RequestScheduler} Shared scheduler
+ */
+function getSharedScheduler() {
+  if (!sharedScheduler) {
+    sharedScheduler = new RequestScheduler({
+      requestsPerSecond: config.notion?.requestsPerSecond,
+      concurrency: config.notion?.maxConcurrency,
+    });
+  }
+  return sharedScheduler;
+}
+
+/**
+ * Wrap a Notion client so every endpoint call goes through the scheduler
+ * @param {Object} client - Notion client (or an already scheduled client)
+ * @param {Object} options - Wrapping options
+ * @param {RequestScheduler} options.scheduler - Scheduler to use (defaults to shared)
+ * @param {string} options.priority - Lane for calls made through this client
+ * @param {Object|boolean} options.retry - Retry options for withRetry, or false to disable retries
+ * @returns {Object} Scheduled client with the same surface as the Notion client
+ */
+function scheduleClient(client, options = {}) {
+  const raw = client[RAW_CLIENT] || client;
+  const scheduler = options.scheduler || client[SCHEDULER] || getSharedScheduler();
+  const priority = options.priority || client[PRIORITY] || 'default';
+  const retry = options.retry === false ? null : { ...(client[RETRY] || {}), ...(options.retry || {}) };
+
+  const wrap = target => new Proxy(target, {
+    get(obj, prop) {
+      if (prop === SCHEDULER) {
+        return scheduler;
+      }
+      if (prop === RAW_CLIENT) {
+        return raw;
+      }
+      if (prop === PRIORITY) {
+        return priority;
+      }
+      if (prop === RETRY) {
+        return retry;
+      }
+
+      const value = obj[prop];
+      if (typeof value === 'function') {
+        const call = args => scheduler.schedule(() => value.apply(obj, args), { priority });
+        if (!retry) {
+          return (...args) => call(args);
+        }
+        // Retries re-enter the queue, so they respect the rate limit too
+        return (...args) => withRetry(() => call(args), {
+          ...retry,
+          onRetry: (error, info) => {
+            if (info.reason === 'rate_limited') {
+              scheduler.pause(info.delay);
+            }
+          },
+        });
+      }
+      if (value && typeof value === 'object' && ENDPOINT_NAMESPACES.has(prop)) {
+        return wrap(value);
+      }
+      return value;
+    },
+  });
+
+  return wrap(raw);
+}
+
+/**
+ * Same client, different lane
+ * @param {Object} client - Scheduled or raw Notion client
+ * @param {string} priority - Lane: interactive, default or bulk
+ * @returns {Object} Scheduled client bound to the lane
+ */
+function withPriority(client, priority) {
+  return scheduleClient(client, { priority });
+}
+
+module.exports = {
+  RequestScheduler,
+  getSharedScheduler,
+  scheduleClient,
+  withPriority,
+  LANES,
+};
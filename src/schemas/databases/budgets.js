@@ -0,0 +1,31 @@
+/**
+ * Budgets database: budget lines per project and cost category
+ */
+
+const { defineDatabase } = require('../define');
+const { COST_CATEGORIES } = require('../options');
+
+module.exports = defineDatabase({
+  name: 'budgets',
+  title: 'Budgets',
+  description: 'Budget lines per project and cost category',
+  properties: {
+    'Budget Line': { type: 'title', field: 'name', required: true },
+    'Project': { type: 'relation', field: 'projectId', single: true, required: true },
+    'Category': { type: 'select', options: COST_CATEGORIES, required: true },
+    'Budgeted Amount': { type: 'number', format: 'dollar', required: true },
+    'Committed Amount': { type: 'number', format: 'dollar' },
+    'Actual Amount': { type: 'number', format: 'dollar' },
+    'Start Date': { type: 'date' },
+    'End Date': { type: 'date', notBefore: 'Start Date' },
+    'Status': {
+      type: 'select',
+      options: ['Draft', 'Submitted', 'Approved', 'Rejected', 'Closed'],
+      required: true,
+    },
+    'Approval Date': { type: 'date', onlyWithStatus: ['Approved'] },
+    'Approved By': { type: 'rich_text' },
+    'Notes': { type: 'rich_text' },
+    'Expenses': { type: 'relation' },
+  },
+});
@@ -0,0 +1,43 @@
+/**
+ * Clients database: client relationships and project history
+ */
+
+const { defineDatabase } = require('../define');
+const { PAYMENT_TERMS, RATINGS } = require('../options');
+
+module.exports = defineDatabase({
+  name: 'clients',
+  title: 'Clients',
+  description: 'Client relationship management with construction-specific fields',
+  properties: {
+    'Client Name': { type: 'title', field: 'name', required: true },
+    'Contact Person': { type: 'rich_text' },
+    'Phone': { type: 'phone_number', required: true },
+    'Email': { type: 'email' },
+    'Billing Address': { type: 'rich_text' },
+    'Project Address': { type: 'rich_text' },
+    'Client Type': {
+      type: 'select',
+      field: 'type',
+      options: ['Homeowner', 'Property Developer', 'Commercial', 'Government', 'Insurance'],
+    },
+    'Lead Source': {
+      type: 'select',
+      options: ['Referral', 'Website', 'Social Media', 'Trade Show', 'Repeat Client'],
+    },
+    'Decision Maker': { type: 'rich_text' },
+    'Budget Range': {
+      type: 'select',
+      options: ['Under 50K', '50K-100K', '100K-250K', '250K-500K', '500K+'],
+    },
+    'Payment Terms': { type: 'select', options: PAYMENT_TERMS },
+    'Credit Rating': { type: 'select', options: [...RATINGS, 'Unknown'] },
+    'Insurance Carrier': { type: 'rich_text' },
+    'HOA Requirements': { type: 'checkbox' },
+    'Special Requirements': { type: 'rich_text' },
+    'Projects': { type: 'relation' },
+    'Total Projects': { type: 'rollup', relation: 'Projects', property: 'Project Title', function: 'count' },
+    'Total Value': { type: 'rollup', relation: 'Projects', property: 'Contract Value', function: 'sum' },
+    'Last Project': { type: 'rollup', relation: 'Projects', property: 'Created Date', function: 'latest_date' },
+  },
+});
@@ -0,0 +1,36 @@
+/**
+ * Documents database: contracts, drawings and other project files
+ */
+
+const { defineDatabase } = require('../define');
+
+module.exports = defineDatabase({
+  name: 'documents',
+  title: 'Documents',
+  description: 'Contracts, drawings, change orders and other project files',
+  properties: {
+    'Document Name': { type: 'title', field: 'name', required: true },
+    'Project': { type: 'relation', field: 'projectId', single: true },
+    'Document Type': {
+      type: 'select',
+      field: 'type',
+      options: [
+        'Contract', 'Change Order', 'Drawing', 'Specification', 'Permit',
+        'Invoice', 'Photo', 'Report', 'Warranty', 'Other',
+      ],
+      required: true,
+    },
+    'Status': {
+      type: 'select',
+      options: ['Draft', 'Under Review', 'Approved', 'Superseded', 'Archived'],
+      required: true,
+    },
+    'Version': { type: 'rich_text' },
+    'File': { type: 'url' },
+    'Uploaded By': { type: 'rich_text' },
+    'Upload Date': { type: 'date' },
+    'Approval Date': { type: 'date', notBefore: 'Upload Date', onlyWithStatus: ['Approved'] },
+    'Expiry Date': { type: 'date', notBefore: 'Upload Date' },
+    'Notes': { type: 'rich_text' },
+  },
+});
@@ -0,0 +1,32 @@
+/**
+ * Expenses database. A paid expense keeps the approval date it was approved on.
+ */
+
+const { defineDatabase } = require('../define');
+const { COST_CATEGORIES } = require('../options');
+
+module.exports = defineDatabase({
+  name: 'expenses',
+  title: 'Expenses',
+  description: 'Project costs as they are incurred, approved and paid',
+  properties: {
+    'Description': { type: 'title', required: true },
+    'Project': { type: 'relation', field: 'projectId', single: true, required: true },
+    'Budget Line': { type: 'relation', field: 'budgetId', single: true },
+    'Vendor': { type: 'relation', field: 'vendorId', single: true },
+    'Category': { type: 'select', options: COST_CATEGORIES, required: true },
+    'Amount': { type: 'number', format: 'dollar', required: true, validate: joi => joi.positive() },
+    'Date': { type: 'date', required: true },
+    'Payment Method': { type: 'select', options: ['Check', 'Credit Card', 'ACH', 'Wire', 'Cash'] },
+    'Status': { type: 'select', options: ['Pending', 'Approved', 'Rejected', 'Paid'], required: true },
+    'Approval Date': { type: 'date', notBefore: 'Date', onlyWithStatus: ['Approved', 'Paid'] },
+    'Paid Date': { type: 'date', notBefore: 'Approval Date', onlyWithStatus: ['Paid'] },
+    'Receipt': { type: 'url' },
+    'Reimbursable': { type: 'checkbox' },
+    'Notes': { type: 'rich_text' },
+  },
+  relationships: [
+    { target: 'budgets', type: 'many-to-one', property: 'Budget Line', syncedProperty: 'Expenses' },
+    { target: 'vendors', type: 'many-to-one', property: 'Vendor', syncedProperty: 'Expenses' },
+  ],
+});
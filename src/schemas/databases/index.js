@@ -0,0 +1,23 @@
+/**
+ * Database catalog
+ * Every database a template can deploy, by build package name. A tier's
+ * databases without a definition here are left out of its build, with a
+ * warning naming them and the relations to them that go unlinked.
+ */
+
+const definitions = [
+  require('./budgets'),
+  require('./clients'),
+  require('./documents'),
+  require('./expenses'),
+  require('./inspections'),
+  require('./materials'),
+  require('./permits'),
+  require('./projects'),
+  require('./safety-incidents'),
+  require('./subcontractors'),
+  require('./tasks'),
+  require('./vendors'),
+];
+
+module.exports = Object.fromEntries(definitions.map(definition => [definition.name, definition]));
@@ -0,0 +1,33 @@
+/**
+ * Inspections database: scheduling and results
+ */
+
+const { defineDatabase } = require('../define');
+
+module.exports = defineDatabase({
+  name: 'inspections',
+  title: 'Inspections',
+  description: 'Inspection scheduling and tracking',
+  properties: {
+    'Inspection ID': { type: 'title', required: true },
+    'Project': { type: 'relation', field: 'projectId', single: true, required: true },
+    'Inspection Type': {
+      type: 'select',
+      options: ['Foundation', 'Framing', 'Electrical', 'Plumbing', 'HVAC', 'Insulation', 'Drywall', 'Final'],
+      required: true,
+    },
+    'Scheduled Date': { type: 'date', required: true },
+    'Inspector': { type: 'rich_text' },
+    'Status': {
+      type: 'select',
+      options: ['Scheduled', 'Passed', 'Failed', 'Partial Pass', 'Cancelled', 'Rescheduled'],
+      required: true,
+    },
+    'Passed Items': { type: 'rich_text' },
+    'Failed Items': { type: 'rich_text' },
+    'Corrective Actions': { type: 'rich_text' },
+    'Re-inspection Date': { type: 'date', notBefore: 'Scheduled Date' },
+    'Notes': { type: 'rich_text' },
+    'Photos': { type: 'files' },
+  },
+});
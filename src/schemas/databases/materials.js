@@ -0,0 +1,49 @@
+/**
+ * Materials database: procurement and delivery tracking
+ */
+
+const { defineDatabase } = require('../define');
+
+module.exports = defineDatabase({
+  name: 'materials',
+  title: 'Materials',
+  description: 'Material tracking, procurement, and inventory management',
+  properties: {
+    'Material Name': { type: 'title', field: 'name', required: true },
+    'Project': { type: 'relation', field: 'projectId', single: true, required: true },
+    'Category': {
+      type: 'select',
+      options: [
+        'Lumber', 'Concrete', 'Steel', 'Electrical', 'Plumbing', 'HVAC',
+        'Roofing', 'Flooring', 'Insulation', 'Drywall', 'Paint', 'Hardware',
+      ],
+      required: true,
+    },
+    'Supplier': { type: 'relation', field: 'supplierId', single: true },
+    'Quantity Ordered': { type: 'number', field: 'quantity', required: true, validate: joi => joi.positive() },
+    'Unit': {
+      type: 'select',
+      options: ['Linear Feet', 'Square Feet', 'Cubic Yards', 'Each', 'Tons', 'Pallets', 'Boxes'],
+      required: true,
+    },
+    'Unit Cost': { type: 'number', format: 'dollar', field: 'cost', required: true },
+    'Total Cost': { type: 'formula', expression: 'prop("Quantity Ordered") * prop("Unit Cost")' },
+    'Order Date': { type: 'date' },
+    'Expected Delivery': { type: 'date', notBefore: 'Order Date' },
+    'Actual Delivery': { type: 'date', notBefore: 'Order Date' },
+    'Status': {
+      type: 'select',
+      options: ['Ordered', 'In Transit', 'Delivered', 'Installed', 'Back-ordered'],
+      required: true,
+    },
+    'Quality Check': {
+      type: 'select',
+      options: ['Not Checked', 'Approved', 'Rejected', 'Returned'],
+    },
+    'Storage Location': { type: 'rich_text' },
+    'Notes': { type: 'rich_text' },
+  },
+  relationships: [
+    { target: 'subcontractors', type: 'many-to-one', property: 'Supplier', syncedProperty: 'Materials Supplied' },
+  ],
+});
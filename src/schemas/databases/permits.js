@@ -0,0 +1,37 @@
+/**
+ * Permits database. Dates follow the application: applied, submitted,
+ * approved, expires.
+ */
+
+const { defineDatabase } = require('../define');
+
+module.exports = defineDatabase({
+  name: 'permits',
+  title: 'Permits',
+  description: 'Permit tracking and compliance management',
+  properties: {
+    'Permit ID': { type: 'title', required: true },
+    'Project': { type: 'relation', field: 'projectId', single: true, required: true },
+    'Permit Type': {
+      type: 'select',
+      options: ['Building', 'Electrical', 'Plumbing', 'HVAC', 'Excavation', 'Roofing', 'Demolition', 'Occupancy'],
+      required: true,
+    },
+    'Jurisdiction': { type: 'rich_text', required: true },
+    'Application Date': { type: 'date' },
+    'Submission Date': { type: 'date', notBefore: 'Application Date' },
+    'Expected Approval': { type: 'date', notBefore: 'Submission Date' },
+    'Approval Date': { type: 'date', notBefore: 'Submission Date', onlyWithStatus: ['Approved', 'Expired'] },
+    'Permit Number': { type: 'rich_text' },
+    'Status': {
+      type: 'select',
+      options: ['Planning', 'Applied', 'Under Review', 'Approved', 'Rejected', 'Expired'],
+      required: true,
+    },
+    'Fee Amount': { type: 'number', format: 'dollar' },
+    'Expiry Date': { type: 'date', notBefore: 'Approval Date' },
+    'Inspector': { type: 'rich_text' },
+    'Requirements': { type: 'rich_text' },
+    'Documents': { type: 'files' },
+  },
+});
@@ -0,0 +1,76 @@
+/**
+ * Projects database: the construction pipeline
+ */
+
+const { defineDatabase } = require('../define');
+const { PROJECT_STATUSES } = require('../options');
+
+module.exports = defineDatabase({
+  name: 'projects',
+  title: 'Projects',
+  description: 'Construction project tracking with material, permit, and inspection management',
+  properties: {
+    'Project Title': { type: 'title', field: 'title', required: true },
+    'Status': { type: 'select', options: PROJECT_STATUSES, required: true },
+    'Client': { type: 'relation', field: 'clientId', single: true, required: true },
+    'Project Type': {
+      type: 'select',
+      field: 'type',
+      options: ['Residential New', 'Commercial Build', 'Renovation', 'Addition', 'Repair', 'Emergency'],
+      required: true,
+    },
+    'Priority': { type: 'select', options: ['High', 'Medium', 'Low'] },
+    'Project Manager': { type: 'people', single: true },
+    'Lead Contractor': { type: 'relation', field: 'leadContractorId', single: true },
+    'Created Date': { type: 'created_time' },
+    'Start Date': { type: 'date' },
+    'Completion Date': { type: 'date', notBefore: 'Start Date' },
+    'Contract Value': { type: 'number', format: 'dollar', field: 'budget', required: true },
+    'Current Costs': { type: 'number', format: 'dollar' },
+    'Change Orders Total': { type: 'number', format: 'dollar' },
+    'Permits Required': {
+      type: 'multi_select',
+      options: ['Building', 'Electrical', 'Plumbing', 'HVAC', 'Excavation', 'Roofing'],
+    },
+    'Inspection Status': {
+      type: 'select',
+      options: ['Not Started', 'Scheduled', 'Passed', 'Failed', 'Re-inspection'],
+    },
+    'Safety Compliance': {
+      type: 'select',
+      options: ['Compliant', 'Minor Issues', 'Major Issues', 'Critical'],
+    },
+    'Weather Dependency': { type: 'checkbox' },
+    'Address': { type: 'rich_text', required: true },
+    'Coordinates': { type: 'rich_text' },
+    'Behind Schedule': {
+      type: 'formula',
+      expression: 'and(prop("Completion Date"), prop("Completion Date") < now(), prop("Status") != "Complete", prop("Status") != "Warranty")',
+    },
+    'Budget Variance': {
+      type: 'formula',
+      expression: 'if(prop("Contract Value") > 0, ((prop("Current Costs") + prop("Change Orders Total")) - prop("Contract Value")) / prop("Contract Value") * 100, 0)',
+    },
+    'Project Health': {
+      type: 'formula',
+      expression: 'if(prop("Budget Variance") > 15, "🔴 Over Budget", if(prop("Behind Schedule"), "🟡 Behind Schedule", if(prop("Safety Compliance") == "Critical", "🚨 Safety Issue", "🟢 On Track")))',
+    },
+    'Profit Margin': {
+      type: 'formula',
+      expression: 'if(prop("Contract Value") > 0, (prop("Contract Value") - prop("Current Costs") - prop("Change Orders Total")) / prop("Contract Value") * 100, 0)',
+    },
+  },
+  relationships: [
+    { target: 'clients', type: 'many-to-one', property: 'Client', syncedProperty: 'Projects' },
+    { target: 'team-members', type: 'many-to-one', property: 'Lead Contractor' },
+    { target: 'materials', type: 'one-to-many', property: 'Materials', syncedProperty: 'Project' },
+    { target: 'permits', type: 'one-to-many', property: 'Permits', syncedProperty: 'Project' },
+    { target: 'inspections', type: 'one-to-many', property: 'Inspections', syncedProperty: 'Project' },
+    { target: 'safety-incidents', type: 'one-to-many', property: 'Safety Incidents', syncedProperty: 'Project' },
+    { target: 'subcontractors', type: 'many-to-many', property: 'Subcontractors', syncedProperty: 'Projects' },
+    { target: 'budgets', type: 'one-to-many', property: 'Budgets', syncedProperty: 'Project' },
+    { target: 'expenses', type: 'one-to-many', property: 'Expenses', syncedProperty: 'Project' },
+    { target: 'documents', type: 'one-to-many', property: 'Documents', syncedProperty: 'Project' },
+    { target: 'tasks', type: 'one-to-many', property: 'Tasks', syncedProperty: 'Project' },
+  ],
+});
@@ -0,0 +1,37 @@
+/**
+ * Safety Incidents database: incident reports and follow-up
+ */
+
+const { defineDatabase } = require('../define');
+
+module.exports = defineDatabase({
+  name: 'safety-incidents',
+  title: 'Safety Incidents',
+  description: 'Safety incident tracking and compliance',
+  properties: {
+    'Incident ID': { type: 'title', required: true },
+    'Project': { type: 'relation', field: 'projectId', single: true, required: true },
+    'Date': { type: 'date', required: true },
+    'Time': {
+      type: 'rich_text',
+      validate: joi => joi.pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).messages({
+        'string.pattern.base': '{{#label}} must be a time (HH:MM)',
+      }),
+    },
+    'Severity': { type: 'select', options: ['Minor', 'Moderate', 'Major', 'Critical'], required: true },
+    'Type': {
+      type: 'select',
+      options: ['Injury', 'Near Miss', 'Property Damage', 'Safety Violation', 'Environmental'],
+      required: true,
+    },
+    'Injured Person': { type: 'rich_text' },
+    'Description': { type: 'rich_text', required: true },
+    'Immediate Action': { type: 'rich_text' },
+    'Root Cause': { type: 'rich_text' },
+    'Preventive Actions': { type: 'rich_text' },
+    'Reported By': { type: 'people', single: true, required: true },
+    'OSHA Reportable': { type: 'checkbox' },
+    'Status': { type: 'select', options: ['Open', 'Under Investigation', 'Closed'], required: true },
+    'Photos': { type: 'files' },
+  },
+});
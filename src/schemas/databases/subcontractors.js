@@ -0,0 +1,33 @@
+/**
+ * Subcontractors database: trades, availability and performance
+ */
+
+const { defineDatabase } = require('../define');
+const { TRADES, RATINGS } = require('../options');
+
+module.exports = defineDatabase({
+  name: 'subcontractors',
+  title: 'Subcontractors',
+  description: 'Subcontractor management and coordination',
+  properties: {
+    'Company Name': { type: 'title', field: 'name', required: true },
+    'Contact Person': { type: 'rich_text', required: true },
+    'Phone': { type: 'phone_number', required: true },
+    'Email': { type: 'email' },
+    'Specialty': { type: 'multi_select', options: TRADES, required: true },
+    'License Number': { type: 'rich_text' },
+    'Insurance Expiry': { type: 'date' },
+    'Rate': { type: 'number', format: 'dollar' },
+    'Availability': {
+      type: 'select',
+      options: ['Available', 'Booked', 'Limited', 'Unavailable'],
+    },
+    'Performance Rating': { type: 'select', options: RATINGS },
+    'Preferred': { type: 'checkbox' },
+    'Notes': { type: 'rich_text' },
+    'Projects': { type: 'relation' },
+    'Materials Supplied': { type: 'relation' },
+    'Total Projects': { type: 'rollup', relation: 'Projects', property: 'Project Title', function: 'count' },
+    'Last Project Date': { type: 'rollup', relation: 'Projects', property: 'Start Date', function: 'latest_date' },
+  },
+});
@@ -0,0 +1,22 @@
+/**
+ * Tasks database: work items linked to their project. NotionAPI's task
+ * operations read and write it, including the template's sample tasks.
+ */
+
+const { defineDatabase } = require('../define');
+const { PRIORITIES } = require('../options');
+
+module.exports = defineDatabase({
+  name: 'tasks',
+  title: 'Tasks',
+  description: 'Project tasks with assignees, due dates and priorities',
+  properties: {
+    'Name': { type: 'title', field: 'title', required: true },
+    'Description': { type: 'rich_text' },
+    'Assigned To': { type: 'people', field: 'assignee', single: true },
+    'Due Date': { type: 'date' },
+    'Status': { type: 'select', options: ['Not Started', 'In Progress', 'Completed'] },
+    'Priority': { type: 'select', options: PRIORITIES },
+    'Project': { type: 'relation', field: 'projectId', single: true },
+  },
+});
@@ -0,0 +1,32 @@
+/**
+ * Vendors database: suppliers, rental yards and service providers
+ */
+
+const { defineDatabase } = require('../define');
+const { PAYMENT_TERMS } = require('../options');
+
+module.exports = defineDatabase({
+  name: 'vendors',
+  title: 'Vendors',
+  description: 'Suppliers, equipment rental yards and service providers',
+  properties: {
+    'Vendor Name': { type: 'title', field: 'name', required: true },
+    'Vendor Type': {
+      type: 'select',
+      field: 'type',
+      options: ['Material Supplier', 'Equipment Rental', 'Service Provider', 'Subcontractor'],
+      required: true,
+    },
+    'Contact': { type: 'rich_text' },
+    'Email': { type: 'email' },
+    'Phone': { type: 'phone_number' },
+    'Address': { type: 'rich_text' },
+    'Website': { type: 'url' },
+    'Payment Terms': { type: 'select', options: PAYMENT_TERMS },
+    'Account Number': { type: 'rich_text' },
+    'Status': { type: 'select', options: ['Active', 'Inactive'] },
+    'Preferred': { type: 'checkbox' },
+    'Notes': { type: 'rich_text' },
+    'Expenses': { type: 'relation' },
+  },
+});
@@ -0,0 +1,202 @@
+/**
+ * Database definitions
+ * A definition lists a database's Notion properties together with the rules
+ * its records follow. Everything else is generated from it: the Joi validator
+ * for records, the build package schema (which the property codec and the
+ * deploy read) and the property payload sent to Notion, so they cannot drift.
+ *
+ * Property keys besides the Notion ones (type, options, format, single, field,
+ * relation/property/function for rollups, expression for formulas):
+ * - required: the record must set it
+ * - notBefore: name of a date property it may not fall before
+ * - onlyWithStatus: statuses the property may only be set with
+ * - validate: function refining the generated Joi schema
+ */
+
+const Joi = require('joi');
+const { normalizeType, toFieldName } = require('../api/codec');
+
+// Notion page ID of a related record
+const pageId = Joi.string();
+const email = Joi.string().email({ tlds: { allow: false } });
+const phone = Joi.string().pattern(/^\+?[0-9\s().-]{7,20}$/).messages({
+  'string.pattern.base': '{{#label}} must be a phone number',
+});
+const url = Joi.string().uri();
+
+// Joi schema for each property type records can write; computed types
+// (formulas, rollups, created_time, ...) are not part of a record
+const RECORD_TYPES = {
+  title: () => Joi.string(),
+  rich_text: prop => (prop.required ? Joi.string() : Joi.string().allow('')),
+  number: prop => (prop.format === 'dollar' ? Joi.number().min(0) : Joi.number()),
+  select: prop => Joi.string().valid(...prop.options),
+  multi_select: prop => Joi.array().items(Joi.string().valid(...prop.options)),
+  date: () => Joi.date(),
+  checkbox: () => Joi.boolean(),
+  url: () => url,
+  email: () => email,
+  phone_number: () => phone,
+  people: prop => (prop.single ? Joi.string() : Joi.array().items(Joi.string())),
+  relation: prop => (prop.single ? pageId : Joi.array().items(pageId)),
+  files: () => Joi.array().items(url),
+};
+
+// Keys that only drive validation and stay out of the build package schema
+const RULE_KEYS = ['required', 'notBefore', 'onlyWithStatus', 'validate'];
+
+/**
+ * A date that may not fall before another field's date, when both are given
+ * @param {string} field - Key of the earlier date
+ * @param {Object} schema - Date schema to add the rule to
+ * @returns {Object} Joi date schema
+ */
+function notBefore(field, schema = Joi.date()) {
+  return schema.when(field, {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref(field)).messages({
+      'date.min': `{{#label}} must not be before ${field}`,
+    }),
+  });
+}
+
+/**
+ * A value that may not be set while status is something other than the given
+ * values (e.g. an approval date on a permit that is not Approved). Without a
+ * status, as in a partial update, the value is accepted.
+ * @param {string} field - Key of the status
+ * @param {string[]} statuses - Statuses the value is allowed with
+ * @param {Object} schema - Schema to add the rule to
+ * @returns {Object} Joi schema
+ */
+function onlyWithStatus(field, statuses, schema) {
+  return schema.when(field, {
+    is: Joi.exist().invalid(...statuses),
+    then: Joi.forbidden().messages({
+      'any.unknown': `{{#label}} is only allowed when status is ${statuses.join(' or ')}`,
+    }),
+  });
+}
+
+/**
+ * Notion property payload for one build package property, as sent to
+ * databases.create and databases.update
+ * @param {Object} prop - Property from a build package schema
+ * @returns {Object} Notion property configuration
+ */
+function notionProperty(prop) {
+  switch (prop.type) {
+  case 'title':
+    return { title: {} };
+  case 'select':
+  case 'multi_select':
+    return {
+      [prop.type]: {
+        options: prop.options?.map(opt => ({ name: opt, color: 'default' })) || [],
+      },
+    };
+  case 'number':
+    return { number: { format: prop.format || 'number' } };
+  case 'date':
+    return { date: {} };
+  case 'checkbox':
+    return { checkbox: {} };
+  case 'text':
+    return { rich_text: {} };
+  case 'url':
+    return { url: {} };
+  case 'email':
+    return { email: {} };
+  case 'phone':
+  case 'phone_number':
+    return { phone_number: {} };
+  case 'people':
+  case 'files':
+  case 'created_time':
+  case 'created_by':
+  case 'last_edited_time':
+  case 'last_edited_by':
+    return { [prop.type]: {} };
+  default:
+    return { rich_text: {} };
+  }
+}
+
+/**
+ * Joi schema for one property's record field
+ * @param {Object} prop - Property definition
+ * @param {Function} fieldOf - Record key of a property name
+ * @returns {Object} Joi schema
+ */
+function fieldSchema(prop, fieldOf) {
+  let schema = RECORD_TYPES[normalizeType(prop.type)](prop);
+  if (prop.required && schema.type === 'array') {
+    schema = schema.min(1);
+  }
+  if (prop.validate) {
+    schema = prop.validate(schema);
+  }
+  if (prop.notBefore) {
+    schema = notBefore(fieldOf(prop.notBefore), schema);
+  }
+  if (prop.onlyWithStatus) {
+    schema = onlyWithStatus(fieldOf('Status'), prop.onlyWithStatus, schema);
+  }
+  return prop.required ? schema.required() : schema;
+}
+
+/**
+ * Define a database
+ * @param {Object} definition - { name, title, description, properties, relationships }
+ * @returns {Object} { name, title, schema (build package schema), validator (Joi) }
+ */
+function defineDatabase(definition) {
+  const { name, title, description, relationships } = definition;
+  const entries = Object.entries(definition.properties);
+  const fields = new Map(entries.map(([property, prop]) => [property, prop.field || toFieldName(property)]));
+
+  const fieldOf = property => {
+    if (!fields.has(property)) {
+      throw new Error(`${name}: unknown property "${property}"`);
+    }
+    return fields.get(property);
+  };
+
+  const properties = {};
+  const keys = {};
+  entries.forEach(([property, prop]) => {
+    const type = normalizeType(prop.type);
+    if (['select', 'multi_select'].includes(type) && !Array.isArray(prop.options)) {
+      throw new Error(`${name}: ${type} property "${property}" needs options`);
+    }
+
+    properties[property] = Object.fromEntries(Object.entries(prop).filter(([key]) => !RULE_KEYS.includes(key)));
+    properties[property].field = fields.get(property);
+
+    if (RECORD_TYPES[type]) {
+      keys[fields.get(property)] = fieldSchema(prop, fieldOf);
+    } else if (prop.required || prop.validate) {
+      throw new Error(`${name}: ${prop.type} property "${property}" is computed and cannot take record rules`);
+    }
+  });
+
+  const schema = {
+    title,
+    ...(description ? { description } : {}),
+    properties,
+    required: entries.filter(([, prop]) => prop.required).map(([property]) => property),
+    ...(relationships ? { relationships } : {}),
+  };
+
+  return {
+    name,
+    title,
+    schema,
+    validator: Joi.object(keys),
+  };
+}
+
+module.exports = {
+  defineDatabase,
+  notionProperty,
+};
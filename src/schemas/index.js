@@ -1,42 +1,61 @@
 /**
  * Schema validation module
- * Contains Joi schemas for validating construction project data
+ * Joi schemas for validating construction project data and the Notion
+ * database schemas they belong to, both generated from the database
+ * definitions (./define.js). The template's databases are defined in
+ * ./databases; enum values follow docs/src/construction-database-schema.md.
  */
 
-const Joi = require('joi');
+const { defineDatabase } = require('./define');
+const { PROJECT_STATUSES } = require('./options');
+const databases = require('./databases');
 
-// Project schema
-const projectSchema = Joi.object({
-  name: Joi.string().required(),
-  description: Joi.string().allow(''),
-  startDate: Joi.date(),
-  endDate: Joi.date(),
-  status: Joi.string().valid('Planning', 'In Progress', 'On Hold', 'Completed'),
-  budget: Joi.number().positive(),
-  contractor: Joi.string(),
+// Projects database the API reads and writes (NOTION_DATABASE_ID). Simpler
+// than the template's Projects database in ./databases/projects.js.
+const projectDefinition = defineDatabase({
+  name: 'projects',
+  title: 'Projects',
+  properties: {
+    'Name': { type: 'title', required: true },
+    'Description': { type: 'rich_text' },
+    'Start Date': { type: 'date' },
+    'End Date': { type: 'date', notBefore: 'Start Date' },
+    'Status': { type: 'select', options: PROJECT_STATUSES },
+    'Budget': { type: 'number', format: 'dollar', validate: joi => joi.positive() },
+    'Contractor': { type: 'rich_text' },
+  },
 });
 
-// Task schema
-const taskSchema = Joi.object({
-  title: Joi.string().required(),
-  description: Joi.string().allow(''),
-  assignee: Joi.string(),
-  dueDate: Joi.date(),
-  status: Joi.string().valid('Not Started', 'In Progress', 'Completed'),
-  priority: Joi.string().valid('Low', 'Medium', 'High'),
-});
+const projectSchema = projectDefinition.validator;
+// Tasks are a template database the API also reads and writes
+// (NOTION_TASKS_DATABASE_ID, or the client's manifest)
+const taskSchema = databases.tasks.validator;
+const projectDatabase = projectDefinition.schema;
+const taskDatabase = databases.tasks.schema;
 
-// Material schema
-const materialSchema = Joi.object({
-  name: Joi.string().required(),
-  quantity: Joi.number().positive().required(),
-  unit: Joi.string().required(),
-  costPerUnit: Joi.number().positive(),
-  supplier: Joi.string(),
-});
+// Record schemas by build package database name
+const recordSchemas = Object.fromEntries(Object.values(databases).map(definition => [definition.name, definition.validator]));
+
+// Database schemas by build package database name
+const databaseDefinitions = Object.fromEntries(Object.values(databases).map(definition => [definition.name, definition.schema]));
 
 module.exports = {
+  PROJECT_STATUSES,
   projectSchema,
   taskSchema,
-  materialSchema,
-};
\ No newline at end of file
+  materialSchema: databases.materials.validator,
+  clientSchema: databases.clients.validator,
+  subcontractorSchema: databases.subcontractors.validator,
+  permitSchema: databases.permits.validator,
+  inspectionSchema: databases.inspections.validator,
+  safetyIncidentSchema: databases['safety-incidents'].validator,
+  vendorSchema: databases.vendors.validator,
+  budgetSchema: databases.budgets.validator,
+  expenseSchema: databases.expenses.validator,
+  documentSchema: databases.documents.validator,
+  recordSchemas,
+  projectDatabase,
+  taskDatabase,
+  databaseDefinitions,
+  databases,
+};
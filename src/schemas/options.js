@@ -0,0 +1,22 @@
+/**
+ * Option lists shared by several database definitions. Values follow
+ * docs/src/construction-database-schema.md.
+ */
+
+// Projects move through the construction pipeline in this order
+const PROJECT_STATUSES = ['Planning', 'Permits', 'Scheduled', 'Construction', 'Inspection', 'Complete', 'Warranty'];
+const PRIORITIES = ['Low', 'Medium', 'High'];
+const TRADES = ['Electrical', 'Plumbing', 'HVAC', 'Roofing', 'Framing', 'Flooring', 'Painting', 'Landscaping', 'Excavation'];
+const RATINGS = ['Excellent', 'Good', 'Fair', 'Poor'];
+const PAYMENT_TERMS = ['Net 30', 'Net 15', 'Progress Payments', 'COD'];
+// Budget lines and expenses are tracked against the same cost categories
+const COST_CATEGORIES = ['Labor', 'Materials', 'Equipment', 'Subcontractors', 'Permits', 'Overhead', 'Contingency'];
+
+module.exports = {
+  PROJECT_STATUSES,
+  PRIORITIES,
+  TRADES,
+  RATINGS,
+  PAYMENT_TERMS,
+  COST_CATEGORIES,
+};
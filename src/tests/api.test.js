@@ -2,13 +2,36 @@
  * API tests for Notion integration
  */
 
+const { Client } = require('@notionhq/client');
 const NotionAPI = require('../api');
 
+function projectPage(overrides = {}) {
+  return {
+    id: 'page-1',
+    url: 'https://notion.so/page-1',
+    archived: false,
+    properties: {
+      Name: { type: 'title', title: [{ plain_text: 'Main Street Build' }] },
+      Status: { type: 'select', select: { name: 'Planning' } },
+      Budget: { type: 'number', number: 250000 },
+      'Start Date': { type: 'date', date: { start: '2024-03-01' } },
+    },
+    ...overrides,
+  };
+}
+
+// The API wraps the client in the request scheduler; assertions target the raw mock
+function latestClient() {
+  return Client.mock.results[Client.mock.results.length - 1].value;
+}
+
 describe('NotionAPI', () => {
   let api;
+  let notion;
 
   beforeEach(() => {
-    api = new NotionAPI('test_token');
+    api = new NotionAPI('test_token', { databaseId: 'db-projects' });
+    notion = latestClient();
   });
 
   describe('initialization', () => {
@@ -18,5 +41,198 @@ describe('NotionAPI', () => {
     });
   });
 
-  // Add more tests as API methods are implemented
-});
\ No newline at end of file
+  describe('projects', () => {
+    test('should create a project with mapped properties', async () => {
+      notion.pages.create.mockResolvedValue(projectPage());
+
+      const project = await api.createProject({
+        name: 'Main Street Build',
+        status: 'Planning',
+        budget: 250000,
+        startDate: '2024-03-01',
+      });
+
+      expect(notion.pages.create).toHaveBeenCalledWith({
+        parent: { database_id: 'db-projects' },
+        properties: {
+          Name: { title: [{ type: 'text', text: { content: 'Main Street Build' } }] },
+          Status: { select: { name: 'Planning' } },
+          Budget: { number: 250000 },
+          'Start Date': { date: { start: '2024-03-01' } },
+        },
+      });
+      expect(project).toMatchObject({
+        id: 'page-1',
+        name: 'Main Street Build',
+        status: 'Planning',
+        budget: 250000,
+        startDate: '2024-03-01',
+      });
+    });
+
+    test('should reject invalid projects before calling Notion', async () => {
+      await expect(api.createProject({ status: 'Unknown' })).rejects.toThrow('Invalid project');
+      expect(notion.pages.create).not.toHaveBeenCalled();
+    });
+
+    test('should list projects filtered by status', async () => {
+      notion.databases.query.mockResolvedValue({ results: [projectPage()] });
+
+      const projects = await api.listProjects({ status: 'Planning' });
+
+      expect(notion.databases.query).toHaveBeenCalledWith({
+        database_id: 'db-projects',
+        filter: { property: 'Status', select: { equals: 'Planning' } },
+        page_size: 100,
+      });
+      expect(projects).toHaveLength(1);
+      expect(projects[0].name).toBe('Main Street Build');
+    });
+
+    test('should allow partial updates', async () => {
+      notion.pages.update.mockResolvedValue(projectPage());
+
+      await api.updateProject('page-1', { budget: 300000 });
+
+      expect(notion.pages.update).toHaveBeenCalledWith({
+        page_id: 'page-1',
+        properties: { Budget: { number: 300000 } },
+      });
+    });
+
+    test('should archive projects', async () => {
+      notion.pages.update.mockResolvedValue(projectPage({ archived: true }));
+
+      const project = await api.archiveProject('page-1');
+
+      expect(notion.pages.update).toHaveBeenCalledWith({ page_id: 'page-1', archived: true });
+      expect(project.archived).toBe(true);
+    });
+
+    test('should require a database ID', async () => {
+      const unconfigured = new NotionAPI('test_token');
+      unconfigured.databaseId = undefined;
+      await expect(unconfigured.listProjects()).rejects.toThrow('NOTION_DATABASE_ID');
+    });
+  });
+
+  describe('tasks', () => {
+    beforeEach(() => {
+      api = new NotionAPI('test_token', { tasksDatabaseId: 'db-tasks' });
+      notion = latestClient();
+    });
+
+    test('should create a task linked to its project', async () => {
+      notion.pages.create.mockResolvedValue({
+        id: 'task-1',
+        properties: {
+          Name: { type: 'title', title: [{ plain_text: 'Pour foundation' }] },
+          Project: { type: 'relation', relation: [{ id: 'page-1' }] },
+        },
+      });
+
+      const task = await api.createTask({ title: 'Pour foundation', projectId: 'page-1', priority: 'High' });
+
+      expect(notion.pages.create).toHaveBeenCalledWith({
+        parent: { database_id: 'db-tasks' },
+        properties: {
+          Name: { title: [{ type: 'text', text: { content: 'Pour foundation' } }] },
+          Project: { relation: [{ id: 'page-1' }] },
+          Priority: { select: { name: 'High' } },
+        },
+      });
+      expect(task).toMatchObject({ id: 'task-1', title: 'Pour foundation', projectId: 'page-1' });
+    });
+
+    test('should reassign and complete tasks', async () => {
+      notion.pages.update.mockResolvedValue({ id: 'task-1', properties: {} });
+
+      await api.reassignTask('task-1', 'user-2');
+      await api.completeTask('task-1');
+
+      expect(notion.pages.update).toHaveBeenNthCalledWith(1, {
+        page_id: 'task-1',
+        properties: { 'Assigned To': { people: [{ object: 'user', id: 'user-2' }] } },
+      });
+      expect(notion.pages.update).toHaveBeenNthCalledWith(2, {
+        page_id: 'task-1',
+        properties: { Status: { select: { name: 'Completed' } } },
+      });
+    });
+
+    test('should combine list criteria into one compound filter', async () => {
+      notion.databases.query.mockResolvedValue({ results: [] });
+
+      await api.listTasks({
+        projectId: 'page-1',
+        priority: 'High',
+        open: true,
+        dueAfter: new Date('2024-03-04T00:00:00Z'),
+        dueBefore: '2024-03-10',
+      });
+
+      expect(notion.databases.query).toHaveBeenCalledWith({
+        database_id: 'db-tasks',
+        filter: {
+          and: [
+            { property: 'Project', relation: { contains: 'page-1' } },
+            { property: 'Priority', select: { equals: 'High' } },
+            { property: 'Status', select: { does_not_equal: 'Completed' } },
+            { property: 'Due Date', date: { on_or_after: '2024-03-04' } },
+            { property: 'Due Date', date: { on_or_before: '2024-03-10' } },
+          ],
+        },
+        page_size: 100,
+      });
+    });
+  });
+
+  describe('pagination', () => {
+    test('should follow next_cursor across pages', async () => {
+      notion.databases.query
+        .mockResolvedValueOnce({ results: [{ id: 'a' }, { id: 'b' }], has_more: true, next_cursor: 'cursor-1' })
+        .mockResolvedValueOnce({ results: [{ id: 'c' }], has_more: false, next_cursor: null });
+
+      const ids = [];
+      for await (const page of api.queryAll('db-projects', undefined, { pageSize: 2 })) {
+        ids.push(page.id);
+      }
+
+      expect(ids).toEqual(['a', 'b', 'c']);
+      expect(notion.databases.query).toHaveBeenLastCalledWith({
+        database_id: 'db-projects',
+        page_size: 2,
+        start_cursor: 'cursor-1',
+      });
+    });
+
+    test('should stop at maxItems without requesting more pages', async () => {
+      notion.search.mockResolvedValue({ results: [{ id: 'a' }, { id: 'b' }], has_more: true, next_cursor: 'next' });
+
+      const ids = [];
+      for await (const result of api.searchAll({ query: 'Acme' }, { maxItems: 2 })) {
+        ids.push(result.id);
+      }
+
+      expect(ids).toEqual(['a', 'b']);
+      expect(notion.search).toHaveBeenCalledTimes(1);
+      expect(notion.search).toHaveBeenCalledWith({ query: 'Acme', page_size: 2 });
+    });
+
+    test('should stop when cancelled', async () => {
+      const controller = new AbortController();
+      notion.databases.query.mockResolvedValue({ results: [{ id: 'a' }, { id: 'b' }], has_more: true, next_cursor: 'next' });
+
+      const iterate = async () => {
+        for await (const page of api.queryAll('db-projects', undefined, { signal: controller.signal })) {
+          if (page.id === 'a') {
+            controller.abort();
+          }
+        }
+      };
+
+      await expect(iterate()).rejects.toThrow();
+      expect(notion.databases.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
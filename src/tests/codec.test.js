@@ -0,0 +1,152 @@
+/**
+ * Property codec tests
+ */
+
+const { createCodec, toFieldName } = require('../api/codec');
+
+const schema = {
+  title: 'Projects',
+  properties: {
+    'Project Title': { type: 'title' },
+    'Notes': { type: 'rich_text' },
+    'Contract Value': { type: 'number', format: 'dollar' },
+    'Status': { type: 'select', options: ['Planning', 'Permits', 'Complete'] },
+    'Permits Required': { type: 'multi_select', options: ['Building', 'Electrical'] },
+    'Start Date': { type: 'date' },
+    'Project Manager': { type: 'people' },
+    'Documents': { type: 'files' },
+    'Weather Dependency': { type: 'checkbox' },
+    'Website': { type: 'url' },
+    'Email': { type: 'email' },
+    'Phone': { type: 'phone_number' },
+    'Client': { type: 'relation', single: true },
+    'Budget Variance': { type: 'formula' },
+    'Total Tasks': { type: 'rollup' },
+    'Created Date': { type: 'created_time' },
+    'Created By': { type: 'created_by' },
+    'Updated': { type: 'last_edited_time' },
+    'Updated By': { type: 'last_edited_by' },
+  },
+};
+
+describe('Property codec', () => {
+  const codec = createCodec(schema);
+
+  test('should derive record keys from property names', () => {
+    expect(toFieldName('Start Date')).toBe('startDate');
+    expect(toFieldName('OSHA Reportable')).toBe('oshaReportable');
+    expect(toFieldName('Re-inspection Date')).toBe('reInspectionDate');
+  });
+
+  test('should encode every writable property type', () => {
+    const properties = codec.encode({
+      title: 'Main Street',
+      notes: 'Corner lot',
+      contractValue: 250000,
+      status: 'Permits',
+      permitsRequired: ['Building', 'Electrical'],
+      startDate: new Date('2024-03-01T00:00:00Z'),
+      projectManager: 'user-1',
+      documents: ['https://example.com/plans.pdf'],
+      weatherDependency: true,
+      website: 'https://example.com',
+      email: 'pm@example.com',
+      phone: '(555) 123-4567',
+      client: 'client-page',
+    });
+
+    expect(properties).toEqual({
+      'Project Title': { title: [{ type: 'text', text: { content: 'Main Street' } }] },
+      'Notes': { rich_text: [{ type: 'text', text: { content: 'Corner lot' } }] },
+      'Contract Value': { number: 250000 },
+      'Status': { select: { name: 'Permits' } },
+      'Permits Required': { multi_select: [{ name: 'Building' }, { name: 'Electrical' }] },
+      'Start Date': { date: { start: '2024-03-01' } },
+      'Project Manager': { people: [{ object: 'user', id: 'user-1' }] },
+      'Documents': { files: [{ name: 'plans.pdf', type: 'external', external: { url: 'https://example.com/plans.pdf' } }] },
+      'Weather Dependency': { checkbox: true },
+      'Website': { url: 'https://example.com' },
+      'Email': { email: 'pm@example.com' },
+      'Phone': { phone_number: '(555) 123-4567' },
+      'Client': { relation: [{ id: 'client-page' }] },
+    });
+  });
+
+  test('should accept exact property names as keys', () => {
+    expect(codec.encode({ 'Contract Value': 10 })).toEqual({ 'Contract Value': { number: 10 } });
+  });
+
+  test('should split long text into 2000 character chunks', () => {
+    const properties = codec.encode({ notes: 'x'.repeat(4500) });
+    expect(properties.Notes.rich_text.map(part => part.text.content.length)).toEqual([2000, 2000, 500]);
+  });
+
+  test('should reject bad values in strict mode', () => {
+    expect(() => codec.encode({ contractValue: '250000' })).toThrow('expected a number');
+    expect(() => codec.encode({ weatherDependency: 'yes' })).toThrow('expected a boolean');
+    expect(() => codec.encode({ status: 'Active' })).toThrow('unknown option(s) Active');
+    expect(() => codec.encode({ budgetVariance: 5 })).toThrow('read-only');
+    expect(() => codec.encode({ unknownField: 1 })).toThrow('Unknown property "unknownField"');
+  });
+
+  test('should drop unknown and read-only keys when not strict', () => {
+    expect(codec.encode({ title: 'A', type: 'Commercial', budgetVariance: 5 }, { strict: false })).toEqual({
+      'Project Title': { title: [{ type: 'text', text: { content: 'A' } }] },
+    });
+  });
+
+  test('should decode pages back into plain records', () => {
+    const record = codec.decode({
+      id: 'page-1',
+      url: 'https://notion.so/page-1',
+      properties: {
+        'Project Title': { type: 'title', title: [{ plain_text: 'Main ' }, { plain_text: 'Street' }] },
+        'Contract Value': { type: 'number', number: 250000 },
+        'Status': { type: 'select', select: { name: 'Permits' } },
+        'Permits Required': { type: 'multi_select', multi_select: [{ name: 'Building' }] },
+        'Start Date': { type: 'date', date: { start: '2024-03-01', end: '2024-06-01' } },
+        'Project Manager': { type: 'people', people: [{ id: 'user-1' }, { id: 'user-2' }] },
+        'Documents': { type: 'files', files: [{ name: 'plans.pdf', type: 'file', file: { url: 'https://s3/plans.pdf' } }] },
+        'Weather Dependency': { type: 'checkbox', checkbox: false },
+        'Email': { type: 'email', email: null },
+        'Client': { type: 'relation', relation: [{ id: 'client-page' }] },
+        'Budget Variance': { type: 'formula', formula: { type: 'number', number: 12.5 } },
+        'Total Tasks': { type: 'rollup', rollup: { type: 'number', number: 4 } },
+        'Created Date': { type: 'created_time', created_time: '2024-01-01T00:00:00.000Z' },
+        'Created By': { type: 'created_by', created_by: { id: 'user-1' } },
+      },
+    });
+
+    expect(record).toMatchObject({
+      id: 'page-1',
+      projectTitle: 'Main Street',
+      contractValue: 250000,
+      status: 'Permits',
+      permitsRequired: ['Building'],
+      startDate: { start: '2024-03-01', end: '2024-06-01' },
+      projectManager: ['user-1', 'user-2'],
+      documents: [{ name: 'plans.pdf', url: 'https://s3/plans.pdf' }],
+      weatherDependency: false,
+      email: null,
+      client: 'client-page',
+      budgetVariance: 12.5,
+      totalTasks: 4,
+      createdDate: '2024-01-01T00:00:00.000Z',
+      createdBy: 'user-1',
+    });
+  });
+
+  test('should round-trip encoded values', () => {
+    const input = { status: 'Complete', permitsRequired: ['Electrical'], website: 'https://example.com' };
+    const encoded = codec.encode(input);
+    const page = {
+      id: 'page-2',
+      properties: Object.fromEntries(Object.entries(encoded).map(([name, value]) => {
+        const type = Object.keys(value)[0];
+        return [name, { type, ...value }];
+      })),
+    };
+
+    expect(codec.decode(page)).toMatchObject(input);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Dashboard page tests
+ */
+
+const { dashboardTitle, databaseKpis, dashboardBlocks } = require('../api/dashboards');
+
+describe('dashboard pages', () => {
+  const schema = {
+    title: 'Projects',
+    properties: {
+      'Project Title': { type: 'title' },
+      Status: { type: 'select', options: ['Planning', 'Construction', 'Complete'] },
+      'Contract Value': { type: 'number', format: 'dollar' },
+      Crew: { type: 'number' },
+    },
+  };
+
+  function page(status, value) {
+    return {
+      properties: {
+        Status: { type: 'select', select: status ? { name: status } : null },
+        'Contract Value': { type: 'number', number: value },
+        Crew: { type: 'number', number: 4 },
+      },
+    };
+  }
+
+  test('should title dashboards after their view', () => {
+    expect(dashboardTitle('project-dashboard')).toBe('Project Dashboard');
+    expect(dashboardTitle('task-kanban')).toBe('Task Kanban');
+  });
+
+  test('should total currency properties and spread records across statuses', () => {
+    const kpis = databaseKpis(schema, [
+      page('Construction', 250000),
+      page('Planning', 1000000),
+      page('Construction', null),
+      page(null, 500),
+    ]);
+
+    expect(kpis).toEqual([
+      { label: 'Records', value: '4' },
+      { label: 'Contract Value', value: '$1,250,500' },
+      { label: 'Status', value: 'Planning 1, Construction 2' },
+    ]);
+    expect(databaseKpis(schema, [])).toContainEqual({ label: 'Status', value: 'none' });
+  });
+
+  test('should lay out contents, figures and database links', () => {
+    const view = {
+      name: 'project-dashboard',
+      type: 'table',
+      configuration: {
+        filter: { property: 'Status', select: { does_not_equal: 'Complete' } },
+        sorts: [{ property: 'Status', direction: 'ascending' }],
+        groupBy: null,
+      },
+    };
+    const sections = [
+      { title: 'Projects', databaseId: 'db-projects', kpis: [{ label: 'Records', value: '5' }] },
+      { title: 'Tasks', databaseId: 'db-tasks', kpis: [{ label: 'Records', value: '0' }] },
+    ];
+
+    const blocks = dashboardBlocks(view, sections, { client: 'Acme', tier: 'professional', generatedAt: new Date(2024, 0, 2) });
+
+    expect(blocks.map(block => block.type)).toEqual([
+      'paragraph', 'table_of_contents', 'heading_1', 'callout', 'callout',
+      'heading_1', 'heading_2', 'paragraph', 'link_to_page', 'heading_2', 'link_to_page',
+    ]);
+    expect(blocks[3].callout.rich_text.map(part => part.text.content)).toEqual(['Projects', '\nRecords: 5']);
+    expect(blocks[7].paragraph.rich_text[0].text.content).toBe('Suggested layout: table view, filtered, sorted by Status (ascending).');
+    expect(blocks[10].link_to_page).toEqual({ type: 'database_id', database_id: 'db-tasks' });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Database definition tests
+ */
+
+const { defineDatabase, notionProperty } = require('../schemas/define');
+const { databases } = require('../schemas');
+const { createCodec } = require('../api/codec');
+
+const permits = defineDatabase({
+  name: 'permits',
+  title: 'Permits',
+  description: 'Permit tracking',
+  properties: {
+    'Permit ID': { type: 'title', required: true },
+    'Project': { type: 'relation', field: 'projectId', single: true, required: true },
+    'Submission Date': { type: 'date' },
+    'Approval Date': { type: 'date', notBefore: 'Submission Date', onlyWithStatus: ['Approved'] },
+    'Status': { type: 'select', options: ['Applied', 'Approved'], required: true },
+    'Fee Amount': { type: 'number', format: 'dollar' },
+    'Days Open': { type: 'formula', expression: 'dateBetween(now(), prop("Submission Date"), "days")' },
+  },
+  relationships: [{ target: 'projects', type: 'many-to-one', property: 'Project', syncedProperty: 'Permits' }],
+});
+
+function errors(schema, record) {
+  const { error } = schema.validate(record, { abortEarly: false });
+  return error ? error.details.map(detail => detail.message) : [];
+}
+
+describe('database definitions', () => {
+  test('should generate the build package schema', () => {
+    expect(permits.schema).toEqual({
+      title: 'Permits',
+      description: 'Permit tracking',
+      properties: {
+        'Permit ID': { type: 'title', field: 'permitId' },
+        'Project': { type: 'relation', field: 'projectId', single: true },
+        'Submission Date': { type: 'date', field: 'submissionDate' },
+        'Approval Date': { type: 'date', field: 'approvalDate' },
+        'Status': { type: 'select', options: ['Applied', 'Approved'], field: 'status' },
+        'Fee Amount': { type: 'number', format: 'dollar', field: 'feeAmount' },
+        'Days Open': {
+          type: 'formula',
+          expression: 'dateBetween(now(), prop("Submission Date"), "days")',
+          field: 'daysOpen',
+        },
+      },
+      required: ['Permit ID', 'Project', 'Status'],
+      relationships: [{ target: 'projects', type: 'many-to-one', property: 'Project', syncedProperty: 'Permits' }],
+    });
+  });
+
+  test('should validate records by the same keys the codec writes', () => {
+    expect(errors(permits.validator, {})).toEqual([
+      '"permitId" is required',
+      '"projectId" is required',
+      '"status" is required',
+    ]);
+
+    const record = { permitId: 'BP-1', projectId: 'page-1', status: 'Approved', submissionDate: '2024-03-01', approvalDate: '2024-02-01' };
+    expect(errors(permits.validator, record)).toEqual(['"approvalDate" must not be before submissionDate']);
+    expect(errors(permits.validator, { ...record, status: 'Applied', approvalDate: '2024-03-20' }))
+      .toEqual(['"approvalDate" is only allowed when status is Approved']);
+    expect(errors(permits.validator, { ...record, approvalDate: '2024-03-20', feeAmount: -5 }))
+      .toEqual(['"feeAmount" must be greater than or equal to 0']);
+    // Computed properties are never part of a record
+    expect(errors(permits.validator, { ...record, approvalDate: '2024-03-20', daysOpen: 3 }))
+      .toEqual(['"daysOpen" is not allowed']);
+
+    // A partial update may set the approval date without repeating the status
+    const update = permits.validator.fork(['permitId', 'projectId', 'status'], key => key.optional());
+    expect(errors(update, { approvalDate: '2024-03-20' })).toEqual([]);
+    expect(errors(update, { status: 'Applied', approvalDate: '2024-03-20' }))
+      .toEqual(['"approvalDate" is only allowed when status is Approved']);
+
+    expect(Object.keys(createCodec(permits.schema).encode({ ...record, approvalDate: '2024-03-20' }))).toEqual([
+      'Permit ID', 'Project', 'Status', 'Submission Date', 'Approval Date',
+    ]);
+  });
+
+  test.each(Object.keys(databases))('should keep the %s validator and codec on the same fields', name => {
+    const { schema, validator } = databases[name];
+    const codec = createCodec(schema);
+    const fields = Object.keys(validator.describe().keys);
+
+    expect(fields.length).toBeGreaterThan(0);
+    fields.forEach(field => {
+      expect(schema.properties[codec.propertyFor(field)].field).toBe(field);
+    });
+    schema.required.forEach(property => {
+      expect(fields).toContain(schema.properties[property].field);
+    });
+  });
+
+  test('should turn package properties into Notion property payloads', () => {
+    expect(notionProperty({ type: 'select', options: ['Applied', 'Approved'] })).toEqual({
+      select: { options: [{ name: 'Applied', color: 'default' }, { name: 'Approved', color: 'default' }] },
+    });
+    expect(notionProperty({ type: 'number', format: 'dollar' })).toEqual({ number: { format: 'dollar' } });
+    expect(notionProperty({ type: 'phone' })).toEqual({ phone_number: {} });
+    expect(notionProperty({ type: 'rich_text' })).toEqual({ rich_text: {} });
+    expect(notionProperty({ type: 'created_by' })).toEqual({ created_by: {} });
+    expect(notionProperty({ type: 'last_edited_by' })).toEqual({ last_edited_by: {} });
+  });
+
+  test('should reject definitions that cannot be generated', () => {
+    const define = properties => () => defineDatabase({ name: 'permits', title: 'Permits', properties });
+
+    expect(define({ 'Expiry Date': { type: 'date', notBefore: 'Issued' } }))
+      .toThrow('permits: unknown property "Issued"');
+    expect(define({ 'Approval Date': { type: 'date', onlyWithStatus: ['Approved'] } }))
+      .toThrow('permits: unknown property "Status"');
+    expect(define({ 'Status': { type: 'select' } }))
+      .toThrow('permits: select property "Status" needs options');
+    expect(define({ 'Days Open': { type: 'formula', expression: '1', required: true } }))
+      .toThrow('permits: formula property "Days Open" is computed and cannot take record rules');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Run event log tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { createEventLogger } = require('../utils/logger');
+const { EventLog } = require('../utils/events');
+
+describe('EventLog', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'events-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should write every event as one JSON line with the run context', async () => {
+    const stream = new PassThrough();
+    let output = '';
+    stream.on('data', chunk => {
+      output += chunk;
+    });
+    const onEvent = jest.fn();
+    const logger = createEventLogger({ filename: path.join(directory, 'events.ndjson'), stream });
+    const events = new EventLog({ command: 'deploy', deploymentId: 'deploy-1' }, { logger, onEvent });
+
+    events.phaseStarted('databases');
+    events.emit('resource', { phase: 'databases', resource: 'database:projects', duration: 120, outcome: 'created' });
+    events.emit('resource', { phase: 'databases', resource: 'database:tasks', duration: 80, outcome: 'failed', error: 'Locked' });
+    events.phaseFinished('databases', 'completed', { tasks: 2 });
+    await events.close();
+
+    const lines = output.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toMatchObject({
+      level: 'info',
+      message: 'resource',
+      event: 'resource',
+      command: 'deploy',
+      deploymentId: 'deploy-1',
+      phase: 'databases',
+      resource: 'database:projects',
+      duration: 120,
+      outcome: 'created',
+      service: 'const-pm-notion',
+    });
+    expect(lines[1].timestamp).toBeDefined();
+    expect(lines[2]).toMatchObject({ level: 'error', outcome: 'failed', error: 'Locked' });
+    expect(lines[3]).toMatchObject({ event: 'phase', phase: 'databases', resource: null, outcome: 'completed', tasks: 2 });
+    expect(lines[3].duration).toEqual(expect.any(Number));
+    expect(onEvent).toHaveBeenCalledTimes(4);
+    expect(onEvent.mock.calls[0][0]).toEqual({
+      event: 'phase',
+      command: 'deploy',
+      deploymentId: 'deploy-1',
+      phase: 'databases',
+      resource: null,
+      duration: null,
+      outcome: 'started',
+    });
+  });
+});
@@ -0,0 +1,861 @@
+/**
+ * Fake Notion server
+ * In-memory stand-in for the subset of the Notion REST API this project uses.
+ * It plugs into @notionhq/client as its `fetch`, so requests, responses and
+ * errors go through the real SDK without touching the network.
+ * @example
+ * const fake = createFakeNotion();
+ * const restore = fake.install(); // global fetch -> fake
+ * fake.failNext('pages.create', { status: 429, code: 'rate_limited', retryAfter: 0 });
+ */
+
+const ROUTES = [
+  ['GET', /^users\/me$/, 'users.me'],
+  ['POST', /^search$/, 'search'],
+  ['POST', /^databases$/, 'databases.create'],
+  ['GET', /^databases\/([^/]+)$/, 'databases.retrieve'],
+  ['PATCH', /^databases\/([^/]+)$/, 'databases.update'],
+  ['POST', /^databases\/([^/]+)\/query$/, 'databases.query'],
+  ['POST', /^pages$/, 'pages.create'],
+  ['GET', /^pages\/([^/]+)$/, 'pages.retrieve'],
+  ['PATCH', /^pages\/([^/]+)$/, 'pages.update'],
+  ['GET', /^blocks\/([^/]+)\/children$/, 'blocks.children.list'],
+  ['PATCH', /^blocks\/([^/]+)\/children$/, 'blocks.children.append'],
+  ['DELETE', /^blocks\/([^/]+)$/, 'blocks.delete'],
+];
+
+const MAX_PAGE_SIZE = 100;
+
+class FakeNotionError extends Error {
+  constructor(status, code, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+const notFound = id => new FakeNotionError(
+  404,
+  'object_not_found',
+  `Could not find object with ID: ${id}. Make sure the relevant pages and databases are shared with your integration.`,
+);
+const invalid = message => new FakeNotionError(400, 'validation_error', message);
+
+function richText(parts = []) {
+  return parts.map(part => {
+    const content = part.text ? part.text.content : part.plain_text || '';
+    return {
+      type: 'text',
+      text: { content, link: part.text?.link || null },
+      annotations: {
+        bold: false, italic: false, strikethrough: false, underline: false, code: false, color: 'default',
+        ...part.annotations,
+      },
+      plain_text: content,
+      href: part.text?.link?.url || null,
+    };
+  });
+}
+
+function plainText(parts = []) {
+  return parts.map(part => part.plain_text).join('');
+}
+
+function compare(left, right) {
+  if (left === right) {
+    return 0;
+  }
+  if (left === null || left === undefined) {
+    return 1;
+  }
+  if (right === null || right === undefined) {
+    return -1;
+  }
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Create an in-memory Notion workspace
+ * @param {Object} options - Fake options
+ * @param {string[]} options.tokens - Accepted integration tokens (default: any bearer token)
+ * @param {Object} options.rateLimit - Sustained limit, e.g. { requestsPerSecond: 3 }
+ * @param {Function} options.now - Clock returning epoch ms (default Date.now)
+ * @returns {Object} Fake workspace with fetch, install, failNext and inspection helpers
+ */
+function createFakeNotion(options = {}) {
+  const now = options.now || Date.now;
+  const objects = new Map();
+  const blocks = new Map();
+  const requests = [];
+  const faults = [];
+  let sequence = 0;
+  let recent = [];
+
+  const bot = {
+    object: 'user',
+    id: 'fa4e0000-0000-4000-8000-000000000001',
+    type: 'bot',
+    name: 'Fake Notion Integration',
+    avatar_url: null,
+    bot: { owner: { type: 'workspace', workspace: true }, workspace_name: 'Fake Workspace' },
+  };
+
+  function nextId() {
+    sequence += 1;
+    return `fa4e0000-0000-4000-8000-${String(sequence).padStart(12, '0')}`;
+  }
+
+  function timestamp() {
+    return new Date(now()).toISOString();
+  }
+
+  function lookup(id, object) {
+    const found = objects.get(id);
+    if (!found || (object && found.object !== object)) {
+      throw notFound(id);
+    }
+    return found;
+  }
+
+  function paginateList(items, { start_cursor: cursor, page_size: pageSize = MAX_PAGE_SIZE }) {
+    const start = cursor ? Number(cursor) : 0;
+    if (Number.isNaN(start)) {
+      throw invalid('start_cursor should be a valid cursor.');
+    }
+    const size = Math.min(pageSize, MAX_PAGE_SIZE);
+    const results = items.slice(start, start + size);
+    const hasMore = start + size < items.length;
+
+    return {
+      object: 'list',
+      results,
+      next_cursor: hasMore ? String(start + size) : null,
+      has_more: hasMore,
+    };
+  }
+
+  // --- Databases -----------------------------------------------------------
+
+  function normalizeSchemaProperty(name, config, existing) {
+    const type = Object.keys(config).find(key => key !== 'name' && key !== 'type' && key !== 'description');
+    if (!type) {
+      throw invalid(`Property "${name}" is missing a type.`);
+    }
+
+    let value = config[type] || {};
+    if (type === 'select' || type === 'multi_select' || type === 'status') {
+      value = {
+        options: (value.options || []).map(option => ({
+          id: option.id || nextId().slice(-8),
+          name: option.name,
+          color: option.color || 'default',
+        })),
+      };
+    }
+    if (type === 'relation') {
+      if (!value.database_id) {
+        throw invalid(`Relation property "${name}" needs a database_id.`);
+      }
+      lookup(value.database_id, 'database');
+      const relationType = value.type || 'single_property';
+      value = { database_id: value.database_id, type: relationType, [relationType]: { ...value[relationType] } };
+    }
+
+    const id = type === 'title' ? 'title' : existing?.id || nextId().slice(-4);
+    return { id, name: config.name || name, type, [type]: value };
+  }
+
+  // Dual relations get a synced property on the target, named the way Notion
+  // names it; rollups need a relation property on the same database and
+  // formulas can only reference properties that already exist
+  function linkProperty(database, property) {
+    if (property.type === 'formula') {
+      const references = [...(property.formula.expression || '').matchAll(/prop\("([^"]*)"\)/g)].map(match => match[1]);
+      const missing = references.find(name => !database.properties[name]);
+      if (missing) {
+        throw invalid(`Formula "${property.name}" references unknown property "${missing}".`);
+      }
+      return;
+    }
+    if (property.type === 'rollup') {
+      const relation = database.properties[property.rollup.relation_property_name];
+      if (!relation || relation.type !== 'relation') {
+        throw invalid(`Rollup "${property.name}" needs a relation property named "${property.rollup.relation_property_name}".`);
+      }
+      return;
+    }
+    if (property.type !== 'relation' || property.relation.type !== 'dual_property') {
+      return;
+    }
+
+    const dual = property.relation.dual_property;
+    const target = lookup(property.relation.database_id, 'database');
+    const partner = Object.values(target.properties).find(candidate => candidate.id === dual.synced_property_id);
+    if (partner) {
+      // Keep the partner pointing at this property's current name
+      partner.relation.dual_property.synced_property_name = property.name;
+      dual.synced_property_name = partner.name;
+      return;
+    }
+
+    const name = `Related to ${plainText(database.title)} (${property.name})`;
+    const synced = {
+      id: nextId().slice(-4),
+      name,
+      type: 'relation',
+      relation: {
+        database_id: database.id,
+        type: 'dual_property',
+        dual_property: { synced_property_name: property.name, synced_property_id: property.id },
+      },
+    };
+    target.properties[name] = synced;
+    property.relation.dual_property = { synced_property_name: name, synced_property_id: synced.id };
+  }
+
+  function addBlock(parentId, block) {
+    if (!blocks.has(parentId)) {
+      blocks.set(parentId, []);
+    }
+    blocks.get(parentId).push(block);
+    const parent = objects.get(parentId);
+    if (parent && parent.object === 'block') {
+      parent.has_children = true;
+    }
+  }
+
+  function childBlock(parentId, type, id, title) {
+    const block = {
+      object: 'block',
+      id,
+      parent: { type: 'page_id', page_id: parentId },
+      created_time: timestamp(),
+      last_edited_time: timestamp(),
+      has_children: false,
+      archived: false,
+      in_trash: false,
+      type,
+      [type]: { title },
+    };
+    addBlock(parentId, block);
+  }
+
+  function createDatabase(body) {
+    if (!body.parent || !body.parent.page_id) {
+      throw invalid('body.parent.page_id should be defined.');
+    }
+    const parent = lookup(body.parent.page_id, 'page');
+
+    const properties = {};
+    Object.entries(body.properties || {}).forEach(([name, config]) => {
+      properties[name] = normalizeSchemaProperty(name, config);
+    });
+    if (Object.values(properties).filter(property => property.type === 'title').length !== 1) {
+      throw invalid('Databases need exactly one title property.');
+    }
+
+    const id = nextId();
+    const database = {
+      object: 'database',
+      id,
+      created_time: timestamp(),
+      last_edited_time: timestamp(),
+      created_by: { object: 'user', id: bot.id },
+      last_edited_by: { object: 'user', id: bot.id },
+      title: richText(body.title),
+      description: richText(body.description),
+      icon: body.icon || null,
+      cover: body.cover || null,
+      properties,
+      parent: { type: 'page_id', page_id: parent.id },
+      url: `https://www.notion.so/${id.replace(/-/g, '')}`,
+      archived: false,
+      in_trash: false,
+      is_inline: Boolean(body.is_inline),
+    };
+    objects.set(id, database);
+    Object.values(properties).forEach(property => linkProperty(database, property));
+    childBlock(parent.id, 'child_database', id, plainText(database.title));
+    return database;
+  }
+
+  function updateDatabase(id, body) {
+    const database = lookup(id, 'database');
+
+    if (body.title) {
+      database.title = richText(body.title);
+    }
+    if (body.description) {
+      database.description = richText(body.description);
+    }
+    Object.entries(body.properties || {}).forEach(([name, config]) => {
+      if (config === null) {
+        delete database.properties[name];
+        return;
+      }
+      const existing = database.properties[name];
+      const merged = existing && !Object.keys(config).some(key => key !== 'name' && key !== 'type')
+        ? { [existing.type]: existing[existing.type], name: config.name }
+        : config;
+      const property = normalizeSchemaProperty(name, merged, existing);
+      if (config.name && config.name !== name) {
+        delete database.properties[name];
+      }
+      database.properties[property.name] = property;
+      linkProperty(database, property);
+    });
+    if (body.archived !== undefined || body.in_trash !== undefined) {
+      database.archived = Boolean(body.archived ?? body.in_trash);
+      database.in_trash = database.archived;
+    }
+    database.last_edited_time = timestamp();
+    return database;
+  }
+
+  // --- Pages ---------------------------------------------------------------
+
+  function emptyValue(definition) {
+    switch (definition.type) {
+    case 'title':
+    case 'rich_text':
+    case 'multi_select':
+    case 'people':
+    case 'relation':
+    case 'files':
+      return [];
+    case 'checkbox':
+      return false;
+    case 'formula':
+      return { type: 'string', string: null };
+    case 'rollup':
+      return { type: 'number', number: null, function: definition.rollup.function || 'count' };
+    default:
+      return null;
+    }
+  }
+
+  function matchOption(definition, name) {
+    const options = definition[definition.type].options;
+    let option = options.find(candidate => candidate.name === name);
+    if (!option) {
+      // Notion adds unknown options to the schema on write
+      option = { id: nextId().slice(-8), name, color: 'default' };
+      options.push(option);
+    }
+    return option;
+  }
+
+  function pageValue(name, definition, value) {
+    const type = definition.type;
+    const raw = value[type];
+    if (raw === undefined) {
+      throw invalid(`${name} is expected to be ${type}.`);
+    }
+
+    switch (type) {
+    case 'title':
+    case 'rich_text':
+      return richText(raw);
+    case 'number':
+      if (raw !== null && typeof raw !== 'number') {
+        throw invalid(`${name} is expected to be number.`);
+      }
+      return raw;
+    case 'checkbox':
+      if (typeof raw !== 'boolean') {
+        throw invalid(`${name} is expected to be checkbox.`);
+      }
+      return raw;
+    case 'select':
+    case 'status':
+      return raw === null ? null : matchOption(definition, raw.name);
+    case 'multi_select':
+      return raw.map(option => matchOption(definition, option.name));
+    case 'date':
+      return raw === null ? null : { start: raw.start, end: raw.end || null, time_zone: raw.time_zone || null };
+    case 'people':
+      return raw.map(user => ({ object: 'user', id: user.id }));
+    case 'relation':
+      return raw.map(related => ({ id: lookup(related.id, 'page').id }));
+    case 'url':
+    case 'email':
+    case 'phone_number':
+    case 'files':
+      return raw;
+    default:
+      throw invalid(`${name} is a ${type} property and cannot be written.`);
+    }
+  }
+
+  function writeProperties(page, database, properties) {
+    Object.entries(properties || {}).forEach(([name, value]) => {
+      if (!database) {
+        if (name !== 'title') {
+          throw invalid(`${name} is not a property that exists.`);
+        }
+        const title = richText(value.title || value);
+        page.properties.title = { id: 'title', type: 'title', title };
+        return;
+      }
+
+      const definition = database.properties[name]
+        || Object.values(database.properties).find(candidate => candidate.id === name);
+      if (!definition) {
+        throw invalid(`${name} is not a property that exists.`);
+      }
+      page.properties[definition.name] = {
+        id: definition.id,
+        type: definition.type,
+        [definition.type]: pageValue(name, definition, value),
+      };
+    });
+  }
+
+  function createPage(body) {
+    const parent = body.parent || {};
+    const id = nextId();
+    const page = {
+      object: 'page',
+      id,
+      created_time: timestamp(),
+      last_edited_time: timestamp(),
+      created_by: { object: 'user', id: bot.id },
+      last_edited_by: { object: 'user', id: bot.id },
+      icon: body.icon || null,
+      cover: body.cover || null,
+      parent: null,
+      archived: false,
+      in_trash: false,
+      properties: {},
+      url: `https://www.notion.so/${id.replace(/-/g, '')}`,
+    };
+
+    let database = null;
+    if (parent.database_id) {
+      database = lookup(parent.database_id, 'database');
+      if (database.archived) {
+        throw invalid('Can\'t edit block that is archived. You must unarchive the block before editing.');
+      }
+      page.parent = { type: 'database_id', database_id: database.id };
+      Object.entries(database.properties).forEach(([name, definition]) => {
+        page.properties[name] = { id: definition.id, type: definition.type, [definition.type]: emptyValue(definition) };
+      });
+    } else if (parent.page_id) {
+      lookup(parent.page_id, 'page');
+      page.parent = { type: 'page_id', page_id: parent.page_id };
+      page.properties.title = { id: 'title', type: 'title', title: [] };
+    } else if (parent.workspace) {
+      page.parent = { type: 'workspace', workspace: true };
+      page.properties.title = { id: 'title', type: 'title', title: [] };
+    } else {
+      throw invalid('body.parent should be a database_id, page_id or workspace.');
+    }
+
+    writeProperties(page, database, body.properties);
+    objects.set(id, page);
+
+    if (page.parent.page_id) {
+      childBlock(page.parent.page_id, 'child_page', id, plainText(page.properties.title.title));
+    }
+    appendChildren(id, body.children || []);
+    return page;
+  }
+
+  function updatePage(id, body) {
+    const page = lookup(id, 'page');
+    const database = page.parent.database_id ? objects.get(page.parent.database_id) : null;
+
+    if (body.properties) {
+      if (page.archived) {
+        throw invalid('Can\'t edit block that is archived. You must unarchive the block before editing.');
+      }
+      writeProperties(page, database, body.properties);
+    }
+    if (body.archived !== undefined || body.in_trash !== undefined) {
+      page.archived = Boolean(body.archived ?? body.in_trash);
+      page.in_trash = page.archived;
+    }
+    ['icon', 'cover'].forEach(key => {
+      if (body[key] !== undefined) {
+        page[key] = body[key];
+      }
+    });
+    page.last_edited_time = timestamp();
+    return page;
+  }
+
+  // --- Blocks --------------------------------------------------------------
+
+  function appendChildren(parentId, children) {
+    if (children.length > MAX_PAGE_SIZE) {
+      throw invalid(`body.children.length should be ≤ \`${MAX_PAGE_SIZE}\`, instead was \`${children.length}\`.`);
+    }
+    return children.map(child => {
+      const type = child.type || Object.keys(child).find(key => key !== 'object');
+      const { children: nested = [], ...content } = child[type] || {};
+      if (content.rich_text) {
+        content.rich_text = richText(content.rich_text);
+      }
+      const block = {
+        object: 'block',
+        id: nextId(),
+        parent: { type: 'page_id', page_id: parentId },
+        created_time: timestamp(),
+        last_edited_time: timestamp(),
+        has_children: false,
+        archived: false,
+        in_trash: false,
+        type,
+        [type]: content,
+      };
+      objects.set(block.id, block);
+      addBlock(parentId, block);
+      if (nested.length > 0) {
+        appendChildren(block.id, nested);
+      }
+      return block;
+    });
+  }
+
+  // --- Query and search ----------------------------------------------------
+
+  function conditionMatches(value, type, condition) {
+    const [operator, operand] = Object.entries(condition)[0];
+    const empty = value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+    switch (operator) {
+    case 'is_empty':
+      return empty;
+    case 'is_not_empty':
+      return !empty;
+    case 'equals':
+      return type === 'date' ? (value || '').slice(0, 10) === operand : value === operand;
+    case 'does_not_equal':
+      return value !== operand;
+    case 'contains':
+      return Array.isArray(value) ? value.includes(operand) : String(value || '').includes(operand);
+    case 'does_not_contain':
+      return Array.isArray(value) ? !value.includes(operand) : !String(value || '').includes(operand);
+    case 'starts_with':
+      return String(value || '').startsWith(operand);
+    case 'ends_with':
+      return String(value || '').endsWith(operand);
+    case 'greater_than':
+      return !empty && value > operand;
+    case 'less_than':
+      return !empty && value < operand;
+    case 'greater_than_or_equal_to':
+      return !empty && value >= operand;
+    case 'less_than_or_equal_to':
+      return !empty && value <= operand;
+    case 'before':
+      return !empty && value.slice(0, 10) < operand;
+    case 'after':
+      return !empty && value.slice(0, 10) > operand;
+    case 'on_or_before':
+      return !empty && value.slice(0, 10) <= operand;
+    case 'on_or_after':
+      return !empty && value.slice(0, 10) >= operand;
+    default:
+      throw invalid(`Unsupported filter operator in fake Notion: ${operator}`);
+    }
+  }
+
+  // Comparable value for filters and sorts
+  function comparable(property) {
+    if (!property) {
+      return null;
+    }
+    const raw = property[property.type];
+    switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return plainText(raw);
+    case 'select':
+    case 'status':
+      return raw ? raw.name : null;
+    case 'multi_select':
+      return raw.map(option => option.name);
+    case 'people':
+    case 'relation':
+      return raw.map(item => item.id);
+    case 'date':
+      return raw ? raw.start : null;
+    default:
+      return raw;
+    }
+  }
+
+  function filterMatches(page, filter) {
+    if (filter.and) {
+      return filter.and.every(part => filterMatches(page, part));
+    }
+    if (filter.or) {
+      return filter.or.some(part => filterMatches(page, part));
+    }
+    if (filter.timestamp) {
+      return conditionMatches(page[filter.timestamp], 'date', filter[filter.timestamp]);
+    }
+
+    const property = page.properties[filter.property];
+    if (!property) {
+      throw invalid(`Could not find property with name or id: ${filter.property}`);
+    }
+    const type = Object.keys(filter).find(key => key !== 'property');
+    if (type !== property.type) {
+      throw invalid(`database property ${property.type} does not match filter ${type}`);
+    }
+    return conditionMatches(comparable(property), type, filter[type]);
+  }
+
+  function sortPages(pages, sorts = []) {
+    return [...pages].sort((a, b) => {
+      for (const sort of sorts) {
+        const left = sort.timestamp ? a[sort.timestamp] : comparable(a.properties[sort.property]);
+        const right = sort.timestamp ? b[sort.timestamp] : comparable(b.properties[sort.property]);
+        const order = compare(left, right);
+        if (order !== 0) {
+          return sort.direction === 'descending' ? -order : order;
+        }
+      }
+      return 0;
+    });
+  }
+
+  function queryDatabase(id, body) {
+    const database = lookup(id, 'database');
+    (body.sorts || []).forEach(sort => {
+      if (sort.property && !database.properties[sort.property]) {
+        throw invalid(`Could not find sort property with name or id: ${sort.property}`);
+      }
+    });
+
+    const pages = [...objects.values()].filter(object => (
+      object.object === 'page' && object.parent.database_id === id && !object.archived
+      && (!body.filter || filterMatches(object, body.filter))
+    ));
+    const sorted = body.sorts ? sortPages(pages, body.sorts) : sortPages(pages, [{ timestamp: 'created_time', direction: 'descending' }]);
+    return { ...paginateList(sorted, body), type: 'page_or_database', page_or_database: {} };
+  }
+
+  function objectTitle(object) {
+    if (object.object === 'database') {
+      return plainText(object.title);
+    }
+    const title = Object.values(object.properties).find(property => property.type === 'title');
+    return title ? plainText(title.title) : '';
+  }
+
+  function search(body) {
+    const text = (body.query || '').toLowerCase();
+    const kind = body.filter && body.filter.property === 'object' ? body.filter.value : null;
+    const direction = body.sort?.direction || 'descending';
+
+    const results = [...objects.values()]
+      .filter(object => object.object !== 'block' && !object.archived)
+      .filter(object => !kind || object.object === kind)
+      .filter(object => objectTitle(object).toLowerCase().includes(text))
+      .sort((a, b) => (direction === 'ascending' ? 1 : -1) * compare(a.last_edited_time, b.last_edited_time));
+
+    return { ...paginateList(results, body), type: 'page_or_database', page_or_database: {} };
+  }
+
+  // --- Request handling ----------------------------------------------------
+
+  const handlers = {
+    'users.me': () => bot,
+    'search': (_id, body) => search(body),
+    'databases.create': (_id, body) => createDatabase(body),
+    'databases.retrieve': id => lookup(id, 'database'),
+    'databases.update': (id, body) => updateDatabase(id, body),
+    'databases.query': (id, body) => queryDatabase(id, body),
+    'pages.create': (_id, body) => createPage(body),
+    'pages.retrieve': id => lookup(id, 'page'),
+    'pages.update': (id, body) => updatePage(id, body),
+    'blocks.children.list': (id, body) => {
+      if (!objects.has(id)) {
+        throw notFound(id);
+      }
+      // Archived child pages and databases drop out of their parent's children
+      const children = (blocks.get(id) || []).filter(block => !objects.get(block.id)?.archived);
+      return { ...paginateList(children, body), type: 'block', block: {} };
+    },
+    'blocks.children.append': (id, body) => {
+      if (!objects.has(id)) {
+        throw notFound(id);
+      }
+      return { object: 'list', results: appendChildren(id, body.children || []), next_cursor: null, has_more: false };
+    },
+    'blocks.delete': id => {
+      const block = lookup(id, 'block');
+      block.archived = true;
+      block.in_trash = true;
+      return block;
+    },
+  };
+
+  function checkAuth(headers) {
+    const auth = headers.authorization || headers.Authorization || '';
+    const token = auth.replace(/^Bearer /, '');
+    if (!token || (options.tokens && !options.tokens.includes(token))) {
+      throw new FakeNotionError(401, 'unauthorized', 'API token is invalid.');
+    }
+  }
+
+  function checkRateLimit() {
+    if (!options.rateLimit) {
+      return;
+    }
+    const current = now();
+    recent = recent.filter(time => current - time < 1000);
+    if (recent.length >= options.rateLimit.requestsPerSecond) {
+      throw new FakeNotionError(429, 'rate_limited', 'You have been rate limited. Please try again in a few minutes.', {
+        'retry-after': String(options.rateLimit.retryAfter ?? 1),
+      });
+    }
+    recent.push(current);
+  }
+
+  function takeFault(endpoint) {
+    const index = faults.findIndex(fault => fault.endpoint === '*' || fault.endpoint === endpoint);
+    if (index === -1) {
+      return null;
+    }
+    const fault = faults[index];
+    fault.times -= 1;
+    if (fault.times <= 0) {
+      faults.splice(index, 1);
+    }
+    return fault;
+  }
+
+  function respond(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'content-type': 'application/json', ...headers },
+    });
+  }
+
+  /**
+   * fetch-compatible entry point for @notionhq/client
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch init ({ method, headers, body })
+   * @returns {Promise<Response>} Notion-shaped response
+   */
+  async function fetch(url, init = {}) {
+    const { pathname, searchParams } = new URL(url);
+    const path = pathname.replace(/^\/v1\//, '');
+    const method = (init.method || 'GET').toUpperCase();
+    const body = init.body ? JSON.parse(init.body) : {};
+    searchParams.forEach((value, key) => {
+      body[key] = key === 'page_size' ? Number(value) : value;
+    });
+
+    const route = ROUTES.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(path));
+    const endpoint = route ? route[2] : `${method} ${path}`;
+    requests.push({ endpoint, method, path, body });
+
+    try {
+      if (!route) {
+        throw new FakeNotionError(400, 'invalid_request_url', 'Invalid request URL.');
+      }
+      checkAuth(init.headers || {});
+      checkRateLimit();
+
+      const fault = takeFault(endpoint);
+      if (fault) {
+        const headers = fault.retryAfter !== undefined ? { 'retry-after': String(fault.retryAfter) } : {};
+        throw new FakeNotionError(fault.status, fault.code, fault.message || `Simulated ${fault.code}`, headers);
+      }
+
+      const [, id] = path.match(route[1]);
+      const result = handlers[endpoint](id, body);
+      return respond(200, JSON.parse(JSON.stringify(result)));
+    } catch (error) {
+      if (!(error instanceof FakeNotionError)) {
+        throw error;
+      }
+      return respond(error.status, { object: 'error', status: error.status, code: error.code, message: error.message }, error.headers);
+    }
+  }
+
+  return {
+    fetch,
+    requests,
+
+    /**
+     * Route the global fetch (used by @notionhq/client) to this fake
+     * @returns {Function} Restores the previous global fetch
+     */
+    install() {
+      const original = global.fetch;
+      global.fetch = fetch;
+      return () => {
+        global.fetch = original;
+      };
+    },
+
+    /**
+     * Fail upcoming requests to an endpoint
+     * @param {string} endpoint - Endpoint name (e.g. 'pages.create') or '*'
+     * @param {Object} fault - { status, code, message, retryAfter, times }
+     */
+    failNext(endpoint, fault) {
+      faults.push({ endpoint, times: 1, ...fault });
+    },
+
+    /**
+     * Count requests made to an endpoint
+     * @param {string} endpoint - Endpoint name
+     * @returns {number} Request count
+     */
+    count(endpoint) {
+      return requests.filter(request => request.endpoint === endpoint).length;
+    },
+
+    /**
+     * Look up a stored object by ID
+     * @param {string} id - Object ID
+     * @returns {Object|undefined} Stored object
+     */
+    get(id) {
+      return objects.get(id);
+    },
+
+    /**
+     * Find stored databases and pages
+     * @param {Object} criteria - { object, title, parentId, archived }
+     * @returns {Object[]} Matching objects
+     */
+    find(criteria = {}) {
+      return [...objects.values()].filter(object => (
+        object.object !== 'block'
+        && (!criteria.object || object.object === criteria.object)
+        && (criteria.title === undefined || objectTitle(object) === criteria.title)
+        && (!criteria.parentId || Object.values(object.parent).includes(criteria.parentId))
+        && (criteria.archived === undefined || object.archived === criteria.archived)
+      ));
+    },
+
+    /**
+     * Child blocks of a page or block
+     * @param {string} id - Parent ID
+     * @returns {Object[]} Blocks
+     */
+    children(id) {
+      return blocks.get(id) || [];
+    },
+
+    /**
+     * Title of a stored page or database
+     * @param {Object} object - Page or database
+     * @returns {string} Plain text title
+     */
+    title: objectTitle,
+  };
+}
+
+module.exports = {
+  createFakeNotion,
+};
@@ -0,0 +1,54 @@
+/**
+ * Formula property tests
+ */
+
+const { formulaReferences, unknownReferences, formulaLayers } = require('../api/formulas');
+
+describe('formula properties', () => {
+  const properties = {
+    'Contract Value': { type: 'number' },
+    'Current Costs': { type: 'number' },
+    'Budget Variance': {
+      type: 'formula',
+      expression: 'if(prop("Contract Value") > 0, (prop("Current Costs") - prop("Contract Value")) / prop("Contract Value") * 100, 0)',
+    },
+    'Project Health': {
+      type: 'formula',
+      expression: 'if(prop("Budget Variance") > 15, "Over Budget", "On Track")',
+    },
+    'Profit Margin': {
+      type: 'formula',
+      expression: 'prop( "Contract Value" ) - prop("Current Costs")',
+    },
+  };
+
+  test('should read each referenced property once', () => {
+    expect(formulaReferences(properties['Budget Variance'].expression)).toEqual(['Contract Value', 'Current Costs']);
+    expect(formulaReferences(properties['Profit Margin'].expression)).toEqual(['Contract Value', 'Current Costs']);
+    expect(formulaReferences('prop("Say \\"hi\\"") + now()')).toEqual(['Say "hi"']);
+    expect(formulaReferences('now()')).toEqual([]);
+  });
+
+  test('should report references to properties the schema does not define', () => {
+    const schema = {
+      ...properties,
+      'Days in Stage': { type: 'formula', expression: 'dateBetween(now(), prop("Status Changed"), "days")' },
+      'Client Name': { type: 'formula', expression: 'prop("Client")' },
+    };
+
+    expect(unknownReferences(schema, ['Client'])).toEqual([{ formula: 'Days in Stage', property: 'Status Changed' }]);
+  });
+
+  test('should order formulas after the formulas they reference', () => {
+    expect(formulaLayers(properties)).toEqual([['Budget Variance', 'Profit Margin'], ['Project Health']]);
+    expect(formulaLayers({ Name: { type: 'title' } })).toEqual([]);
+  });
+
+  test('should reject formulas that reference each other in a cycle', () => {
+    expect(() => formulaLayers({
+      A: { type: 'formula', expression: 'prop("B")' },
+      B: { type: 'formula', expression: 'prop("A")' },
+      C: { type: 'formula', expression: '1' },
+    })).toThrow('Formulas reference each other in a cycle: A, B');
+  });
+});
@@ -0,0 +1,634 @@
+/**
+ * End-to-end deploy against the fake Notion server
+ */
+
+jest.unmock('@notionhq/client');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeNotion } = require('../fake-notion');
+const { createNotionClient } = require('../../api/client');
+
+describe('deploy pipeline', () => {
+  const cwd = process.cwd();
+  const env = { ...process.env };
+  let workdir;
+  let fake;
+  let restore;
+  let parent;
+
+  beforeEach(async () => {
+    workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-'));
+    process.chdir(workdir);
+    Object.assign(process.env, {
+      CLIENT_NAME: 'Acme',
+      DEPLOYMENT_TIER: 'professional',
+      NOTION_TOKEN: 'secret_test',
+    });
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    fake = createFakeNotion({ tokens: ['secret_test'] });
+    restore = fake.install();
+
+    // The page shared with the integration that client workspaces go under
+    parent = await createNotionClient('secret_test').pages.create({
+      parent: { type: 'workspace', workspace: true },
+      properties: { title: [{ text: { content: 'Client Workspaces' } }] },
+    });
+    process.env.NOTION_PARENT_PAGE_ID = parent.id;
+
+    const { buildTemplate } = require('../../../scripts/build-template');
+    await buildTemplate({ tier: 'professional', client: 'Acme', sampleData: true });
+  });
+
+  afterEach(() => {
+    restore();
+    process.chdir(cwd);
+    process.env = env;
+    fs.rmSync(workdir, { recursive: true, force: true });
+    jest.resetModules();
+  });
+
+  test('should deploy databases, sample data and summary page', async () => {
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+    const report = await deployConstructionTemplate();
+
+    expect(report).toMatchObject({ success: true, errors: 0 });
+
+    const [databases] = fake.find({ object: 'page', title: 'Databases' });
+    const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+    expect(projects.parent.page_id).toBe(databases.id);
+    expect(projects.properties['Project Title'].type).toBe('title');
+    expect(projects.properties['Contract Value'].number.format).toBe('dollar');
+    expect(projects.properties['Permits Required'].type).toBe('multi_select');
+
+    const records = fake.find({ object: 'page', parentId: projects.id });
+    expect(records).toHaveLength(5);
+    expect(records[0].properties['Project Title'].title[0].plain_text).toBe('Acme Project 1');
+
+    expect(fake.find({ object: 'page', title: 'Acme - Deployment Summary' })).toHaveLength(1);
+    expect(fs.readdirSync('dist').some(file => file.startsWith('deployment-'))).toBe(true);
+  });
+
+  test('should create sample tasks through the task API', async () => {
+    const NotionAPI = require('../../api');
+    const createTask = jest.spyOn(NotionAPI.prototype, 'createTask');
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+    await deployConstructionTemplate();
+
+    const [tasks] = fake.find({ object: 'database', title: 'Acme - Tasks' });
+    const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+    expect(tasks.properties.Project.relation.database_id).toBe(projects.id);
+    expect(createTask).toHaveBeenCalledTimes(5);
+    expect(createTask).toHaveBeenCalledWith(expect.objectContaining({ title: 'Framing - Task 1', status: 'In Progress' }));
+
+    const records = fake.find({ object: 'page', parentId: tasks.id });
+    expect(records.map(record => record.properties.Name.title[0].plain_text)).toContain('Framing - Task 1');
+
+    // Each sample task links to a sample project deployed before it
+    const projectTitles = Object.fromEntries(fake.find({ object: 'page', parentId: projects.id })
+      .map(page => [page.id, fake.title(page)]));
+    const linked = Object.fromEntries(records.map(record => [
+      fake.title(record),
+      record.properties.Project.relation.map(({ id }) => projectTitles[id]),
+    ]));
+    expect(linked).toEqual({
+      'Framing - Task 1': ['Acme Project 1'],
+      'Electrical - Task 2': ['Acme Project 2'],
+      'Plumbing - Task 3': ['Acme Project 3'],
+      'Roofing - Task 4': ['Acme Project 4'],
+      'Finishing - Task 5': ['Acme Project 5'],
+    });
+  });
+
+  test('should deploy as a dependency graph and time each phase', async () => {
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    const events = [];
+
+    const report = await deployConstructionTemplate({ onProgress: event => events.push(event) });
+
+    expect(Object.keys(report.phases)).toEqual([
+      'pages', 'databases', 'relations', 'records', 'dashboards', 'integrations', 'finalization',
+    ]);
+    // A task per database or view, plus the task that checkpoints the phase
+    expect(report.phases.databases).toMatchObject({ tasks: 13, skipped: 0 });
+    expect(report.phases.dashboards).toMatchObject({ tasks: 9, skipped: 0 });
+
+    const index = (task, status) => events.findIndex(event => event.task === task && event.status === status);
+    // Independent databases are all under way before the first one finishes
+    const databases = report.resources.details.filter(resource => resource.type === 'database').map(resource => `database:${resource.name}`);
+    const firstDone = Math.min(...databases.map(task => index(task, 'completed')));
+    expect(databases.every(task => index(task, 'started') < firstDone)).toBe(true);
+    // A dashboard waits for the records of the databases it reports on
+    expect(index('dashboard:client-portal', 'started')).toBeGreaterThan(index('records:clients', 'completed'));
+    expect(index('dashboard:client-portal', 'started')).toBeGreaterThan(index('records:projects', 'completed'));
+    expect(events.filter(event => event.status === 'failed')).toEqual([]);
+    expect(events[events.length - 1]).toMatchObject({ type: 'phase', phase: 'finalization', tasks: 1 });
+  });
+
+  test('should log a structured event for each phase and resource', async () => {
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    const events = [];
+
+    const report = await deployConstructionTemplate({ onEvent: event => events.push(event) });
+
+    const { deploymentId } = report;
+    expect(events.every(event => event.command === 'deploy' && event.deploymentId === deploymentId)).toBe(true);
+    expect(events[0]).toMatchObject({ event: 'run', outcome: 'started', resumed: false });
+    expect(events[events.length - 1]).toMatchObject({ event: 'run', outcome: 'completed', created: report.resources.created, errors: 0 });
+
+    const resources = events.filter(event => event.event === 'resource');
+    expect(resources.find(event => event.resource === 'database:projects')).toMatchObject({
+      phase: 'databases',
+      outcome: 'created',
+      duration: expect.any(Number),
+    });
+    expect(resources.find(event => event.resource === 'records:projects')).toMatchObject({ phase: 'records', outcome: 'created' });
+    expect(resources.find(event => event.resource === 'dashboard:client-portal')).toMatchObject({ phase: 'dashboards', outcome: 'created' });
+    expect(resources.some(event => event.resource.endsWith(':done'))).toBe(false);
+
+    const phases = events.filter(event => event.event === 'phase' && event.outcome === 'completed').map(event => event.phase);
+    expect(phases).toEqual(['setup', 'pages', 'databases', 'relations', 'records', 'dashboards', 'integrations', 'finalization']);
+
+    // The same events are appended to the NDJSON log, after the build's
+    const logged = fs.readFileSync(path.join('logs', 'events.ndjson'), 'utf8').trim().split('\n')
+      .map(line => JSON.parse(line))
+      .filter(event => event.deploymentId === deploymentId);
+    expect(logged.map(event => [event.event, event.phase, event.resource, event.outcome]))
+      .toEqual(events.map(event => [event.event, event.phase, event.resource, event.outcome]));
+  });
+
+  test('should lay out the client page tree under the configured parent', async () => {
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+    await deployConstructionTemplate();
+
+    const [root] = fake.find({ object: 'page', title: 'Acme Construction Management' });
+    expect(root.parent).toEqual({ type: 'page_id', page_id: parent.id });
+    const sections = fake.find({ object: 'page', parentId: root.id });
+    expect(sections.map(page => page.properties.title.title[0].plain_text)).toEqual(['Databases', 'Dashboards', 'Documentation']);
+    const [summary] = fake.find({ object: 'page', title: 'Acme - Deployment Summary' });
+    expect(summary.parent.page_id).toBe(sections[2].id);
+    expect(fake.find({ object: 'database' }).every(database => database.parent.page_id === sections[0].id)).toBe(true);
+
+    // Without the manifest, the tree is found again under the parent page
+    fs.rmSync('manifests', { recursive: true });
+    await deployConstructionTemplate();
+    expect(fake.find({ object: 'page', title: 'Acme Construction Management' })).toHaveLength(1);
+    expect(fake.find({ object: 'page', title: 'Databases' })).toHaveLength(1);
+    expect(fake.requests.filter(request => request.endpoint === 'search' && request.body.filter.value === 'page')).toEqual([]);
+  });
+
+  test('should use the parent page the build was configured with', async () => {
+    delete process.env.NOTION_PARENT_PAGE_ID;
+    const { buildTemplate } = require('../../../scripts/build-template');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await buildTemplate({ tier: 'professional', client: 'Acme', sampleData: true, parentPageId: parent.id });
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+    await deployConstructionTemplate();
+
+    const [root] = fake.find({ object: 'page', title: 'Acme Construction Management' });
+    expect(root.parent.page_id).toBe(parent.id);
+  });
+
+  test('should warn about tier databases the build has no definition for', async () => {
+    const { buildTemplate } = require('../../../scripts/build-template');
+    const events = [];
+    console.warn.mockClear();
+
+    const buildPackage = await buildTemplate({ tier: 'starter', client: 'Acme', onEvent: event => events.push(event) });
+
+    expect(buildPackage.schemas.map(schema => schema.name)).not.toContain('team-members');
+    expect(buildPackage.metadata.omittedDatabases).toEqual(['team-members']);
+    expect(console.warn.mock.calls.map(([message]) => message)).toEqual([
+      expect.stringContaining('left out of the build: team-members'),
+      '   projects.Lead Contractor -> team-members will not be linked',
+    ]);
+    expect(events.filter(event => event.event === 'resource')).toEqual([
+      expect.objectContaining({ phase: 'schemas', resource: 'team-members', outcome: 'skipped', reason: 'no definition' }),
+    ]);
+  });
+
+  test('should refuse to create a workspace without a parent page', async () => {
+    delete process.env.NOTION_PARENT_PAGE_ID;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+    await expect(deployConstructionTemplate()).rejects.toThrow('No parent page configured for Acme: set NOTION_PARENT_PAGE_ID');
+    expect(fake.count('pages.create')).toBe(1);
+  });
+
+  test('should link relations and rollups once every database exists', async () => {
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+    const report = await deployConstructionTemplate();
+
+    expect(report.errors).toBe(0);
+    const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+    const [clients] = fake.find({ object: 'database', title: 'Acme - Clients' });
+    const [subcontractors] = fake.find({ object: 'database', title: 'Acme - Subcontractors' });
+
+    expect(projects.properties.Client.relation).toMatchObject({
+      database_id: clients.id,
+      type: 'dual_property',
+      dual_property: { synced_property_name: 'Projects' },
+    });
+    expect(clients.properties.Projects.relation.database_id).toBe(projects.id);
+    expect(Object.keys(clients.properties).filter(name => name.startsWith('Related to'))).toEqual([]);
+    expect(subcontractors.properties['Materials Supplied'].type).toBe('relation');
+    // Team members are not part of this tier, so that relationship waits
+    expect(projects.properties['Lead Contractor']).toBeUndefined();
+
+    expect(clients.properties['Total Value'].rollup).toEqual({
+      relation_property_name: 'Projects',
+      rollup_property_name: 'Contract Value',
+      function: 'sum',
+    });
+    expect(report.links).toContainEqual(expect.objectContaining({ database: 'clients', property: 'Total Value', type: 'rollup' }));
+
+    const [materials] = fake.find({ object: 'database', title: 'Acme - Materials' });
+    expect(materials.properties['Total Cost'].formula.expression).toBe('prop("Quantity Ordered") * prop("Unit Cost")');
+    // Project Health reads Budget Variance and Behind Schedule, so it goes in a later update
+    const formulaUpdates = fake.requests
+      .filter(request => request.endpoint === 'databases.update' && request.path.endsWith(projects.id))
+      .map(request => Object.keys(request.body.properties || {}))
+      .filter(names => names.some(name => projects.properties[name].type === 'formula'));
+    expect(formulaUpdates).toEqual([['Behind Schedule', 'Budget Variance', 'Profit Margin'], ['Project Health']]);
+    expect(report.createdResources).toBe(25);
+
+    const updates = fake.count('databases.update');
+    const second = await deployConstructionTemplate();
+    expect(second.links).toEqual([]);
+    expect(fake.count('databases.update')).toBe(updates);
+  });
+
+  test('should generate a dashboard page for each view with deployed databases', async () => {
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+    const report = await deployConstructionTemplate();
+
+    const [dashboards] = fake.find({ object: 'page', title: 'Dashboards' });
+    expect(fake.find({ object: 'page', parentId: dashboards.id }).map(fake.title).sort()).toEqual([
+      'Budget Tracking', 'Client Portal', 'Expense Reports', 'Material Inventory',
+      'Project Dashboard', 'Project Timeline', 'Task Kanban', 'Vendor Directory',
+    ]);
+    expect(report.summary.dashboards).toBe(8);
+
+    const [portal] = fake.find({ object: 'page', title: 'Client Portal' });
+    const blocks = [...fake.children(portal.id)];
+    expect(blocks.map(block => block.type)).toEqual([
+      'paragraph', 'table_of_contents', 'heading_1', 'callout', 'callout',
+      'heading_1', 'heading_2', 'paragraph', 'link_to_page', 'heading_2', 'link_to_page',
+    ]);
+    const [clients] = fake.find({ object: 'database', title: 'Acme - Clients' });
+    const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+    expect(blocks.filter(block => block.type === 'link_to_page').map(block => block.link_to_page.database_id))
+      .toEqual([clients.id, projects.id]);
+
+    const figures = blocks[4].callout.rich_text.map(part => part.plain_text).join('');
+    expect(figures).toMatch(/^Projects\nRecords: 5\nContract Value: \$[\d,]+\n/);
+    expect(figures).toMatch(/\nStatus: .+ \d/);
+
+    // A redeploy swaps in fresh figures instead of adding pages or blocks, even
+    // when the old content runs to several pages of children
+    const paragraph = { type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: 'Old figures' } }] } };
+    const notion = createNotionClient('secret_test');
+    for (let appended = 0; appended < 150; appended += 75) {
+      await notion.blocks.children.append({ block_id: portal.id, children: Array(75).fill(paragraph) });
+    }
+    await deployConstructionTemplate();
+    expect(fake.find({ object: 'page', parentId: dashboards.id })).toHaveLength(8);
+    expect(fake.children(portal.id).filter(block => !block.archived)).toHaveLength(blocks.length);
+  });
+
+  test('should record deployed resources in the workspace manifest', async () => {
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    const { WorkspaceManifest } = require('../../api/manifest');
+
+    await deployConstructionTemplate();
+
+    const manifest = await WorkspaceManifest.load('Acme');
+    const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+    expect(manifest.databaseId('projects')).toBe(projects.id);
+    expect(manifest.database('projects').buildId).toMatch(/^build-/);
+    expect(manifest.page('databases').id).toBe(projects.parent.page_id);
+    expect(manifest.page('root').id).toBe(fake.get(projects.parent.page_id).parent.page_id);
+    expect(manifest.page('summary').title).toBe('Acme - Deployment Summary');
+  });
+
+  test('should reconcile existing databases instead of duplicating them', async () => {
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    const first = await deployConstructionTemplate();
+    expect(first.resources).toMatchObject({ created: 25, updated: 0, unchanged: 0 });
+
+    const second = await deployConstructionTemplate();
+    // Dashboards are refreshed with current figures on every deploy
+    expect(second.resources).toMatchObject({ created: 0, updated: 9, unchanged: 12 });
+    expect(second.resources.details).toContainEqual(expect.objectContaining({ name: 'projects', outcome: 'unchanged' }));
+
+    const databases = fake.find({ object: 'database', title: 'Acme - Projects' });
+    expect(databases).toHaveLength(1);
+    expect(fake.find({ object: 'page', parentId: databases[0].id })).toHaveLength(5);
+    expect(fake.find({ object: 'page', title: 'Acme - Deployment Summary' })).toHaveLength(1);
+  });
+
+  test('should update databases that drifted from the build', async () => {
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    await deployConstructionTemplate();
+
+    const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+    delete projects.properties['Contract Value'];
+    const status = projects.properties.Status.select;
+    status.options = status.options.filter(option => option.name !== 'Complete');
+    projects.properties.Notes = { id: 'note', name: 'Notes', type: 'rich_text', rich_text: {} };
+
+    const report = await deployConstructionTemplate();
+
+    expect(report.resources.details).toContainEqual(expect.objectContaining({ name: 'projects', outcome: 'updated' }));
+    expect(fake.get(projects.id).properties['Contract Value'].type).toBe('number');
+    expect(fake.get(projects.id).properties.Status.select.options.map(option => option.name)).toContain('Complete');
+    expect(fake.get(projects.id).properties.Notes).toBeDefined();
+  });
+
+  test('should find databases by their marker when the manifest is lost', async () => {
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    await deployConstructionTemplate();
+    fs.rmSync('manifests', { recursive: true });
+
+    const report = await deployConstructionTemplate();
+
+    expect(report.resources.details).toContainEqual(expect.objectContaining({ name: 'projects', outcome: 'unchanged' }));
+    expect(fake.find({ object: 'database', title: 'Acme - Projects' })).toHaveLength(1);
+  });
+
+  describe('rollback', () => {
+    const createdOrder = [
+      'root', 'databases', 'dashboards', 'documentation',
+      'budgets', 'clients', 'documents', 'expenses', 'inspections', 'materials', 'permits', 'projects', 'safety-incidents',
+      'subcontractors', 'tasks', 'vendors',
+      // Each dashboard is created as soon as the records of its own databases are in;
+      // sample tasks wait for the sample projects they link to
+      'dashboard:budget-tracking', 'dashboard:expense-reports', 'dashboard:material-inventory', 'dashboard:vendor-directory',
+      'dashboard:project-timeline', 'dashboard:client-portal', 'dashboard:task-kanban', 'dashboard:project-dashboard',
+      'summary',
+    ];
+
+    function failMetadataWrite(onFailure = () => {}) {
+      const { writeFile } = fs.promises;
+      jest.spyOn(fs.promises, 'writeFile').mockImplementation((file, ...args) => {
+        if (String(file).includes('deployment-')) {
+          onFailure();
+          return Promise.reject(new Error('disk full'));
+        }
+        return writeFile(file, ...args);
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    }
+
+    function rollbackReport() {
+      const file = fs.readdirSync('dist').find(name => name.startsWith('rollback-'));
+      return file ? JSON.parse(fs.readFileSync(path.join('dist', file), 'utf8')) : null;
+    }
+
+    test('should archive created resources in reverse order when a deployment fails', async () => {
+      failMetadataWrite();
+      const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+      await expect(deployConstructionTemplate()).rejects.toThrow('disk full');
+
+      const [root] = fake.find({ object: 'page', title: 'Acme Construction Management' });
+      const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+      const [summary] = fake.find({ object: 'page', title: 'Acme - Deployment Summary' });
+      expect([root, projects, summary].map(resource => resource.archived)).toEqual([true, true, true]);
+      expect(fake.find({ object: 'database', archived: false })).toEqual([]);
+      expect(fake.find({ object: 'page', parentId: parent.id, archived: false })).toEqual([]);
+
+      const archived = fake.requests
+        .filter(request => request.body && request.body.archived)
+        .map(request => request.path.split('/').pop());
+      expect(archived).toHaveLength(createdOrder.length);
+      expect(archived[0]).toBe(summary.id);
+      expect(archived[archived.length - 1]).toBe(root.id);
+
+      const report = rollbackReport();
+      expect(report).toMatchObject({ client: 'Acme', reason: 'disk full', archived: 25, failed: 0 });
+      expect(report.resources.map(resource => resource.name)).toEqual([...createdOrder].reverse());
+      expect(report.resources.map(resource => resource.id)).toEqual(archived);
+
+      const { WorkspaceManifest } = require('../../api/manifest');
+      expect((await WorkspaceManifest.load('Acme')).isEmpty()).toBe(true);
+    });
+
+    test('should report archives it could not complete', async () => {
+      // The first database archived is the last one created
+      failMetadataWrite(() => fake.failNext('databases.update', { status: 400, code: 'validation_error', message: 'Locked' }));
+      const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+      await expect(deployConstructionTemplate()).rejects.toThrow('disk full');
+
+      const report = rollbackReport();
+      expect(report).toMatchObject({ archived: 24, failed: 1 });
+      expect(report.resources.find(resource => resource.name === 'vendors')).toMatchObject({
+        status: 'failed',
+        error: 'Locked',
+      });
+    });
+
+    test('should keep partial results when rollback is disabled', async () => {
+      failMetadataWrite();
+      const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+      await expect(deployConstructionTemplate({ rollback: false })).rejects.toThrow('disk full');
+
+      expect(fake.find({ object: 'database', title: 'Acme - Projects', archived: false })).toHaveLength(1);
+      expect(rollbackReport()).toBeNull();
+    });
+  });
+
+  describe('resume', () => {
+    function checkpoints() {
+      return fs.readdirSync(path.join('dist', 'deployments'))
+        .map(file => JSON.parse(fs.readFileSync(path.join('dist', 'deployments', file), 'utf8')));
+    }
+
+    test('should checkpoint progress and finish an interrupted deployment without duplicates', async () => {
+      // Simulate a crash while sample data is being written
+      const { writeFile } = fs.promises;
+      let crashed = false;
+      jest.spyOn(fs.promises, 'writeFile').mockImplementation((file, data, ...args) => {
+        if (!crashed && String(file).includes('deployments') && JSON.parse(data).sampleRecords.projects === 3) {
+          crashed = true;
+          return Promise.reject(new Error('process killed'));
+        }
+        return writeFile(file, data, ...args);
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+      await expect(deployConstructionTemplate({ rollback: false })).rejects.toThrow('process killed');
+
+      const [checkpoint] = checkpoints();
+      // Tasks already running when the write failed finish before the deployment stops
+      expect(checkpoint.status).toBe('failed');
+      expect(checkpoint.sampleRecords.projects).toBeGreaterThanOrEqual(3);
+      expect(checkpoint.completedSteps).toContain('databases_deployed');
+      expect(checkpoint.completedSteps).not.toContain('sample_data_deployed');
+      const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+      const creates = fake.count('databases.create');
+
+      const report = await deployConstructionTemplate({ resume: checkpoint.deploymentId });
+
+      expect(report).toMatchObject({ success: true, deploymentId: checkpoint.deploymentId, resumed: true });
+      expect(fake.count('databases.create')).toBe(creates);
+      expect(fake.find({ object: 'database', title: 'Acme - Projects' })).toEqual([projects]);
+      expect(fake.find({ object: 'page', parentId: projects.id })).toHaveLength(5);
+      expect(fake.find({ object: 'page', title: 'Acme Construction Management' })).toHaveLength(1);
+      expect(fake.find({ object: 'page', title: 'Acme - Deployment Summary' })).toHaveLength(1);
+      expect(checkpoints()[0].status).toBe('completed');
+    });
+
+    test('should count only the sample records Notion accepts', async () => {
+      const NotionAPI = require('../../api');
+      const createTask = NotionAPI.prototype.createTask;
+      let calls = 0;
+      jest.spyOn(NotionAPI.prototype, 'createTask').mockImplementation(function (task) {
+        calls += 1;
+        return calls === 2 ? Promise.reject(new Error('validation_error')) : createTask.call(this, task);
+      });
+      const events = [];
+      const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+      const report = await deployConstructionTemplate({ onEvent: event => events.push(event) });
+
+      expect(report.errors).toBe(1);
+      const [tasks] = fake.find({ object: 'database', title: 'Acme - Tasks' });
+      expect(fake.find({ object: 'page', parentId: tasks.id })).toHaveLength(1);
+      const [checkpoint] = checkpoints();
+      expect(checkpoint.sampleRecords.tasks).toBe(1);
+      expect(checkpoint.errors).toEqual([{ phase: 'records', resource: 'tasks', error: 'validation_error' }]);
+      expect(events).toContainEqual(expect.objectContaining({ event: 'resource', resource: 'records:tasks', outcome: 'failed' }));
+    });
+
+    test('should refuse to resume finished or unknown deployments', async () => {
+      const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+      const { deploymentId } = await deployConstructionTemplate();
+
+      await expect(deployConstructionTemplate({ resume: deploymentId })).rejects.toThrow('already completed');
+      await expect(deployConstructionTemplate({ resume: 'deploy-0' })).rejects.toThrow('No checkpoint found for deployment deploy-0');
+    });
+  });
+
+  describe('plan', () => {
+    const writes = ['databases.create', 'databases.update', 'pages.create', 'pages.update', 'blocks.children.append', 'blocks.delete'];
+    const writeCount = () => fake.requests.filter(request => writes.includes(request.endpoint)).length;
+
+    test('should plan a fresh deployment without writing', async () => {
+      const { planDeployment } = require('../../../scripts/deploy-construction');
+      const before = writeCount();
+
+      const plan = await planDeployment({ output: 'plan.json' });
+
+      expect(writeCount()).toBe(before);
+      expect(plan.parentPageId).toBe(parent.id);
+      expect(plan.hasChanges).toBe(true);
+      expect(plan.databases.map(database => database.action)).toEqual(Array(12).fill('create'));
+      expect(plan.databases.find(database => database.name === 'projects')).toMatchObject({ sampleRecords: 5, writes: 4 });
+      expect(plan.databases.find(database => database.name === 'clients').changes).toContainEqual(
+        { property: 'Total Value', action: 'add', to: 'rollup sum of Projects' },
+      );
+      expect(plan.pages.map(page => page.name)).toEqual([
+        'root', 'databases', 'dashboards', 'documentation', 'summary',
+        'dashboard:project-dashboard', 'dashboard:task-kanban', 'dashboard:client-portal', 'dashboard:material-inventory',
+        'dashboard:vendor-directory', 'dashboard:budget-tracking', 'dashboard:expense-reports', 'dashboard:project-timeline',
+      ]);
+      expect(plan.pages.map(page => page.action)).toEqual(Array(13).fill('create'));
+      expect(plan.pages.find(page => page.name === 'dashboard:client-portal').databases).toEqual(['clients', 'projects']);
+      expect(plan.warnings).toEqual([]);
+      expect(plan.totals).toEqual({
+        databases: { create: 12, update: 0, unchanged: 0 },
+        // 145 plain properties, 13 relations (team members are not in this tier), 5 rollups and 5 formulas
+        properties: { add: 168, change: 0, remove: 0 },
+        records: 17,
+        pages: { create: 13, update: 0 },
+      });
+      // 12 creates, 8 relation, rollup and formula updates, 17 records and 13 pages;
+      // dashboards also query the 10 databases they report on
+      expect(plan.estimate).toMatchObject({ reads: 36, writes: 50, total: 86 });
+      expect(JSON.parse(fs.readFileSync('plan.json', 'utf8')).totals).toEqual(plan.totals);
+    });
+
+    test('should plan property changes against the live workspace', async () => {
+      const { deployConstructionTemplate, planDeployment } = require('../../../scripts/deploy-construction');
+      await deployConstructionTemplate();
+      const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+      delete projects.properties['Contract Value'];
+      delete projects.properties.Permits;
+      projects.properties.Notes = { id: 'note', name: 'Notes', type: 'rich_text', rich_text: {} };
+      const before = writeCount();
+
+      const plan = await planDeployment();
+
+      expect(writeCount()).toBe(before);
+      expect(plan.databases.find(database => database.name === 'projects')).toMatchObject({
+        action: 'update',
+        id: projects.id,
+        sampleRecords: 0,
+        writes: 2,
+        changes: [
+          { property: 'Contract Value', action: 'add', to: 'number' },
+          { property: 'Permits', action: 'add', to: 'relation to permits' },
+          { property: 'Notes', action: 'remove', from: 'rich_text' },
+        ],
+      });
+      expect(plan.databases.filter(database => database.action === 'no-op')).toHaveLength(11);
+      expect(plan.pages.map(page => page.action)).toEqual([...Array(4).fill('no-op'), ...Array(9).fill('update')]);
+    });
+  });
+
+  test('should health-check the databases listed in the manifest', async () => {
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    const { performHealthCheck } = require('../../../scripts/healthcheck');
+    await deployConstructionTemplate();
+
+    const healthy = await performHealthCheck();
+    expect(healthy.checks.database_access).toMatchObject({
+      status: 'healthy',
+      message: 'All 12 Acme (test) databases reachable',
+    });
+
+    const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+    projects.archived = true;
+
+    const broken = await performHealthCheck();
+    expect(broken.checks.database_access.message).toBe('1/12 Acme (test) databases unavailable: projects (archived)');
+  });
+
+  test('should ride out rate limits during deployment', async () => {
+    fake.failNext('databases.create', { status: 429, code: 'rate_limited', retryAfter: 0 });
+    fake.failNext('pages.create', { status: 503, code: 'service_unavailable', times: 2 });
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+    const report = await deployConstructionTemplate();
+
+    expect(report.errors).toBe(0);
+    const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+    expect(fake.find({ object: 'page', parentId: projects.id })).toHaveLength(5);
+    expect(report.scheduler.failed).toBe(3);
+  });
+
+  test('should fail fast when the token is rejected', async () => {
+    process.env.NOTION_TOKEN = 'secret_revoked';
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(deployConstructionTemplate()).rejects.toThrow('Failed to connect to Notion');
+    expect(fake.count('users.me')).toBe(1);
+    expect(fake.count('databases.create')).toBe(0);
+  });
+});
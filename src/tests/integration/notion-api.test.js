@@ -0,0 +1,146 @@
+/**
+ * NotionAPI against the fake Notion server
+ */
+
+jest.unmock('@notionhq/client');
+
+const { createFakeNotion } = require('../fake-notion');
+const { createNotionClient } = require('../../api/client');
+const NotionAPI = require('../../api');
+const { collect } = require('../../api/pagination');
+const { PROJECT_STATUSES } = require('../../schemas');
+
+async function createWorkspace(notion) {
+  const root = await notion.pages.create({
+    parent: { type: 'workspace', workspace: true },
+    properties: { title: [{ text: { content: 'Acme Construction Management' } }] },
+  });
+
+  const projects = await notion.databases.create({
+    parent: { type: 'page_id', page_id: root.id },
+    title: [{ type: 'text', text: { content: 'Projects' } }],
+    properties: {
+      'Name': { title: {} },
+      'Description': { rich_text: {} },
+      'Start Date': { date: {} },
+      'End Date': { date: {} },
+      'Status': { select: { options: PROJECT_STATUSES.map(name => ({ name })) } },
+      'Budget': { number: { format: 'dollar' } },
+      'Contractor': { rich_text: {} },
+    },
+  });
+
+  const tasks = await notion.databases.create({
+    parent: { type: 'page_id', page_id: root.id },
+    title: [{ type: 'text', text: { content: 'Tasks' } }],
+    properties: {
+      'Name': { title: {} },
+      'Description': { rich_text: {} },
+      'Assigned To': { people: {} },
+      'Due Date': { date: {} },
+      'Status': { select: { options: [{ name: 'Not Started' }, { name: 'In Progress' }, { name: 'Completed' }] } },
+      'Priority': { select: { options: [{ name: 'Low' }, { name: 'Medium' }, { name: 'High' }] } },
+      'Project': { relation: { database_id: projects.id, single_property: {} } },
+    },
+  });
+
+  return { root, projects, tasks };
+}
+
+describe('NotionAPI with the fake Notion server', () => {
+  let fake;
+  let restore;
+  let api;
+  let workspace;
+
+  beforeEach(async () => {
+    fake = createFakeNotion({ tokens: ['secret_test'] });
+    restore = fake.install();
+
+    const notion = createNotionClient('secret_test');
+    workspace = await createWorkspace(notion);
+    api = new NotionAPI('secret_test', {
+      databaseId: workspace.projects.id,
+      tasksDatabaseId: workspace.tasks.id,
+    });
+  });
+
+  afterEach(() => {
+    restore();
+  });
+
+  test('should create and read back a project', async () => {
+    const created = await api.createProject({
+      name: 'Main Street Renovation',
+      status: 'Planning',
+      budget: 250000,
+      startDate: '2024-03-01',
+    });
+
+    const project = await api.getProject(created.id);
+    expect(project).toMatchObject({
+      name: 'Main Street Renovation',
+      status: 'Planning',
+      budget: 250000,
+      startDate: '2024-03-01',
+    });
+    expect(fake.find({ object: 'page', parentId: workspace.projects.id })).toHaveLength(1);
+  });
+
+  test('should filter tasks server-side', async () => {
+    const project = await api.createProject({ name: 'Warehouse', status: 'Construction' });
+    await api.createTask({ title: 'Pour footings', projectId: project.id, priority: 'High', dueDate: '2024-03-05' });
+    await api.createTask({ title: 'Frame walls', projectId: project.id, priority: 'Medium', dueDate: '2024-03-20' });
+    const done = await api.createTask({ title: 'Survey lot', projectId: project.id, priority: 'High', dueDate: '2024-03-01' });
+    await api.completeTask(done.id);
+
+    const open = await api.listTasks({ projectId: project.id, open: true, dueBefore: '2024-03-10' });
+
+    expect(open.map(task => task.title)).toEqual(['Pour footings']);
+  });
+
+  test('should page through large result sets', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await api.createProject({ name: `Project ${i}`, status: 'Planning' });
+    }
+
+    const pages = await collect(api.queryAll(workspace.projects.id, undefined, { pageSize: 2 }));
+
+    expect(pages).toHaveLength(5);
+    expect(fake.count('databases.query')).toBe(3);
+  });
+
+  test('should retry rate limited requests', async () => {
+    const before = fake.count('pages.create');
+    fake.failNext('pages.create', { status: 429, code: 'rate_limited', retryAfter: 0, times: 2 });
+
+    await api.createProject({ name: 'Retried', status: 'Planning' });
+
+    expect(fake.count('pages.create') - before).toBe(3);
+    expect(fake.find({ title: 'Retried' })).toHaveLength(1);
+  });
+
+  test('should surface validation errors without retrying', async () => {
+    const before = fake.count('pages.create');
+    await expect(api.notion.pages.create({
+      parent: { database_id: workspace.projects.id },
+      properties: { Owner: { rich_text: [] } },
+    })).rejects.toMatchObject({ code: 'validation_error', status: 400 });
+
+    expect(fake.count('pages.create') - before).toBe(1);
+  });
+
+  test('should reject unknown tokens', async () => {
+    const stranger = createNotionClient('secret_other');
+
+    await expect(stranger.users.me()).rejects.toMatchObject({ code: 'unauthorized' });
+  });
+
+  test('should hide archived projects from queries', async () => {
+    const project = await api.createProject({ name: 'Cancelled', status: 'Planning' });
+    await api.archiveProject(project.id);
+
+    await expect(api.listProjects()).resolves.toEqual([]);
+    expect(fake.get(project.id).archived).toBe(true);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Deployment profiles and promotion against the fake Notion server
+ */
+
+jest.unmock('@notionhq/client');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeNotion } = require('../fake-notion');
+const { createNotionClient } = require('../../api/client');
+
+describe('deployment profiles', () => {
+  const cwd = process.cwd();
+  const env = { ...process.env };
+  let workdir;
+  let fake;
+  let restore;
+  let staging;
+  let production;
+
+  async function parentPage(title) {
+    return createNotionClient('secret_staging').pages.create({
+      parent: { type: 'workspace', workspace: true },
+      properties: { title: [{ text: { content: title } }] },
+    });
+  }
+
+  async function build() {
+    const { buildTemplate } = require('../../../scripts/build-template');
+    // Build IDs are timestamps
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return buildTemplate({ tier: 'professional', client: 'Acme', sampleData: true });
+  }
+
+  function databasesUnder(page) {
+    const [root] = fake.find({ object: 'page', parentId: page.id });
+    const [section] = fake.find({ object: 'page', parentId: root.id, title: 'Databases' });
+    return fake.find({ object: 'database', parentId: section.id });
+  }
+
+  beforeEach(async () => {
+    workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'promote-'));
+    process.chdir(workdir);
+    Object.assign(process.env, { ACME_STAGING_TOKEN: 'secret_staging', ACME_PRODUCTION_TOKEN: 'secret_production' });
+    // Profiles replace the single-workspace settings
+    delete process.env.NOTION_TOKEN;
+    delete process.env.CLIENT_NAME;
+    delete process.env.NOTION_PARENT_PAGE_ID;
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    fake = createFakeNotion({ tokens: ['secret_staging', 'secret_production'] });
+    restore = fake.install();
+
+    staging = await parentPage('Staging Workspaces');
+    production = await parentPage('Production Workspaces');
+    fs.writeFileSync('deploy-profiles.json', JSON.stringify({
+      'acme-staging': {
+        client: 'Acme',
+        environment: 'staging',
+        tokenEnv: 'ACME_STAGING_TOKEN',
+        parentPageId: staging.id,
+        tier: 'professional',
+        sampleData: true,
+      },
+      'acme-production': {
+        client: 'Acme',
+        environment: 'production',
+        tokenEnv: 'ACME_PRODUCTION_TOKEN',
+        parentPageId: production.id,
+        tier: 'professional',
+      },
+    }));
+  });
+
+  afterEach(() => {
+    restore();
+    process.chdir(cwd);
+    process.env = env;
+    fs.rmSync(workdir, { recursive: true, force: true });
+    jest.resetModules();
+  });
+
+  test('should deploy with the profile\'s token, parent page, sample data and manifest', async () => {
+    await build();
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+
+    const report = await deployConstructionTemplate({ profile: 'acme-staging' });
+
+    expect(report).toMatchObject({ success: true, client: 'Acme', tier: 'professional', errors: 0 });
+    const [projects] = databasesUnder(staging).filter(database => fake.title(database) === 'Acme - Projects');
+    expect(fake.find({ object: 'page', parentId: projects.id })).toHaveLength(5);
+    expect(fs.existsSync(path.join('manifests', 'acme.staging.json'))).toBe(true);
+    expect(fake.find({ object: 'page', parentId: production.id })).toEqual([]);
+
+    delete process.env.ACME_PRODUCTION_TOKEN;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(deployConstructionTemplate({ profile: 'acme-production' }))
+      .rejects.toThrow('Profile acme-production reads its Notion token from ACME_PRODUCTION_TOKEN, which is not set');
+  });
+
+  test('should promote the build staging runs to production without sample data', async () => {
+    const { buildId } = await build();
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    await deployConstructionTemplate({ profile: 'acme-staging' });
+    // A newer build that staging has not verified yet
+    await build();
+    const { promote } = require('../../../scripts/promote');
+
+    const report = await promote({ from: 'acme-staging', to: 'acme-production', yes: true });
+
+    expect(report).toMatchObject({ from: 'acme-staging', to: 'acme-production', buildId, status: 'completed', created: 25 });
+    const databases = databasesUnder(production);
+    expect(databases).toHaveLength(12);
+    expect(databases.every(database => fake.find({ object: 'page', parentId: database.id }).length === 0)).toBe(true);
+
+    const { WorkspaceManifest } = require('../../api/manifest');
+    const manifest = await WorkspaceManifest.load('Acme', { environment: 'production' });
+    expect(manifest.toJSON().lastBuildId).toBe(buildId);
+    expect(manifest.databaseId('projects')).toBe(databases.find(database => fake.title(database) === 'Acme - Projects').id);
+
+    // Promoting again finds nothing to change
+    await expect(promote({ from: 'acme-staging', to: 'acme-production', yes: true }))
+      .resolves.toMatchObject({ status: 'unchanged' });
+  });
+
+  test('should refuse to promote when staging\'s live databases drifted from the build', async () => {
+    const { buildId } = await build();
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    await deployConstructionTemplate({ profile: 'acme-staging' });
+    const notion = createNotionClient('secret_staging');
+    const databases = databasesUnder(staging);
+    // The manifest still records the build's schema for both
+    await notion.databases.update({
+      database_id: databases.find(database => fake.title(database) === 'Acme - Projects').id,
+      properties: { 'Address': null },
+    });
+    await notion.databases.update({
+      database_id: databases.find(database => fake.title(database) === 'Acme - Permits').id,
+      archived: true,
+    });
+    const { promote } = require('../../../scripts/promote');
+    const confirm = jest.fn();
+
+    await expect(promote({ from: 'acme-staging', to: 'acme-production', confirm }))
+      .rejects.toThrow(`acme-staging does not match build ${buildId} (permits, projects); redeploy it before promoting`);
+    expect(confirm).not.toHaveBeenCalled();
+    expect(fake.find({ object: 'page', parentId: production.id })).toEqual([]);
+  });
+
+  test('should refuse to promote what staging has not deployed', async () => {
+    await build();
+    const { promote } = require('../../../scripts/promote');
+    const confirm = jest.fn();
+
+    await expect(promote({ from: 'acme-staging', to: 'acme-production', confirm }))
+      .rejects.toThrow('acme-staging has no completed deployment to promote; deploy it first');
+    expect(confirm).not.toHaveBeenCalled();
+    expect(fake.find({ object: 'database' })).toEqual([]);
+  });
+
+  test('should move a profile\'s workspace to another tier with its token and manifest', async () => {
+    await build();
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    await deployConstructionTemplate({ profile: 'acme-staging' });
+    const { upgradeTier } = require('../../../scripts/upgrade-tier');
+
+    const report = await upgradeTier({ profile: 'acme-staging', tier: 'starter', yes: true });
+
+    expect(report).toMatchObject({ client: 'Acme', from: 'professional', to: 'starter', status: 'completed' });
+    expect(report.archived.every(resource => resource.status === 'archived')).toBe(true);
+    expect(databasesUnder(staging).filter(database => !database.archived).map(fake.title).sort())
+      .toEqual(['Acme - Clients', 'Acme - Documents', 'Acme - Projects', 'Acme - Tasks']);
+
+    const { WorkspaceManifest } = require('../../api/manifest');
+    const manifest = await WorkspaceManifest.load('Acme', { environment: 'staging' });
+    expect(manifest.tier).toBe('starter');
+    expect(manifest.databases().map(entry => entry.name).sort()).toEqual(['clients', 'documents', 'projects', 'tasks']);
+  });
+
+  test('should tear down only the profile\'s workspace, exporting with its token', async () => {
+    await build();
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    await deployConstructionTemplate({ profile: 'acme-staging' });
+    await deployConstructionTemplate({ profile: 'acme-production' });
+    const { teardown } = require('../../../scripts/teardown');
+
+    const report = await teardown({ profile: 'acme-staging', yes: true, keepData: true });
+
+    expect(report).toMatchObject({ client: 'Acme', environment: 'staging', status: 'completed', failed: 0 });
+    expect(report.exported.find(entry => entry.name === 'projects').records).toBe(5);
+    expect(databasesUnder(staging)).toHaveLength(12);
+    expect(databasesUnder(staging).every(database => database.archived)).toBe(true);
+    expect(databasesUnder(production).some(database => database.archived)).toBe(false);
+
+    const { WorkspaceManifest } = require('../../api/manifest');
+    expect((await WorkspaceManifest.load('Acme', { environment: 'staging' })).isEmpty()).toBe(true);
+    expect((await WorkspaceManifest.load('Acme', { environment: 'production' })).isEmpty()).toBe(false);
+  });
+});
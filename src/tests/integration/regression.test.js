@@ -0,0 +1,114 @@
+/**
+ * Regression tests replaying Notion traffic fixtures
+ * The checked-in fixtures are synthetic: they were captured from the in-memory
+ * fake (src/tests/fake-notion.js), not a live workspace, so they guard the
+ * requests each command sends rather than Notion's real responses. Record
+ * live fixtures against the sandbox workspace with:
+ *   NOTION_FIXTURES=record NOTION_TOKEN=secret_... NOTION_PARENT_PAGE_ID=... npx jest src/tests/integration/regression.test.js
+ */
+
+jest.unmock('@notionhq/client');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecorder } = require('../recorder');
+
+// Page the fixture's deployment was created under (IDs in fixtures are anonymized)
+const RECORDED_PARENT_PAGE_ID = '00000000-0000-4000-8000-000000000001';
+
+describe('Notion traffic regressions (synthetic fixtures)', () => {
+  const cwd = process.cwd();
+  const env = { ...process.env };
+  let workdir;
+  let recorder;
+  let restore;
+
+  function useFixture(name) {
+    recorder = createRecorder(name);
+    restore = recorder.install();
+    if (recorder.mode === 'replay') {
+      process.env.NOTION_TOKEN = 'secret_replay';
+    }
+  }
+
+  beforeEach(() => {
+    workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'regression-'));
+    process.chdir(workdir);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    restore();
+    recorder.save();
+    process.chdir(cwd);
+    process.env = env;
+    fs.rmSync(workdir, { recursive: true, force: true });
+    jest.resetModules();
+  });
+
+  test('deployConstructionTemplate', async () => {
+    Object.assign(process.env, { CLIENT_NAME: 'Acme', DEPLOYMENT_TIER: 'starter' });
+    const { buildTemplate } = require('../../../scripts/build-template');
+    await buildTemplate({ tier: 'starter', client: 'Acme', sampleData: true });
+    useFixture('deploy-starter');
+    if (recorder.mode === 'replay') {
+      process.env.NOTION_PARENT_PAGE_ID = RECORDED_PARENT_PAGE_ID;
+    }
+
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    const report = await deployConstructionTemplate();
+
+    expect(report).toMatchObject({
+      success: true,
+      client: 'Acme',
+      tier: 'starter',
+      errors: 0,
+      createdResources: 13,
+      summary: { databases: 4, dashboards: 4 },
+    });
+    expect(report.links.map(link => `${link.database}.${link.property}`)).toEqual([
+      'projects.Client',
+      'projects.Documents',
+      'projects.Tasks',
+      'clients.Total Projects',
+      'clients.Total Value',
+      'clients.Last Project',
+      'projects.Behind Schedule',
+      'projects.Budget Variance',
+      'projects.Profit Margin',
+      'projects.Project Health',
+    ]);
+    expect(recorder.unused()).toEqual([]);
+  });
+
+  test('performHealthCheck', async () => {
+    useFixture('healthcheck');
+
+    const { performHealthCheck } = require('../../../scripts/healthcheck');
+    const report = await performHealthCheck();
+
+    expect(report.overall_status).toBe('healthy');
+    expect(report.checks.notion_connectivity.message).toMatch(/^Connected as /);
+    expect(report.checks.database_access.message).toBe('Found 2 accessible databases');
+    expect(report.checks.data_integrity.message).toBe('Checked 5 pages, no issues found');
+    expect(report.checks.error_rates.message).toBe('Error rate: 0% (0/5 calls failed)');
+    expect(recorder.unused()).toEqual([]);
+  });
+
+  test('testConnection', async () => {
+    useFixture('test-connection');
+
+    const { testConnection } = require('../../../scripts/test-connection');
+    const result = await testConnection();
+
+    expect(result).toMatchObject({
+      status: 'success',
+      accessibleDatabases: 2,
+      permissions: { canReadDatabases: true, canReadPages: true },
+    });
+    expect(result.user.type).toBe('bot');
+    expect(recorder.unused()).toEqual([]);
+  });
+});
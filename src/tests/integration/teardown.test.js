@@ -0,0 +1,112 @@
+/**
+ * Client template teardown against the fake Notion server
+ */
+
+jest.unmock('@notionhq/client');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeNotion } = require('../fake-notion');
+const { createNotionClient } = require('../../api/client');
+
+describe('teardown', () => {
+  const cwd = process.cwd();
+  const env = { ...process.env };
+  let workdir;
+  let fake;
+  let restore;
+  let parent;
+
+  beforeEach(async () => {
+    workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'teardown-'));
+    process.chdir(workdir);
+    Object.assign(process.env, {
+      CLIENT_NAME: 'Acme',
+      DEPLOYMENT_TIER: 'professional',
+      NOTION_TOKEN: 'secret_test',
+    });
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    fake = createFakeNotion({ tokens: ['secret_test'] });
+    restore = fake.install();
+
+    parent = await createNotionClient('secret_test').pages.create({
+      parent: { type: 'workspace', workspace: true },
+      properties: { title: [{ text: { content: 'Client Workspaces' } }] },
+    });
+    process.env.NOTION_PARENT_PAGE_ID = parent.id;
+
+    const { buildTemplate } = require('../../../scripts/build-template');
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    await buildTemplate({ tier: 'professional', client: 'Acme', sampleData: true });
+    await deployConstructionTemplate();
+  });
+
+  afterEach(() => {
+    restore();
+    process.chdir(cwd);
+    process.env = env;
+    fs.rmSync(workdir, { recursive: true, force: true });
+    jest.resetModules();
+  });
+
+  test('should archive databases, dashboards and pages, root last', async () => {
+    const { teardown } = require('../../../scripts/teardown');
+    const [root] = fake.find({ object: 'page', title: 'Acme Construction Management' });
+
+    const report = await teardown({ yes: true });
+
+    expect(report).toMatchObject({ status: 'completed', archived: 25, missing: 0, failed: 0, exported: [] });
+    expect(report.resources.slice(0, 12).every(resource => resource.type === 'database')).toBe(true);
+    expect(report.resources[report.resources.length - 1]).toMatchObject({ type: 'root', id: root.id });
+    expect(fake.find({ object: 'database', archived: false })).toEqual([]);
+    expect(fake.find({ object: 'page', parentId: parent.id, archived: false })).toEqual([]);
+    expect(fake.find({ object: 'page', title: 'Project Dashboard', archived: false })).toEqual([]);
+
+    const { WorkspaceManifest } = require('../../api/manifest');
+    const manifest = await WorkspaceManifest.load('Acme');
+    expect(manifest.isEmpty()).toBe(true);
+    expect(manifest.tier).toBeNull();
+    expect(fs.readdirSync('dist').some(file => file.startsWith('teardown-'))).toBe(true);
+  });
+
+  test('should archive nothing unless confirmed', async () => {
+    const { teardown } = require('../../../scripts/teardown');
+    const confirm = jest.fn().mockResolvedValue(false);
+
+    const report = await teardown({ confirm });
+
+    expect(confirm).toHaveBeenCalledWith(expect.arrayContaining([expect.objectContaining({ type: 'root' })]));
+    expect(report.status).toBe('cancelled');
+    expect(fake.find({ archived: true })).toEqual([]);
+  });
+
+  test('should export records before archiving with keepData', async () => {
+    const { teardown } = require('../../../scripts/teardown');
+    const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+    const count = fake.find({ object: 'page', parentId: projects.id }).length;
+
+    const report = await teardown({ yes: true, keepData: true });
+
+    const exported = report.exported.find(entry => entry.name === 'projects');
+    expect(exported.records).toBe(count);
+    expect(exported.file).toMatch(/^dist\/exports\/acme\.test-\d+\/projects\.json$/);
+    const records = JSON.parse(fs.readFileSync(exported.file, 'utf8'));
+    expect(records).toHaveLength(count);
+    expect(records.map(record => record.properties['Project Title'])).toContain('Acme Project 1');
+    expect(report.exported).toHaveLength(12);
+  });
+
+  test('should fall back to deployment metadata when the manifest is gone', async () => {
+    const { teardown } = require('../../../scripts/teardown');
+    fs.rmSync('manifests', { recursive: true });
+
+    const report = await teardown({ yes: true });
+
+    expect(report).toMatchObject({ status: 'completed', archived: 25 });
+    expect(fake.find({ object: 'page', parentId: parent.id, archived: false })).toEqual([]);
+  });
+});
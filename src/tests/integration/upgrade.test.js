@@ -0,0 +1,147 @@
+/**
+ * Tier migrations against the fake Notion server
+ */
+
+jest.unmock('@notionhq/client');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeNotion } = require('../fake-notion');
+const { createNotionClient } = require('../../api/client');
+
+describe('tier migration', () => {
+  const cwd = process.cwd();
+  const env = { ...process.env };
+  let workdir;
+  let fake;
+  let restore;
+
+  async function deploy(tier) {
+    const { buildTemplate } = require('../../../scripts/build-template');
+    const { deployConstructionTemplate } = require('../../../scripts/deploy-construction');
+    await buildTemplate({ tier, client: 'Acme', sampleData: true });
+    return deployConstructionTemplate({ tier });
+  }
+
+  function liveDatabases() {
+    return fake.find({ object: 'database', archived: false }).map(fake.title).sort();
+  }
+
+  beforeEach(async () => {
+    workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'upgrade-'));
+    process.chdir(workdir);
+    Object.assign(process.env, { CLIENT_NAME: 'Acme', NOTION_TOKEN: 'secret_test' });
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    fake = createFakeNotion({ tokens: ['secret_test'] });
+    restore = fake.install();
+
+    const parent = await createNotionClient('secret_test').pages.create({
+      parent: { type: 'workspace', workspace: true },
+      properties: { title: [{ text: { content: 'Client Workspaces' } }] },
+    });
+    process.env.NOTION_PARENT_PAGE_ID = parent.id;
+  });
+
+  afterEach(() => {
+    restore();
+    process.chdir(cwd);
+    process.env = env;
+    fs.rmSync(workdir, { recursive: true, force: true });
+    jest.resetModules();
+  });
+
+  test('should add the new tier\'s databases and relations in place', async () => {
+    await deploy('starter');
+    const [projects] = fake.find({ object: 'database', title: 'Acme - Projects' });
+    const records = fake.find({ object: 'page', parentId: projects.id }).map(page => page.id);
+    const { upgradeTier } = require('../../../scripts/upgrade-tier');
+
+    const report = await upgradeTier({ tier: 'professional' });
+
+    expect(report).toMatchObject({ from: 'starter', to: 'professional', status: 'completed', archived: [] });
+    expect(liveDatabases()).toEqual([
+      'Acme - Budgets', 'Acme - Clients', 'Acme - Documents', 'Acme - Expenses', 'Acme - Inspections', 'Acme - Materials',
+      'Acme - Permits', 'Acme - Projects', 'Acme - Safety Incidents', 'Acme - Subcontractors', 'Acme - Tasks',
+      'Acme - Vendors',
+    ]);
+    // Existing records stay and new databases start empty
+    expect(fake.find({ object: 'page', parentId: projects.id }).map(page => page.id)).toEqual(records);
+    const [materials] = fake.find({ object: 'database', title: 'Acme - Materials' });
+    expect(fake.find({ object: 'page', parentId: materials.id })).toEqual([]);
+    expect(fake.get(projects.id).properties.Permits.relation.database_id)
+      .toBe(fake.find({ object: 'database', title: 'Acme - Permits' })[0].id);
+    expect(fake.find({ object: 'page', title: 'Material Inventory' })).toHaveLength(1);
+
+    const { WorkspaceManifest } = require('../../api/manifest');
+    expect((await WorkspaceManifest.load('Acme')).tier).toBe('professional');
+  });
+
+  test('should leave the workspace alone when a downgrade is not confirmed', async () => {
+    await deploy('professional');
+    const { upgradeTier } = require('../../../scripts/upgrade-tier');
+    const confirm = jest.fn().mockResolvedValue(false);
+    const seen = fake.requests.length;
+
+    const report = await upgradeTier({ tier: 'starter', confirm });
+
+    expect(confirm).toHaveBeenCalledWith([
+      expect.objectContaining({ name: 'budgets' }),
+      expect.objectContaining({ name: 'expenses' }),
+      expect.objectContaining({ name: 'inspections' }),
+      expect.objectContaining({ name: 'materials' }),
+      expect.objectContaining({ name: 'permits' }),
+      expect.objectContaining({ name: 'safety-incidents' }),
+      expect.objectContaining({ name: 'subcontractors' }),
+      expect.objectContaining({ name: 'vendors' }),
+    ]);
+    expect(report.status).toBe('cancelled');
+    expect(fake.requests.slice(seen).every(request => request.method === 'GET' || request.endpoint === 'databases.query'))
+      .toBe(true);
+    expect(liveDatabases()).toHaveLength(12);
+  });
+
+  test('should archive only the databases the lower tier leaves out', async () => {
+    await deploy('professional');
+    const [clients] = fake.find({ object: 'database', title: 'Acme - Clients' });
+    const records = fake.find({ object: 'page', parentId: clients.id }).map(page => page.id);
+    const { upgradeTier } = require('../../../scripts/upgrade-tier');
+
+    const report = await upgradeTier({ tier: 'starter', yes: true });
+
+    expect(report.status).toBe('completed');
+    expect(report.archived.map(resource => [resource.name, resource.status])).toEqual([
+      ['budgets', 'archived'],
+      ['expenses', 'archived'],
+      ['inspections', 'archived'],
+      ['materials', 'archived'],
+      ['permits', 'archived'],
+      ['safety-incidents', 'archived'],
+      ['subcontractors', 'archived'],
+      ['vendors', 'archived'],
+    ]);
+    expect(liveDatabases()).toEqual(['Acme - Clients', 'Acme - Documents', 'Acme - Projects', 'Acme - Tasks']);
+    expect(records).not.toEqual([]);
+    expect(fake.find({ object: 'page', parentId: clients.id }).map(page => page.id)).toEqual(records);
+
+    const { WorkspaceManifest } = require('../../api/manifest');
+    const manifest = await WorkspaceManifest.load('Acme');
+    expect(manifest.tier).toBe('starter');
+    expect(manifest.databases().map(entry => entry.name).sort()).toEqual(['clients', 'documents', 'projects', 'tasks']);
+  });
+
+  test('should work out the tier of workspaces that never recorded one', async () => {
+    await deploy('starter');
+    const { WorkspaceManifest } = require('../../api/manifest');
+    const { inferTier } = require('../../../scripts/upgrade-tier');
+
+    const manifest = await WorkspaceManifest.load('Acme');
+    manifest.setTier(null);
+    expect(inferTier(manifest)).toBe('starter');
+    manifest.setDatabase('permits', { id: 'db-permits' });
+    expect(inferTier(manifest)).toBe('professional');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Workspace manifest tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkspaceManifest, hashSchema, slugify } = require('../api/manifest');
+const { Client } = require('@notionhq/client');
+const NotionAPI = require('../api');
+
+describe('WorkspaceManifest', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should keep one file per client and environment', () => {
+    expect(slugify('Acme Builders, Inc.')).toBe('acme-builders-inc');
+    expect(WorkspaceManifest.pathFor('Acme Builders', { environment: 'staging', directory }))
+      .toBe(path.join(directory, 'acme-builders.staging.json'));
+  });
+
+  test('should start empty when nothing has been deployed', async () => {
+    const manifest = await WorkspaceManifest.load('Acme', { environment: 'production', directory });
+
+    expect(manifest.isEmpty()).toBe(true);
+    expect(manifest.database('materials')).toBeNull();
+    expect(() => manifest.databaseId('materials'))
+      .toThrow('No "materials" database in the Acme (production) workspace manifest');
+  });
+
+  test('should persist databases and pages across loads', async () => {
+    const manifest = await WorkspaceManifest.load('Acme', { environment: 'production', directory });
+    manifest.setDatabase('materials', {
+      id: 'db-materials',
+      title: 'Materials',
+      schema: { title: 'Materials', properties: { Name: { type: 'title' } } },
+      schemaVersion: '1.0.0',
+      buildId: 'build-1',
+    });
+    manifest.setPage('root', { id: 'page-root', title: 'Acme Construction Management' });
+    manifest.setTier('professional');
+    await manifest.save({ buildId: 'build-1' });
+
+    const reloaded = await WorkspaceManifest.load('Acme', { environment: 'production', directory });
+    expect(reloaded.databaseId('materials')).toBe('db-materials');
+    expect(reloaded.database('materials')).toMatchObject({ schemaVersion: '1.0.0', buildId: 'build-1' });
+    expect(reloaded.page('root').id).toBe('page-root');
+    expect(reloaded.toJSON().lastBuildId).toBe('build-1');
+    expect(reloaded.tier).toBe('professional');
+
+    const staging = await WorkspaceManifest.load('Acme', { environment: 'staging', directory });
+    expect(staging.isEmpty()).toBe(true);
+  });
+
+  test('should fingerprint schemas independently of key order', () => {
+    const a = { title: 'Tasks', properties: { Name: { type: 'title' }, Due: { type: 'date' } } };
+    const b = { properties: { Due: { type: 'date' }, Name: { type: 'title' } }, title: 'Tasks' };
+
+    expect(hashSchema(a)).toBe(hashSchema(b));
+    expect(hashSchema(a)).not.toBe(hashSchema({ ...a, title: 'Todos' }));
+  });
+
+  test('should reject manifests from an unknown format version', async () => {
+    const file = WorkspaceManifest.pathFor('Acme', { environment: 'production', directory });
+    fs.writeFileSync(file, JSON.stringify({ version: 99 }));
+
+    await expect(WorkspaceManifest.load('Acme', { environment: 'production', directory }))
+      .rejects.toThrow('Unsupported workspace manifest version 99');
+  });
+
+  describe('NotionAPI resolution', () => {
+    test('should resolve databases through the manifest', async () => {
+      const manifest = await WorkspaceManifest.load('Acme', { environment: 'production', directory });
+      manifest.setDatabase('projects', { id: 'db-projects' });
+      manifest.setDatabase('materials', { id: 'db-materials' });
+      await manifest.save();
+
+      const api = await NotionAPI.forClient('test_token', 'Acme', { environment: 'production', directory });
+
+      expect(api.requireDatabaseId()).toBe('db-projects');
+      expect(api.resolveDatabaseId('materials')).toBe('db-materials');
+      expect(() => api.requireTasksDatabaseId()).toThrow('No "tasks" database');
+    });
+
+    test('should fall back to the environment for clients that were never deployed', async () => {
+      process.env.NOTION_DATABASE_ID = 'db-env';
+      try {
+        const api = await NotionAPI.forClient('test_token', 'Nobody', { environment: 'production', directory });
+
+        expect(api.manifest).toBeNull();
+        expect(api.requireDatabaseId()).toBe('db-env');
+      } finally {
+        delete process.env.NOTION_DATABASE_ID;
+      }
+    });
+
+    test('should write projects with the schema of the database the manifest resolves', async () => {
+      const manifest = await WorkspaceManifest.load('Acme', { environment: 'production', directory });
+      manifest.setDatabase('projects', { id: 'db-projects' });
+      await manifest.save();
+      const api = await NotionAPI.forClient('test_token', 'Acme', { environment: 'production', directory });
+      const notion = Client.mock.results[Client.mock.results.length - 1].value;
+      notion.pages.create.mockResolvedValue({ id: 'page-1', properties: {} });
+
+      await api.createProject({
+        title: 'Main Street Build',
+        status: 'Planning',
+        clientId: 'page-2',
+        type: 'Renovation',
+        budget: 250000,
+        address: '101 Main Street',
+      });
+
+      const { parent, properties } = notion.pages.create.mock.calls[0][0];
+      expect(parent).toEqual({ database_id: 'db-projects' });
+      expect(Object.keys(properties).sort()).toEqual(['Address', 'Client', 'Contract Value', 'Project Title', 'Project Type', 'Status']);
+      await expect(api.createProject({ name: 'Main Street Build' })).rejects.toThrow('"title" is required');
+    });
+  });
+});
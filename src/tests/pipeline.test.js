@@ -0,0 +1,107 @@
+/**
+ * Task graph tests
+ */
+
+const { TaskGraph } = require('../api/pipeline');
+
+describe('TaskGraph', () => {
+  function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('should start independent tasks together and dependents once their dependencies finish', async () => {
+    const graph = new TaskGraph();
+    const running = new Map();
+    const task = id => () => {
+      running.set(id, deferred());
+      return running.get(id).promise;
+    };
+    graph
+      .add('database:a', { phase: 'databases', run: task('database:a') })
+      .add('database:b', { phase: 'databases', run: task('database:b') })
+      .add('relations:a', { phase: 'relations', dependsOn: ['database:a', 'database:b'], run: task('relations:a') });
+
+    const done = graph.run();
+    await flush();
+    expect([...running.keys()]).toEqual(['database:a', 'database:b']);
+
+    running.get('database:a').resolve();
+    await flush();
+    expect(running.has('relations:a')).toBe(false);
+
+    running.get('database:b').resolve();
+    await flush();
+    expect(running.has('relations:a')).toBe(true);
+
+    running.get('relations:a').resolve();
+    const phases = await done;
+    expect(Object.keys(phases)).toEqual(['databases', 'relations']);
+    expect(phases.databases).toMatchObject({ tasks: 2, skipped: 0 });
+    expect(phases.databases.duration).toBe(phases.databases.finishedAt - phases.databases.startedAt);
+  });
+
+  test('should report progress and count skipped tasks as done', async () => {
+    const graph = new TaskGraph();
+    const events = [];
+    graph.on('progress', event => events.push(event));
+    graph
+      .add('records:a', { phase: 'records', skip: true, run: jest.fn() })
+      .add('dashboard:a', { phase: 'dashboards', dependsOn: ['records:a'], run: () => 'created' });
+
+    const phases = await graph.run();
+
+    expect(graph.tasks.get('records:a').run).not.toHaveBeenCalled();
+    expect(phases.records).toMatchObject({ tasks: 0, skipped: 1, duration: 0 });
+    expect(events[0]).toEqual({ type: 'start', total: 2, phases: { records: 1, dashboards: 1 } });
+    expect(events.slice(1).map(event => [event.type, event.task || event.phase, event.status])).toEqual([
+      ['task', 'records:a', 'skipped'],
+      ['phase', 'records', undefined],
+      ['task', 'dashboard:a', 'started'],
+      ['task', 'dashboard:a', 'completed'],
+      ['phase', 'dashboards', undefined],
+    ]);
+    expect(events[4]).toMatchObject({ completed: 2, total: 2, result: 'created' });
+  });
+
+  test('should stop starting tasks after a failure and reject once running tasks settle', async () => {
+    const graph = new TaskGraph();
+    const slow = deferred();
+    const after = jest.fn();
+    graph
+      .add('database:a', { phase: 'databases', run: () => Promise.reject(new Error('Locked')) })
+      .add('database:b', { phase: 'databases', run: () => slow.promise })
+      .add('relations:b', { phase: 'relations', dependsOn: ['database:b'], run: after });
+
+    let settled = false;
+    const done = graph.run().finally(() => {
+      settled = true;
+    });
+    await flush();
+    expect(settled).toBe(false);
+
+    slow.resolve();
+    await expect(done).rejects.toMatchObject({ message: 'Locked', task: 'database:a' });
+    expect(after).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown dependencies and cycles before running anything', () => {
+    const run = jest.fn();
+    const unknown = new TaskGraph().add('relations:a', { phase: 'relations', dependsOn: ['database:a'], run });
+    expect(() => unknown.run()).toThrow('Task relations:a depends on unknown task database:a');
+
+    const cycle = new TaskGraph()
+      .add('a', { phase: 'x', dependsOn: ['b'], run })
+      .add('b', { phase: 'x', dependsOn: ['a'], run });
+    expect(() => cycle.run()).toThrow('Tasks depend on each other in a cycle: a -> b -> a');
+    expect(() => cycle.add('a', { phase: 'x', run })).toThrow('Task a is already in the graph');
+    expect(run).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Deployment profile tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadProfiles, loadProfile, profileToken } = require('../api/profiles');
+
+describe('deployment profiles', () => {
+  const env = { ...process.env };
+  let directory;
+  let file;
+
+  function writeProfiles(profiles) {
+    fs.writeFileSync(file, JSON.stringify(profiles));
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    file = path.join(directory, 'deploy-profiles.json');
+  });
+
+  afterEach(() => {
+    process.env = env;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should fill in defaults and keep each profile\'s name', async () => {
+    writeProfiles({
+      'acme-staging': { client: 'Acme', environment: 'staging', tokenEnv: 'ACME_STAGING_TOKEN', sampleData: true },
+    });
+
+    await expect(loadProfile('acme-staging', file)).resolves.toEqual({
+      name: 'acme-staging',
+      client: 'Acme',
+      environment: 'staging',
+      tokenEnv: 'ACME_STAGING_TOKEN',
+      parentPageId: null,
+      tier: 'professional',
+      sampleData: true,
+    });
+    await expect(loadProfile('acme-prod', file)).rejects.toThrow('Unknown deployment profile "acme-prod" (defined: acme-staging)');
+  });
+
+  test('should reject profiles with tokens inline or unknown tiers', async () => {
+    writeProfiles({
+      'acme-production': { client: 'Acme', environment: 'production', tokenEnv: 'secret_abc', tier: 'gold' },
+    });
+
+    await expect(loadProfiles(file)).rejects.toThrow('Invalid deployment profile "acme-production"');
+    await expect(loadProfiles(path.join(directory, 'missing.json'))).rejects.toThrow('No deployment profiles found');
+  });
+
+  test('should read the token from the variable the profile names', () => {
+    const profile = { name: 'acme-staging', tokenEnv: 'ACME_STAGING_TOKEN' };
+    delete process.env.ACME_STAGING_TOKEN;
+    expect(() => profileToken(profile)).toThrow('Profile acme-staging reads its Notion token from ACME_STAGING_TOKEN, which is not set');
+
+    process.env.ACME_STAGING_TOKEN = 'secret_staging';
+    expect(profileToken(profile)).toBe('secret_staging');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Progress renderer tests
+ */
+
+const { ProgressRenderer, commandOutput, formatDuration } = require('../utils/progress');
+
+describe('ProgressRenderer', () => {
+  function terminal() {
+    const stream = { isTTY: true, output: '' };
+    stream.write = text => {
+      stream.output += text;
+    };
+    return stream;
+  }
+
+  test('should draw a bar per phase with counts and an ETA from the pace so far', () => {
+    let now = 0;
+    const renderer = new ProgressRenderer({ stream: terminal(), labels: { databases: 'Databases' }, now: () => now });
+
+    renderer.update({ type: 'start', total: 5, phases: { databases: 4, records: 1 } });
+    renderer.update({ type: 'task', status: 'started', task: 'database:a', phase: 'databases' });
+    now = 1000;
+    renderer.update({ type: 'task', status: 'completed', task: 'database:a', phase: 'databases' });
+
+    const [databases, records] = renderer.render();
+    expect(databases).toMatch(/^Databases ██████░{18}\s+1\/4 {2}eta 3\.0s$/);
+    expect(records).toMatch(/^records {3}░{24}\s+0\/1 {2}waiting$/);
+
+    renderer.update({ type: 'task', status: 'failed', task: 'database:b', phase: 'databases' });
+    renderer.update({ type: 'phase', phase: 'databases', duration: 2500, tasks: 4, skipped: 0 });
+    // Phases outside the graph show up when they report
+    renderer.update({ type: 'phase', phase: 'finalization', duration: 40, tasks: 1, skipped: 0 });
+    expect(renderer.render()).toEqual([
+      expect.stringMatching(/4\/4 {2}1 failed, done in 2\.5s$/),
+      expect.stringMatching(/0\/1 {2}waiting$/),
+      expect.stringMatching(/^finalization █{24}\s+1\/1 {2}done in 40ms$/),
+    ]);
+  });
+
+  test('should redraw in place and print console output above the bars', () => {
+    const stream = terminal();
+    const target = { log: jest.fn(text => stream.write(`${text}\n`)), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const renderer = new ProgressRenderer({ stream });
+    const restore = renderer.capture(target);
+
+    renderer.update({ type: 'start', total: 2, phases: { pages: 2 } });
+    target.log('+ page root');
+    expect(stream.output).toBe([
+      `pages ${'░'.repeat(24)}     0/2  waiting\n`,
+      '\x1b[1F\x1b[J',
+      '+ page root\n',
+      `pages ${'░'.repeat(24)}     0/2  waiting\n`,
+    ].join(''));
+
+    restore();
+    target.log('after');
+    expect(stream.output.endsWith('waiting\nafter\n')).toBe(true);
+  });
+
+  test('should stay silent when the stream is not a terminal', () => {
+    const stream = { isTTY: false, write: jest.fn() };
+    const renderer = new ProgressRenderer({ stream });
+
+    renderer.update({ type: 'start', total: 1, phases: { pages: 1 } });
+    renderer.finish();
+
+    expect(stream.write).not.toHaveBeenCalled();
+    expect(renderer.render()).toHaveLength(1);
+  });
+
+  test('should keep stdout for events with --json', () => {
+    const originals = { log: console.log, info: console.info, warn: console.warn };
+    const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+
+    try {
+      const output = commandOutput({ json: true });
+      console.log('Deploying %s', 'Acme');
+      console.warn({ tier: 'starter' });
+
+      expect(output.eventStream).toBe(process.stdout);
+      expect(stdout).not.toHaveBeenCalled();
+      expect(stderr.mock.calls).toEqual([['Deploying Acme\n'], ['{ tier: \'starter\' }\n']]);
+    } finally {
+      Object.assign(console, originals);
+      stdout.mockRestore();
+      stderr.mockRestore();
+    }
+  });
+
+  test('should format durations for humans', () => {
+    expect(formatDuration(850)).toBe('850ms');
+    expect(formatDuration(4240)).toBe('4.2s');
+    expect(formatDuration(185000)).toBe('3m05s');
+  });
+});
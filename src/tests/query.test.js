@@ -0,0 +1,144 @@
+/**
+ * Query builder tests
+ */
+
+const { Query, query } = require('../api/query');
+const { taskDatabase } = require('../schemas');
+
+const permits = {
+  title: 'Permits',
+  properties: {
+    'Permit Number': { type: 'title' },
+    'Status': { type: 'select', options: ['Applied', 'Approved', 'Complete'] },
+    'Fee': { type: 'number' },
+    'Completion Date': { type: 'date' },
+    'Inspections': { type: 'multi_select', options: ['Framing', 'Final'] },
+    'Posted': { type: 'checkbox' },
+    'Days Open': { type: 'formula' },
+  },
+};
+
+describe('Query builder', () => {
+  test('should compile chained conditions into a compound filter', () => {
+    const { filter, sorts } = query(permits)
+      .where('Status').isNot('Complete')
+      .and('Completion Date').before(new Date('2024-05-01T00:00:00Z'))
+      .sortBy('Completion Date', 'descending')
+      .build();
+
+    expect(filter).toEqual({
+      and: [
+        { property: 'Status', select: { does_not_equal: 'Complete' } },
+        { property: 'Completion Date', date: { before: '2024-05-01' } },
+      ],
+    });
+    expect(sorts).toEqual([{ property: 'Completion Date', direction: 'descending' }]);
+  });
+
+  test('should return a single condition without a compound wrapper', () => {
+    expect(query(permits).where('Fee').atLeast(100).build().filter).toEqual({
+      property: 'Fee',
+      number: { greater_than_or_equal_to: 100 },
+    });
+  });
+
+  test('should resolve record keys to property names', () => {
+    expect(query(taskDatabase).where('projectId').contains('page-1').build().filter).toEqual({
+      property: 'Project',
+      relation: { contains: 'page-1' },
+    });
+  });
+
+  test('should group or conditions under and conditions', () => {
+    const { filter } = query(permits)
+      .where('Posted').is(true)
+      .and(query(permits).where('Status').is('Applied').or('Fee').isEmpty())
+      .build();
+
+    expect(filter).toEqual({
+      and: [
+        { property: 'Posted', checkbox: { equals: true } },
+        {
+          or: [
+            { property: 'Status', select: { equals: 'Applied' } },
+            { property: 'Fee', number: { is_empty: true } },
+          ],
+        },
+      ],
+    });
+  });
+
+  test('should leave nested queries untouched', () => {
+    const nested = query(permits).where('Status').is('Applied').and('Posted').is(true);
+    const before = nested.build();
+
+    const outer = query(permits).and(nested).and('Fee').isEmpty();
+    nested.and('Fee').atLeast(100);
+
+    expect(nested.build().filter.and).toHaveLength(3);
+    expect(outer.build().filter).toEqual({
+      and: [...before.filter.and, { property: 'Fee', number: { is_empty: true } }],
+    });
+  });
+
+  test('should expand isOneOf into an or group', () => {
+    expect(query(permits).where('Status').isOneOf(['Applied', 'Approved']).build().filter).toEqual({
+      or: [
+        { property: 'Status', select: { equals: 'Applied' } },
+        { property: 'Status', select: { equals: 'Approved' } },
+      ],
+    });
+  });
+
+  test('should compile relative dates and page timestamps', () => {
+    const { filter, sorts } = query(permits)
+      .where('Completion Date').nextWeek()
+      .and('last_edited_time').pastMonth()
+      .sortBy('created_time')
+      .build();
+
+    expect(filter).toEqual({
+      and: [
+        { property: 'Completion Date', date: { next_week: {} } },
+        { timestamp: 'last_edited_time', last_edited_time: { past_month: {} } },
+      ],
+    });
+    expect(sorts).toEqual([{ timestamp: 'created_time', direction: 'ascending' }]);
+  });
+
+  test('should validate properties, operators and values against the schema', () => {
+    expect(() => query(permits).where('Owner').is('x')).toThrow('Unknown property "Owner" in Permits');
+    expect(() => query(permits).where('Fee').before('2024-01-01')).toThrow('before is not valid for number');
+    expect(() => query(permits).where('Inspections').is('Final')).toThrow('equals is not valid for multi_select');
+    expect(() => query(permits).where('Status').is('Denied')).toThrow('unknown option Denied');
+    expect(() => query(permits).where('Fee').greaterThan('100')).toThrow('expected a number');
+    expect(() => query(permits).where('Days Open').isEmpty()).toThrow('formula properties are not filterable');
+    expect(() => query(permits).sortBy('Fee', 'up')).toThrow('Invalid sort direction');
+  });
+
+  test('should reject filters nested deeper than Notion allows', () => {
+    const inner = query(permits).where('Fee').is(1).or(query(permits).where('Fee').is(2).and('Posted').is(true));
+
+    expect(() => query(permits).where('Posted').is(false).and(inner)).toThrow('at most 2 levels');
+  });
+
+  test('should round-trip through JSON', () => {
+    const original = query(permits)
+      .where('Status').isOneOf(['Applied', 'Approved'])
+      .and('Inspections').contains('Final')
+      .sortBy('Fee');
+
+    const json = JSON.parse(JSON.stringify(original));
+    expect(json.database).toBe('Permits');
+
+    const revived = Query.fromJSON(json, permits);
+    expect(revived.build()).toEqual(original.build());
+  });
+
+  test('should re-validate serialized queries', () => {
+    const json = query(permits).where('Status').is('Approved').toJSON();
+    const renamed = { ...permits, properties: { ...permits.properties, Status: { type: 'select', options: ['Open'] } } };
+
+    expect(() => Query.fromJSON(json, renamed)).toThrow('unknown option Approved');
+  });
+});
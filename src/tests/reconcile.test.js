@@ -0,0 +1,67 @@
+/**
+ * Database reconciliation tests
+ */
+
+const { databaseMarker, hasMarker, diffProperties, linkedProperties } = require('../api/reconcile');
+
+describe('database reconciliation', () => {
+  const desired = {
+    Name: { title: {} },
+    Status: { select: { options: [{ name: 'Planning', color: 'default' }, { name: 'Done', color: 'default' }] } },
+    Budget: { number: { format: 'dollar' } },
+  };
+
+  test('should mark databases per client and logical name', () => {
+    const marker = databaseMarker('Acme Builders', 'projects');
+
+    expect(marker).toBe('construction-template:acme-builders:projects');
+    expect(hasMarker({ description: [{ plain_text: `Client notes\n${marker}` }] }, marker)).toBe(true);
+    expect(hasMarker({ description: [{ plain_text: `${marker}-archive` }] }, marker)).toBe(false);
+    expect(hasMarker({ description: [] }, marker)).toBe(false);
+  });
+
+  test('should report nothing to do for a matching database', () => {
+    const live = {
+      Name: { id: 'title', type: 'title', title: {} },
+      Status: { id: 'a', type: 'select', select: { options: [{ id: '1', name: 'Planning' }, { id: '2', name: 'Done' }] } },
+      Budget: { id: 'b', type: 'number', number: { format: 'dollar' } },
+    };
+
+    expect(diffProperties(live, desired)).toEqual({ patch: {}, changes: [], extra: [] });
+  });
+
+  test('should add, retype and extend properties without dropping extras', () => {
+    const live = {
+      Project: { id: 'title', type: 'title', title: {} },
+      Status: { id: 'a', type: 'select', select: { options: [{ id: '1', name: 'Planning', color: 'blue' }] } },
+      Budget: { id: 'b', type: 'rich_text', rich_text: {} },
+      Notes: { id: 'c', type: 'rich_text', rich_text: {} },
+    };
+
+    const { patch, changes, extra } = diffProperties(live, desired);
+
+    expect(patch).toEqual({
+      Project: { name: 'Name' },
+      Status: { select: { options: [{ name: 'Planning', color: 'blue' }, { name: 'Done', color: 'default' }] } },
+      Budget: { number: { format: 'dollar' } },
+    });
+    expect(changes.map(change => change.action)).toEqual(['rename', 'change', 'change']);
+    expect(changes[1].detail).toBe('add options Done');
+    expect(extra).toEqual(['Notes']);
+  });
+
+  test('should list relation properties on both sides of a synced relationship', () => {
+    const linked = linkedProperties({
+      projects: {
+        relationships: [
+          { target: 'clients', property: 'Client', syncedProperty: 'Projects' },
+          { target: 'team-members', property: 'Lead Contractor' },
+        ],
+      },
+      clients: {},
+    });
+
+    expect([...linked.projects]).toEqual(['Client', 'Lead Contractor']);
+    expect([...linked.clients]).toEqual(['Projects']);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Notion record/replay fixtures
+ * Captures Notion request/response pairs to fixture files and serves them back
+ * deterministically. Like the fake server, it sits in front of @notionhq/client
+ * as its `fetch`.
+ *
+ * Mode comes from NOTION_FIXTURES: "replay" (default) or "record".
+ * @example
+ * // NOTION_FIXTURES=record NOTION_TOKEN=secret_... npm run test:integration
+ * const recorder = createRecorder('healthcheck');
+ * const restore = recorder.install();
+ * ...
+ * restore();
+ * recorder.save();
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'notion');
+
+const ID_PATTERN = /[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}/gi;
+const TOKEN_PATTERN = /\b(secret|ntn)_[A-Za-z0-9]+/g;
+
+/**
+ * Replace tokens, IDs and personal data with stable placeholders.
+ * The same real ID always maps to the same placeholder within one fixture,
+ * so relationships between recorded objects survive scrubbing.
+ * @returns {Function} scrub(value) -> scrubbed copy
+ */
+function createScrubber() {
+  const ids = new Map();
+
+  function placeholder(id) {
+    const key = id.replace(/-/g, '').toLowerCase();
+    if (!ids.has(key)) {
+      ids.set(key, `00000000-0000-4000-8000-${String(ids.size + 1).padStart(12, '0')}`);
+    }
+    const value = ids.get(key);
+    return id.includes('-') ? value : value.replace(/-/g, '');
+  }
+
+  function scrubString(value) {
+    let result = value.replace(TOKEN_PATTERN, '<redacted>').replace(ID_PATTERN, placeholder);
+    // Signed file URLs expire and carry credentials
+    if (result.includes('X-Amz-')) {
+      result = result.split('?')[0];
+    }
+    return result;
+  }
+
+  function scrub(value, key) {
+    if (typeof value === 'string') {
+      if (key === 'email') {
+        return 'user@example.com';
+      }
+      return scrubString(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => scrub(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => (
+        name === 'avatar_url' ? [name, null] : [scrubString(name), scrub(item, name)]
+      )));
+    }
+    return value;
+  }
+
+  return scrub;
+}
+
+function isEqual(left, right) {
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function describeRequest(method, target) {
+  return `${method} ${target}`;
+}
+
+/**
+ * Create a recorder for one fixture file
+ * @param {string} name - Fixture name (file is fixtures/notion/<name>.json)
+ * @param {Object} options - Recorder options
+ * @param {string} options.mode - record or replay (defaults to NOTION_FIXTURES, then replay)
+ * @param {Function} options.fetch - Upstream fetch used while recording (defaults to global fetch)
+ * @param {string} options.dir - Fixture directory
+ * @returns {Object} Recorder with fetch, install, save and unused
+ */
+function createRecorder(name, options = {}) {
+  const mode = options.mode || process.env.NOTION_FIXTURES || 'replay';
+  const file = path.join(options.dir || FIXTURES_DIR, `${name}.json`);
+  const upstream = options.fetch || global.fetch;
+  const scrub = createScrubber();
+
+  if (!['record', 'replay'].includes(mode)) {
+    throw new Error(`Unknown fixture mode "${mode}" (expected record or replay)`);
+  }
+
+  let interactions = [];
+  if (mode === 'replay') {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Missing Notion fixture ${path.relative(process.cwd(), file)}; record it with NOTION_FIXTURES=record`);
+    }
+    interactions = JSON.parse(fs.readFileSync(file, 'utf8')).interactions;
+  }
+  const used = new Set();
+
+  async function record(url, init) {
+    const response = await upstream(url, init);
+    const text = await response.text();
+    const { pathname, search } = new URL(url);
+
+    interactions.push(scrub({
+      request: {
+        method: (init.method || 'GET').toUpperCase(),
+        path: pathname + search,
+        body: init.body ? JSON.parse(init.body) : null,
+      },
+      response: {
+        status: response.status,
+        retryAfter: response.headers.get('retry-after'),
+        body: text ? JSON.parse(text) : null,
+      },
+    }));
+
+    return new Response(text, { status: response.status, headers: response.headers });
+  }
+
+  function replay(url, init) {
+    const { pathname, search } = new URL(url);
+    const method = (init.method || 'GET').toUpperCase();
+    const target = pathname + search;
+    const body = init.body ? JSON.parse(init.body) : null;
+
+    const candidates = interactions
+      .map((interaction, index) => ({ interaction, index }))
+      .filter(({ interaction, index }) => (
+        !used.has(index) && interaction.request.method === method && interaction.request.path === target
+      ));
+    // Prefer an exact body match so concurrent calls to one endpoint pair up correctly
+    const match = candidates.find(({ interaction }) => isEqual(interaction.request.body, body)) || candidates[0];
+
+    if (!match) {
+      throw new Error(`No recorded Notion response for ${describeRequest(method, target)} in fixture "${name}"`);
+    }
+    used.add(match.index);
+
+    const { status, retryAfter, body: responseBody } = match.interaction.response;
+    const headers = { 'content-type': 'application/json' };
+    if (retryAfter !== null && retryAfter !== undefined) {
+      headers['retry-after'] = retryAfter;
+    }
+    return new Response(JSON.stringify(responseBody), { status, headers });
+  }
+
+  /**
+   * fetch-compatible entry point for @notionhq/client
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch init
+   * @returns {Promise<Response>} Recorded or live response
+   */
+  async function fetch(url, init = {}) {
+    return mode === 'record' ? record(url, init) : replay(url, init);
+  }
+
+  return {
+    mode,
+    fetch,
+
+    /**
+     * Route the global fetch (used by @notionhq/client) through the recorder
+     * @returns {Function} Restores the previous global fetch
+     */
+    install() {
+      const original = global.fetch;
+      global.fetch = fetch;
+      return () => {
+        global.fetch = original;
+      };
+    },
+
+    /**
+     * Write captured interactions to the fixture file (record mode only)
+     */
+    save() {
+      if (mode !== 'record') {
+        return;
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify({ name, interactions }, null, 2)}\n`);
+    },
+
+    /**
+     * Recorded interactions the replay never asked for
+     * @returns {string[]} "METHOD path" for each unused interaction
+     */
+    unused() {
+      return interactions
+        .filter((_interaction, index) => !used.has(index))
+        .map(({ request }) => describeRequest(request.method, request.path));
+    },
+  };
+}
+
+module.exports = {
+  createRecorder,
+  createScrubber,
+};
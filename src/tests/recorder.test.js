@@ -0,0 +1,86 @@
+/**
+ * Record/replay fixture tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecorder, createScrubber } = require('./recorder');
+const { createFakeNotion } = require('./fake-notion');
+
+const headers = { authorization: 'Bearer secret_abc123' };
+
+describe('Notion fixture recorder', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should scrub tokens, personal data and IDs consistently', () => {
+    const scrub = createScrubber();
+    const id = '1f2e3d4c-5b6a-4789-8abc-def012345678';
+
+    expect(scrub({
+      id,
+      url: 'https://www.notion.so/1f2e3d4c5b6a47898abcdef012345678',
+      message: 'token secret_abc123 is invalid',
+      person: { email: 'jane@acme.com' },
+      avatar_url: 'https://s3.example.com/avatar.png',
+      file: { url: 'https://s3.example.com/plan.pdf?X-Amz-Signature=abc' },
+      parent: { page_id: id },
+    })).toEqual({
+      id: '00000000-0000-4000-8000-000000000001',
+      url: 'https://www.notion.so/00000000000040008000000000000001',
+      message: 'token <redacted> is invalid',
+      person: { email: 'user@example.com' },
+      avatar_url: null,
+      file: { url: 'https://s3.example.com/plan.pdf' },
+      parent: { page_id: '00000000-0000-4000-8000-000000000001' },
+    });
+  });
+
+  test('should replay recorded responses deterministically', async () => {
+    const fake = createFakeNotion();
+    const recorder = createRecorder('roundtrip', { mode: 'record', fetch: fake.fetch, dir });
+
+    const created = await (await recorder.fetch('https://api.notion.com/v1/pages', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ parent: { workspace: true }, properties: { title: [{ text: { content: 'Site' } }] } }),
+    })).json();
+    await recorder.fetch(`https://api.notion.com/v1/pages/${created.id}`, { method: 'GET', headers });
+    await recorder.fetch('https://api.notion.com/v1/pages/missing', { method: 'GET', headers });
+    recorder.save();
+
+    const saved = fs.readFileSync(path.join(dir, 'roundtrip.json'), 'utf8');
+    expect(saved).not.toContain('secret_abc123');
+    expect(saved).not.toContain(created.id);
+
+    const replay = createRecorder('roundtrip', { mode: 'replay', dir });
+    const page = await (await replay.fetch('https://api.notion.com/v1/pages', { method: 'POST', headers })).json();
+    const fetched = await replay.fetch(`https://api.notion.com/v1/pages/${page.id}`, { method: 'GET', headers });
+    const missing = await replay.fetch('https://api.notion.com/v1/pages/missing', { method: 'GET', headers });
+
+    expect(page.id).toBe('00000000-0000-4000-8000-000000000001');
+    expect((await fetched.json()).id).toBe(page.id);
+    expect(missing.status).toBe(404);
+    expect(replay.unused()).toEqual([]);
+  });
+
+  test('should reject requests that were never recorded', async () => {
+    fs.writeFileSync(path.join(dir, 'empty.json'), JSON.stringify({ name: 'empty', interactions: [] }));
+    const replay = createRecorder('empty', { mode: 'replay', dir });
+
+    await expect(replay.fetch('https://api.notion.com/v1/users/me', { method: 'GET', headers }))
+      .rejects.toThrow('No recorded Notion response for GET /v1/users/me in fixture "empty"');
+  });
+
+  test('should explain how to record a missing fixture', () => {
+    expect(() => createRecorder('absent', { mode: 'replay', dir })).toThrow('record it with NOTION_FIXTURES=record');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Retry policy tests
+ */
+
+const { classifyError, getRetryDelay, withRetry } = require('../utils/retry');
+
+function notionError(code, status, headers) {
+  const error = new Error(code);
+  error.code = code;
+  error.status = status;
+  if (headers) {
+    error.headers = new Headers(headers);
+  }
+  return error;
+}
+
+describe('Retry policy', () => {
+  describe('classifyError', () => {
+    test.each([
+      ['unauthorized', 401],
+      ['validation_error', 400],
+      ['object_not_found', 404],
+    ])('should fail fast on %s', (code, status) => {
+      expect(classifyError(notionError(code, status)).retryable).toBe(false);
+    });
+
+    test.each([
+      ['rate_limited', 429],
+      ['conflict_error', 409],
+      ['service_unavailable', 503],
+      ['notionhq_client_request_timeout', undefined],
+    ])('should retry %s', (code, status) => {
+      expect(classifyError(notionError(code, status)).retryable).toBe(true);
+    });
+
+    test('should retry bad gateway responses without a Notion code', () => {
+      expect(classifyError(notionError('notionhq_client_response_error', 502))).toMatchObject({
+        retryable: true,
+        reason: 'http_502',
+      });
+    });
+
+    test('should read Retry-After from rate limit responses', () => {
+      const error = notionError('rate_limited', 429, { 'retry-after': '2' });
+      expect(classifyError(error).retryAfterMs).toBe(2000);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    const options = { baseDelay: 1000, maxDelay: 5000, random: () => 0.5 };
+
+    test('should prefer Retry-After over backoff', () => {
+      expect(getRetryDelay(3, { retryAfterMs: 1500 }, options)).toBe(1500);
+    });
+
+    test('should back off exponentially with jitter up to maxDelay', () => {
+      expect(getRetryDelay(0, { retryAfterMs: null }, options)).toBe(750);
+      expect(getRetryDelay(1, { retryAfterMs: null }, options)).toBe(1500);
+      expect(getRetryDelay(5, { retryAfterMs: null }, options)).toBe(3750);
+    });
+  });
+
+  describe('withRetry', () => {
+    const sleep = jest.fn().mockResolvedValue();
+
+    test('should retry transient errors until success', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(notionError('conflict_error', 409))
+        .mockRejectedValueOnce(notionError('rate_limited', 429, { 'retry-after': '1' }))
+        .mockResolvedValue('ok');
+      const onRetry = jest.fn();
+
+      await expect(withRetry(fn, { retries: 3, sleep, onRetry })).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(3);
+      expect(onRetry).toHaveBeenLastCalledWith(expect.any(Error), { attempt: 2, delay: 1000, reason: 'rate_limited' });
+    });
+
+    test('should not retry fatal errors', async () => {
+      const fn = jest.fn().mockRejectedValue(notionError('object_not_found', 404));
+
+      await expect(withRetry(fn, { retries: 3, sleep })).rejects.toThrow('object_not_found');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give up after the configured number of retries', async () => {
+      const fn = jest.fn().mockRejectedValue(notionError('service_unavailable', 503));
+
+      await expect(withRetry(fn, { retries: 2, sleep })).rejects.toThrow('service_unavailable');
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Request scheduler tests
+ */
+
+const { RequestScheduler, scheduleClient, withPriority } = require('../api/scheduler');
+
+describe('RequestScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should hold requests beyond the token bucket until tokens refill', async () => {
+    const scheduler = new RequestScheduler({ requestsPerSecond: 2, burst: 2, concurrency: 10 });
+    const started = [];
+
+    const requests = [1, 2, 3, 4].map(n => scheduler.schedule(async () => {
+      started.push(n);
+      return n;
+    }));
+
+    await Promise.resolve();
+    expect(started).toEqual([1, 2]);
+    expect(scheduler.stats().queued).toBe(2);
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(started).toEqual([1, 2, 3]);
+
+    await jest.advanceTimersByTimeAsync(500);
+    await expect(Promise.all(requests)).resolves.toEqual([1, 2, 3, 4]);
+  });
+
+  test('should dispatch interactive requests ahead of bulk requests', async () => {
+    const scheduler = new RequestScheduler({ requestsPerSecond: 1, burst: 1, concurrency: 1 });
+    const order = [];
+    const track = name => async () => {
+      order.push(name);
+    };
+
+    const all = [
+      scheduler.schedule(track('bulk-1'), { priority: 'bulk' }),
+      scheduler.schedule(track('bulk-2'), { priority: 'bulk' }),
+      scheduler.schedule(track('read'), { priority: 'interactive' }),
+    ];
+
+    expect(scheduler.stats().lanes).toEqual({ interactive: 1, default: 0, bulk: 1 });
+
+    await jest.advanceTimersByTimeAsync(3000);
+    await Promise.all(all);
+
+    expect(order).toEqual(['bulk-1', 'read', 'bulk-2']);
+  });
+
+  test('should cap in-flight requests at the configured concurrency', async () => {
+    const scheduler = new RequestScheduler({ requestsPerSecond: 100, burst: 100, concurrency: 2 });
+    const releases = [];
+    let maxActive = 0;
+
+    const requests = [1, 2, 3].map(() => scheduler.schedule(() => new Promise(resolve => {
+      maxActive = Math.max(maxActive, scheduler.active);
+      releases.push(resolve);
+    })));
+
+    await Promise.resolve();
+    expect(scheduler.stats()).toMatchObject({ active: 2, queued: 1 });
+
+    releases.shift()();
+    await jest.advanceTimersByTimeAsync(10);
+    releases.forEach(release => release());
+    await jest.advanceTimersByTimeAsync(10);
+    releases.forEach(release => release());
+    await Promise.all(requests);
+
+    expect(maxActive).toBe(2);
+    expect(scheduler.stats()).toMatchObject({ completed: 3, failed: 0, maxQueueDepth: 1 });
+  });
+
+  test('should route wrapped client calls through the scheduler lane', async () => {
+    const scheduler = new RequestScheduler({ requestsPerSecond: 100 });
+    const schedule = jest.spyOn(scheduler, 'schedule');
+    const client = { pages: { create: jest.fn().mockResolvedValue({ id: 'page-1' }) } };
+
+    const scheduled = scheduleClient(client, { scheduler });
+    const bulk = withPriority(scheduled, 'bulk');
+
+    await expect(bulk.pages.create({ parent: {} })).resolves.toEqual({ id: 'page-1' });
+    expect(client.pages.create).toHaveBeenCalledWith({ parent: {} });
+    expect(schedule).toHaveBeenCalledWith(expect.any(Function), { priority: 'bulk' });
+  });
+});
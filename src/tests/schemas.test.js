@@ -0,0 +1,115 @@
+/**
+ * Domain schema tests
+ */
+
+const {
+  PROJECT_STATUSES,
+  projectSchema,
+  permitSchema,
+  expenseSchema,
+  recordSchemas,
+} = require('../schemas');
+
+function errors(schema, record) {
+  const { error } = schema.validate(record, { abortEarly: false });
+  return error ? error.details.map(detail => detail.message) : [];
+}
+
+// Smallest valid record of each database
+const minimal = {
+  'projects': {
+    title: 'Main Street Build',
+    status: 'Planning',
+    clientId: 'page-2',
+    type: 'Renovation',
+    budget: 250000,
+    address: '101 Main Street',
+  },
+  'tasks': { title: 'Pour footings' },
+  'materials': { name: 'Rebar', projectId: 'page-1', category: 'Steel', quantity: 6, unit: 'Tons', cost: 800, status: 'Ordered' },
+  'clients': { name: 'Acme', phone: '(555) 123-4567' },
+  'subcontractors': { name: 'Elite Electrical', contactPerson: 'Sam Reyes', phone: '555-987-6543', specialty: ['Electrical'] },
+  'permits': { permitId: 'BP-1', projectId: 'page-1', permitType: 'Building', jurisdiction: 'Travis County', status: 'Applied' },
+  'inspections': { inspectionId: 'IN-1', projectId: 'page-1', inspectionType: 'Framing', scheduledDate: '2024-05-01', status: 'Scheduled' },
+  'safety-incidents': {
+    incidentId: 'SI-1',
+    projectId: 'page-1',
+    date: '2024-05-02',
+    severity: 'Minor',
+    type: 'Near Miss',
+    description: 'Unsecured ladder',
+    reportedBy: 'user-1',
+    status: 'Open',
+  },
+  'vendors': { name: 'ABC Concrete', type: 'Material Supplier' },
+  'budgets': { name: 'Framing labor', projectId: 'page-1', category: 'Labor', budgetedAmount: 42000, status: 'Draft' },
+  'expenses': { description: 'Lumber delivery', projectId: 'page-1', category: 'Materials', amount: 1850, date: '2024-05-03', status: 'Pending' },
+  'documents': { name: 'Signed contract', type: 'Contract', status: 'Draft' },
+};
+
+describe('domain schemas', () => {
+  test('should cover every construction database', () => {
+    expect(Object.keys(recordSchemas).sort()).toEqual(Object.keys(minimal).sort());
+  });
+
+  test.each(Object.keys(minimal))('should accept a minimal %s record and require its required fields', name => {
+    expect(errors(recordSchemas[name], minimal[name])).toEqual([]);
+
+    const required = Object.keys(minimal[name]);
+    const missing = errors(recordSchemas[name], {});
+    expect(missing).toEqual(required.map(key => `"${key}" is required`));
+  });
+
+  test('should only accept the construction pipeline as project status', () => {
+    expect(PROJECT_STATUSES).toEqual(['Planning', 'Permits', 'Scheduled', 'Construction', 'Inspection', 'Complete', 'Warranty']);
+    PROJECT_STATUSES.forEach(status => {
+      expect(errors(projectSchema, { name: 'Build', status })).toEqual([]);
+    });
+    expect(errors(projectSchema, { name: 'Build', status: 'In Progress' })).toEqual([
+      '"status" must be one of [Planning, Permits, Scheduled, Construction, Inspection, Complete, Warranty]',
+    ]);
+  });
+
+  test('should reject dates that come before the dates they follow', () => {
+    expect(errors(projectSchema, { name: 'Build', startDate: '2024-06-01', endDate: '2024-05-31' }))
+      .toEqual(['"endDate" must not be before startDate']);
+    expect(errors(projectSchema, { name: 'Build', startDate: '2024-06-01', endDate: '2024-06-01' })).toEqual([]);
+    // Either date alone is fine
+    expect(errors(projectSchema, { name: 'Build', endDate: '2024-05-31' })).toEqual([]);
+
+    expect(errors(recordSchemas.inspections, { ...minimal.inspections, reInspectionDate: '2024-04-30' }))
+      .toEqual(['"reInspectionDate" must not be before scheduledDate']);
+    expect(errors(recordSchemas.materials, { ...minimal.materials, orderDate: '2024-05-01', actualDelivery: '2024-04-01' }))
+      .toEqual(['"actualDelivery" must not be before orderDate']);
+  });
+
+  test('should only allow an approval date once a record is approved', () => {
+    const permit = { ...minimal.permits, submissionDate: '2024-03-01', approvalDate: '2024-03-20' };
+    expect(errors(permitSchema, permit)).toEqual(['"approvalDate" is only allowed when status is Approved or Expired']);
+    expect(errors(permitSchema, { ...permit, status: 'Approved' })).toEqual([]);
+    // An expired permit keeps its approval date
+    expect(errors(permitSchema, { ...permit, status: 'Expired' })).toEqual([]);
+    expect(errors(permitSchema, { ...permit, status: 'Approved', approvalDate: '2024-02-01' }))
+      .toEqual(['"approvalDate" must not be before submissionDate']);
+
+    expect(errors(recordSchemas.budgets, { ...minimal.budgets, approvalDate: '2024-05-01' }))
+      .toEqual(['"approvalDate" is only allowed when status is Approved']);
+
+    // A paid expense keeps its approval date
+    const expense = { ...minimal.expenses, status: 'Paid', approvalDate: '2024-05-04', paidDate: '2024-05-10' };
+    expect(errors(expenseSchema, expense)).toEqual([]);
+    expect(errors(expenseSchema, { ...expense, status: 'Approved' }))
+      .toEqual(['"paidDate" is only allowed when status is Paid']);
+  });
+
+  test('should validate enums, contact details and amounts', () => {
+    expect(errors(recordSchemas.subcontractors, { ...minimal.subcontractors, specialty: ['Welding'], email: 'sam@' })).toEqual([
+      '"email" must be a valid email',
+      '"specialty[0]" must be one of [Electrical, Plumbing, HVAC, Roofing, Framing, Flooring, Painting, Landscaping, Excavation]',
+    ]);
+    expect(errors(recordSchemas.clients, { ...minimal.clients, phone: 'call me' })).toEqual(['"phone" must be a phone number']);
+    expect(errors(recordSchemas.expenses, { ...minimal.expenses, amount: 0 })).toEqual(['"amount" must be a positive number']);
+    expect(errors(recordSchemas['safety-incidents'], { ...minimal['safety-incidents'], time: '25:00' }))
+      .toEqual(['"time" must be a time (HH:MM)']);
+  });
+});
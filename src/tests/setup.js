@@ -24,14 +24,20 @@ if (process.env.SILENCE_LOGS === 'true') {
 // Global test timeout
 jest.setTimeout(30000);
 
-// Mock Notion API for tests
+// Mock Notion API for unit tests. Integration tests call
+// jest.unmock('@notionhq/client') and run against ./fake-notion instead.
 jest.mock('@notionhq/client', () => {
   return {
     Client: jest.fn().mockImplementation(() => ({
+      search: jest.fn(),
+      users: {
+        me: jest.fn(),
+      },
       databases: {
         query: jest.fn(),
         create: jest.fn(),
         update: jest.fn(),
+        retrieve: jest.fn(),
       },
       pages: {
         create: jest.fn(),
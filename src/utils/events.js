@@ -0,0 +1,90 @@
+/**
+ * Run events
+ * Deploy, build and healthcheck report every phase and resource operation as
+ * a structured event through the event logger, so CI can follow a run without
+ * parsing console output. Every event has the same shape:
+ *   { event, <run ID>, phase, resource, duration, outcome, ...details }
+ * where event is "run", "phase" or "resource" and outcome is what happened
+ * (started, completed, failed, created, updated, unchanged, skipped, ...).
+ */
+
+const { createEventLogger } = require('./logger');
+
+class EventLog {
+  /**
+   * @param {Object} context - Fields every event carries (e.g. { command: 'deploy', deploymentId })
+   * @param {Object} options - Event log options
+   * @param {Object} options.stream - Stream that also receives each event as NDJSON (stdout with --json)
+   * @param {Function} options.onEvent - Called with each event
+   * @param {Object} options.logger - Event logger to write through (defaults to createEventLogger())
+   */
+  constructor(context, options = {}) {
+    this.context = context;
+    this.onEvent = options.onEvent || null;
+    this.logger = options.logger || createEventLogger({ stream: options.stream });
+    this.phases = new Map();
+  }
+
+  /**
+   * Emit one event
+   * @param {string} event - run, phase or resource
+   * @param {Object} fields - phase, resource, duration, outcome and any details
+   * @returns {Object} The event as logged
+   */
+  emit(event, fields = {}) {
+    const record = {
+      event,
+      ...this.context,
+      phase: null,
+      resource: null,
+      duration: null,
+      outcome: null,
+      ...fields,
+    };
+    this.logger.log(record.outcome === 'failed' ? 'error' : 'info', event, record);
+    if (this.onEvent) {
+      this.onEvent(record);
+    }
+    return record;
+  }
+
+  /**
+   * Emit a phase's "started" event and remember when it started
+   * @param {string} phase - Phase name
+   * @param {Object} fields - Extra details
+   */
+  phaseStarted(phase, fields = {}) {
+    this.phases.set(phase, Date.now());
+    this.emit('phase', { phase, outcome: 'started', ...fields });
+  }
+
+  /**
+   * Emit a phase's closing event, timed from phaseStarted unless a duration is given
+   * @param {string} phase - Phase name
+   * @param {string} outcome - completed, skipped or failed
+   * @param {Object} fields - Extra details
+   */
+  phaseFinished(phase, outcome, fields = {}) {
+    const startedAt = this.phases.get(phase);
+    this.emit('phase', {
+      phase,
+      duration: startedAt ? Date.now() - startedAt : 0,
+      outcome,
+      ...fields,
+    });
+  }
+
+  /**
+   * Flush and close the event logger
+   * @returns {Promise<void>}
+   */
+  close() {
+    const finished = new Promise(resolve => this.logger.on('finish', resolve));
+    this.logger.end();
+    return this.logger.flushed || finished;
+  }
+}
+
+module.exports = {
+  EventLog,
+};
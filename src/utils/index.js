@@ -2,7 +2,9 @@
  * Utility functions for construction project management
  */
 
+const readline = require('readline/promises');
 const logger = require('./logger');
+const { withRetry, classifyError } = require('./retry');
 
 /**
  * Format date for Notion API
@@ -18,9 +20,14 @@ function formatDateForNotion(date) {
  * @returns {boolean} True if all required env vars are present
  */
 function validateEnvironment() {
-  const required = ['NOTION_API_TOKEN', 'NOTION_DATABASE_ID'];
+  const required = ['NOTION_API_TOKEN'];
   const missing = required.filter(key => !process.env[key]);
   
+  // Databases resolve through the client's workspace manifest, or the legacy ID
+  if (!process.env.CLIENT_NAME && !process.env.NOTION_DATABASE_ID) {
+    missing.push('CLIENT_NAME (or NOTION_DATABASE_ID)');
+  }
+  
   if (missing.length > 0) {
     logger.error(`Missing required environment variables: ${missing.join(', ')}`);
     return false;
@@ -30,26 +37,29 @@ function validateEnvironment() {
 }
 
 /**
- * Retry function with exponential backoff
- * @param {Function} fn - Function to retry
- * @param {number} maxRetries - Maximum number of retries
- * @param {number} delay - Initial delay in ms
- * @returns {Promise} Promise that resolves with function result
+ * Ask a yes/no question on the terminal. Anything but "y"/"yes" is a no, and
+ * so is running without a terminal (CI), where callers offer a --yes flag instead.
+ * @param {string} question - Question to ask
+ * @returns {Promise<boolean>} True when the answer was yes
  */
-async function retryWithBackoff(fn, maxRetries = 3, delay = 1000) {
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (i === maxRetries - 1) throw error;
-      await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i)));
-    }
+async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    return false;
+  }
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await prompt.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    prompt.close();
   }
 }
 
 module.exports = {
   formatDateForNotion,
+  confirm,
   validateEnvironment,
-  retryWithBackoff,
+  withRetry,
+  classifyError,
   logger,
 };
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Provides structured logging for the construction PM application
  */
 
+const fs = require('fs');
+const path = require('path');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -26,4 +28,57 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
-module.exports = logger;
\ No newline at end of file
+/**
+ * Logger for structured run events (deployment phases, resource operations,
+ * build steps, health checks). Each event is one JSON line in
+ * logs/events.ndjson, and on the given stream as well (stdout with --json).
+ * @param {Object} options - Event logger options
+ * @param {string} options.filename - NDJSON file (default logs/events.ndjson)
+ * @param {Object} options.stream - Writable stream that also receives every event
+ * @returns {winston.Logger} Event logger; its `flushed` promise settles after end()
+ */
+function createEventLogger(options = {}) {
+  const filename = options.filename || path.join('logs', 'events.ndjson');
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  // Written through a plain stream rather than the File transport, so closing
+  // can wait until the last event is on disk
+  const file = fs.createWriteStream(filename, { flags: 'a' });
+  file.on('error', error => logger.warn(`Event log ${filename} unavailable: ${error.message}`));
+
+  const fileTransport = new winston.transports.Stream({ stream: file });
+  const transports = [fileTransport];
+  if (options.stream) {
+    transports.push(new winston.transports.Stream({ stream: options.stream }));
+  }
+
+  const eventLogger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      winston.format.json(),
+    ),
+    defaultMeta: { service: 'const-pm-notion' },
+    transports,
+  });
+  // Settles once the logger has been ended and the file has every event
+  eventLogger.flushed = new Promise(resolve => {
+    fileTransport.once('finish', () => file.end(resolve));
+  });
+  return eventLogger;
+}
+
+/**
+ * Move the logger's console output to stderr, leaving stdout to --json events
+ */
+function logToStderr() {
+  const levels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+  logger.transports
+    .filter(transport => transport instanceof winston.transports.Console)
+    .forEach(transport => {
+      transport.stderrLevels = levels;
+    });
+}
+
+module.exports = logger;
+module.exports.createEventLogger = createEventLogger;
+module.exports.logToStderr = logToStderr;
\ No newline at end of file
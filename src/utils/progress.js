@@ -0,0 +1,215 @@
+/**
+ * Live progress output
+ * Draws a bar per phase with done/total counts and an ETA from the progress
+ * events of a task graph, redrawing in place on a TTY. Console output printed
+ * while the bars are up is written above them.
+ */
+
+const { format } = require('util');
+const { logToStderr } = require('./logger');
+
+const BAR_WIDTH = 24;
+
+/**
+ * Human-readable duration
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. 850ms, 4.2s, 3m05s
+ */
+function formatDuration(ms) {
+  if (ms < 1000) {
+    return `${Math.round(ms)}ms`;
+  }
+  if (ms < 60000) {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+class ProgressRenderer {
+  /**
+   * @param {Object} options - Renderer options
+   * @param {Object} options.stream - Stream to draw on (default stderr)
+   * @param {Object} options.labels - Display label per phase
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.stream = options.stream || process.stderr;
+    this.labels = options.labels || {};
+    this.now = options.now || Date.now;
+    this.phases = new Map();
+    this.drawn = 0;
+    this.restoreConsole = null;
+  }
+
+  /**
+   * Track a phase; phases appear in the order they are first seen
+   * @param {string} phase - Phase name
+   * @param {number} total - Tasks in the phase
+   * @returns {Object} Phase state
+   */
+  phase(phase, total = 1) {
+    if (!this.phases.has(phase)) {
+      this.phases.set(phase, { total, done: 0, failed: 0, startedAt: null, duration: null });
+    }
+    return this.phases.get(phase);
+  }
+
+  /**
+   * Apply a task graph progress event and redraw
+   * @param {Object} event - { type: start|task|phase, ... } from TaskGraph
+   */
+  update(event) {
+    if (event.type === 'start') {
+      Object.entries(event.phases).forEach(([phase, total]) => {
+        this.phase(phase, total);
+      });
+    } else if (event.type === 'task') {
+      const state = this.phase(event.phase);
+      if (event.status === 'started') {
+        state.startedAt = state.startedAt ?? this.now();
+      } else {
+        state.done = Math.min(state.done + 1, state.total);
+        state.failed += event.status === 'failed' ? 1 : 0;
+      }
+    } else if (event.type === 'phase') {
+      const state = this.phase(event.phase, (event.tasks || 0) + (event.skipped || 0) || 1);
+      state.done = state.total;
+      state.duration = event.duration;
+    }
+    this.draw();
+  }
+
+  /**
+   * Current bars, one line per phase
+   * @returns {string[]} Lines
+   */
+  render() {
+    const width = Math.max(...[...this.phases.keys()].map(phase => this.label(phase).length), 0);
+    return [...this.phases.entries()].map(([phase, state]) => {
+      const filled = Math.round((state.done / state.total) * BAR_WIDTH);
+      const bar = `${'█'.repeat(filled)}${'░'.repeat(BAR_WIDTH - filled)}`;
+      const count = `${state.done}/${state.total}`;
+      return `${this.label(phase).padEnd(width)} ${bar} ${count.padStart(7)}  ${this.status(state)}`;
+    });
+  }
+
+  label(phase) {
+    return this.labels[phase] || phase;
+  }
+
+  status(state) {
+    if (state.duration !== null) {
+      return `${state.failed > 0 ? `${state.failed} failed, ` : ''}done in ${formatDuration(state.duration)}`;
+    }
+    if (state.startedAt === null) {
+      return 'waiting';
+    }
+    if (state.done === 0) {
+      return 'eta --';
+    }
+    const elapsed = this.now() - state.startedAt;
+    return `eta ${formatDuration((elapsed / state.done) * (state.total - state.done))}`;
+  }
+
+  /**
+   * Redraw the bars in place; does nothing unless the stream is a TTY
+   */
+  draw() {
+    if (!this.stream.isTTY) {
+      return;
+    }
+    this.clear();
+    const lines = this.render();
+    this.stream.write(lines.map(line => `${line}\n`).join(''));
+    this.drawn = lines.length;
+  }
+
+  /**
+   * Erase the bars drawn last
+   */
+  clear() {
+    if (this.drawn > 0) {
+      this.stream.write(`\x1b[${this.drawn}F\x1b[J`);
+      this.drawn = 0;
+    }
+  }
+
+  /**
+   * Print console output above the bars instead of through them
+   * @param {Object} target - Console to wrap
+   * @returns {Function} Restores the console
+   */
+  capture(target = console) {
+    const methods = ['log', 'info', 'warn', 'error'];
+    const originals = Object.fromEntries(methods.map(method => [method, target[method]]));
+    methods.forEach(method => {
+      target[method] = (...args) => {
+        this.clear();
+        originals[method].apply(target, args);
+        this.draw();
+      };
+    });
+
+    this.restoreConsole = () => {
+      Object.assign(target, originals);
+      this.restoreConsole = null;
+    };
+    return this.restoreConsole;
+  }
+
+  /**
+   * Leave the final bars on screen and give the console back
+   */
+  finish() {
+    if (this.restoreConsole) {
+      this.restoreConsole();
+    }
+    this.draw();
+    this.drawn = 0;
+  }
+}
+
+/**
+ * Send console output other than errors to stderr
+ * @param {Object} target - Console to redirect
+ */
+function consoleToStderr(target = console) {
+  ['log', 'info', 'warn'].forEach(method => {
+    target[method] = (...args) => process.stderr.write(`${format(...args)}\n`);
+  });
+}
+
+/**
+ * Set up a command's output. With --json, events go to stdout as NDJSON and
+ * everything else moves to stderr so stdout stays parseable. Otherwise, when
+ * stderr is a TTY and --no-progress was not given, progress bars are drawn.
+ * @param {Object} options - CLI options: { json, progress }
+ * @param {Object} labels - Display label per phase
+ * @returns {Object} { eventStream, onProgress, finish }
+ */
+function commandOutput(options = {}, labels = {}) {
+  if (options.json) {
+    consoleToStderr(console);
+    logToStderr();
+    return { eventStream: process.stdout, onProgress: null, finish: () => {} };
+  }
+
+  if (options.progress === false || !process.stderr.isTTY) {
+    return { eventStream: null, onProgress: null, finish: () => {} };
+  }
+
+  const renderer = new ProgressRenderer({ stream: process.stderr, labels });
+  renderer.capture(console);
+  return {
+    eventStream: null,
+    onProgress: event => renderer.update(event),
+    finish: () => renderer.finish(),
+  };
+}
+
+module.exports = {
+  ProgressRenderer,
+  commandOutput,
+  formatDuration,
+};
@@ -0,0 +1,155 @@
+/**
+ * Notion-aware retry policy
+ * Retries transient Notion failures and fails fast on errors a retry cannot fix
+ */
+
+const config = require('../../configs');
+const logger = require('./logger');
+
+// Errors that will fail the same way on every attempt
+const FATAL_CODES = new Set([
+  'unauthorized',
+  'restricted_resource',
+  'object_not_found',
+  'validation_error',
+  'invalid_json',
+  'invalid_request_url',
+  'invalid_request',
+]);
+
+// Errors Notion documents as transient
+const RETRYABLE_CODES = new Set([
+  'rate_limited',
+  'conflict_error',
+  'service_unavailable',
+  'gateway_timeout',
+  'notionhq_client_request_timeout',
+]);
+
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+// Network-level failures from fetch/undici
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+/**
+ * Read the Retry-After header from a Notion error
+ * @param {Error} error - Error thrown by the Notion client
+ * @returns {number|null} Delay in milliseconds, or null when absent
+ */
+function getRetryAfterMs(error) {
+  const headers = error.headers;
+  if (!headers) {
+    return null;
+  }
+
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide whether an error is worth retrying
+ * @param {Error} error - Error thrown by the Notion client
+ * @returns {Object} Classification: { retryable, reason, retryAfterMs }
+ */
+function classifyError(error) {
+  const code = error?.code;
+  const status = error?.status;
+  const retryAfterMs = getRetryAfterMs(error || {});
+
+  if (FATAL_CODES.has(code)) {
+    return { retryable: false, reason: code, retryAfterMs: null };
+  }
+  if (RETRYABLE_CODES.has(code)) {
+    return { retryable: true, reason: code, retryAfterMs };
+  }
+  if (RETRYABLE_STATUSES.has(status)) {
+    return { retryable: true, reason: `http_${status}`, retryAfterMs };
+  }
+  if (RETRYABLE_NETWORK_CODES.has(code) || RETRYABLE_NETWORK_CODES.has(error?.cause?.code)) {
+    return { retryable: true, reason: code || error.cause.code, retryAfterMs: null };
+  }
+
+  return { retryable: false, reason: code || (status ? `http_${status}` : 'unknown'), retryAfterMs: null };
+}
+
+/**
+ * Delay before the next attempt: Retry-After when given, otherwise
+ * exponential backoff with jitter
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} classification - Result of classifyError
+ * @param {Object} options - Retry options (baseDelay, maxDelay, random)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, classification, options) {
+  if (classification.retryAfterMs !== null && classification.retryAfterMs !== undefined) {
+    return classification.retryAfterMs;
+  }
+
+  const ceiling = Math.min(options.maxDelay, options.baseDelay * Math.pow(2, attempt));
+  return Math.round(ceiling / 2 + (options.random() * ceiling) / 2);
+}
+
+/**
+ * Resolve retry options, falling back to configs.notion
+ * @param {Object} options - Caller options
+ * @returns {Object} Complete retry options
+ */
+function resolveOptions(options = {}) {
+  return {
+    retries: options.retries ?? config.notion?.retryAttempts ?? 3,
+    baseDelay: options.baseDelay ?? config.notion?.retryDelay ?? 1000,
+    maxDelay: options.maxDelay ?? 30000,
+    random: options.random || Math.random,
+    sleep: options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms))),
+    onRetry: options.onRetry,
+  };
+}
+
+/**
+ * Run fn, retrying transient Notion failures
+ * @param {Function} fn - Async function to run
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Retries after the first attempt (defaults to configs.notion.retryAttempts)
+ * @param {number} options.baseDelay - Initial backoff in ms (defaults to configs.notion.retryDelay)
+ * @param {number} options.maxDelay - Backoff ceiling in ms
+ * @param {Function} options.onRetry - Called with (error, { attempt, delay, reason }) before each retry
+ * @returns {Promise<*>} Result of fn
+ */
+async function withRetry(fn, options = {}) {
+  const resolved = resolveOptions(options);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const classification = classifyError(error);
+      if (!classification.retryable || attempt >= resolved.retries) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, classification, resolved);
+      logger.warn(`Retrying Notion request after ${classification.reason} (attempt ${attempt + 1}/${resolved.retries}, ${delay}ms)`);
+
+      if (resolved.onRetry) {
+        resolved.onRetry(error, { attempt: attempt + 1, delay, reason: classification.reason });
+      }
+      await resolved.sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  classifyError,
+  getRetryDelay,
+  withRetry,
+};